@@ -0,0 +1,319 @@
+/**
+ * Make/model catalog
+ *
+ * Resolves listing titles like "VW Golf VIII 2.0 TDI Style" into a clean make,
+ * base model and trim ("Volkswagen", "Golf", "VIII 2.0 TDI Style"). Aliases
+ * cover spellings dealers use, `patterns` cover model codes such as BMW's
+ * "320d" or Mercedes' "C 220", which stay part of the trim.
+ */
+
+// ===========================================
+// Catalog
+// ===========================================
+
+export const VEHICLE_CATALOG = [
+  { make: 'Abarth', models: ['500', '595', '695', '124 Spider'] },
+  {
+    make: 'Alfa Romeo',
+    aliases: ['Alfa'],
+    models: ['Giulia', 'Giulietta', 'Stelvio', 'Tonale', 'MiTo', '159', 'Brera', 'Junior']
+  },
+  { make: 'Aston Martin', models: ['DB11', 'DB12', 'DBX', 'Vantage', 'DBS'] },
+  {
+    make: 'Audi',
+    models: [
+      'A1', 'A3', 'A4 Allroad', 'A4', 'A5', 'A6 Allroad', 'A6', 'A7', 'A8', 'Q2', 'Q3', 'Q4 e-tron',
+      'Q5', 'Q7', 'Q8 e-tron', 'Q8', 'e-tron GT', 'e-tron', 'TT', 'R8', 'S3', 'S4', 'S5', 'S6',
+      'RS3', 'RS4', 'RS5', 'RS6', 'RSQ8'
+    ]
+  },
+  { make: 'Bentley', models: ['Bentayga', 'Continental GT', 'Flying Spur'] },
+  {
+    make: 'BMW',
+    models: [
+      { model: '1er', aliases: ['1 Series'], patterns: [/^1\d{2}[a-z]{0,2}\b/i] },
+      { model: '2er', aliases: ['2 Series'], patterns: [/^2\d{2}[a-z]{0,2}\b/i] },
+      { model: '3er', aliases: ['3 Series'], patterns: [/^3\d{2}[a-z]{0,2}\b/i] },
+      { model: '4er', aliases: ['4 Series'], patterns: [/^4\d{2}[a-z]{0,2}\b/i] },
+      { model: '5er', aliases: ['5 Series'], patterns: [/^5\d{2}[a-z]{0,2}\b/i] },
+      { model: '6er', aliases: ['6 Series'], patterns: [/^6\d{2}[a-z]{0,2}\b/i] },
+      { model: '7er', aliases: ['7 Series'], patterns: [/^7\d{2}[a-z]{0,2}\b/i] },
+      { model: '8er', aliases: ['8 Series'], patterns: [/^8\d{2}[a-z]{0,2}\b/i] },
+      'X1', 'X2', 'X3 M', 'X3', 'X4', 'X5 M', 'X5', 'X6', 'X7', 'XM', 'Z4',
+      'i3', 'i4', 'i5', 'i7', 'iX1', 'iX3', 'iX', 'M2', 'M3', 'M4', 'M5', 'M8'
+    ]
+  },
+  { make: 'BYD', models: ['Atto 3', 'Dolphin', 'Seal', 'Seal U', 'Han', 'Tang'] },
+  { make: 'Cadillac', models: ['Escalade', 'Lyriq', 'XT4', 'XT5', 'CT6'] },
+  { make: 'Chevrolet', models: ['Camaro', 'Corvette', 'Captiva', 'Cruze', 'Spark', 'Aveo'] },
+  { make: 'Chrysler', models: ['300C', 'Grand Voyager', 'Voyager', 'Pacifica'] },
+  {
+    make: 'Citroën',
+    aliases: ['Citroen'],
+    models: [
+      'C1', 'C3 Aircross', 'C3', 'C4 Picasso', 'C4 X', 'C4', 'C5 Aircross', 'C5 X', 'C5',
+      'Berlingo', 'Jumpy', 'Jumper', 'SpaceTourer', 'DS3', 'DS4', 'DS5'
+    ]
+  },
+  { make: 'Cupra', models: ['Born', 'Formentor', 'Leon', 'Ateca', 'Tavascan', 'Terramar'] },
+  { make: 'Dacia', models: ['Sandero', 'Duster', 'Jogger', 'Spring', 'Logan', 'Lodgy', 'Dokker'] },
+  { make: 'Daihatsu', models: ['Cuore', 'Sirion', 'Terios', 'Materia'] },
+  { make: 'DS Automobiles', aliases: ['DS'], models: ['DS 3', 'DS 4', 'DS 7', 'DS 9'] },
+  { make: 'Dodge', models: ['Challenger', 'Charger', 'Durango', 'RAM'] },
+  { make: 'Ferrari', models: ['296', '488', '812', 'F8', 'Roma', 'Portofino', 'SF90', 'Purosangue'] },
+  {
+    make: 'Fiat',
+    models: ['500X', '500L', '500e', '500', 'Panda', 'Tipo', 'Punto', 'Doblo', 'Ducato', 'Qubo', 'Fiorino', 'Talento']
+  },
+  {
+    make: 'Ford',
+    models: [
+      'Fiesta', 'Focus', 'Mondeo', 'Kuga', 'Puma', 'EcoSport', 'Explorer', 'Edge', 'Mustang Mach-E',
+      'Mustang', 'S-Max', 'Galaxy', 'C-Max', 'B-Max', 'Ka', 'Ranger', 'Tourneo Custom',
+      'Tourneo Connect', 'Tourneo Courier', 'Transit Custom', 'Transit Connect', 'Transit'
+    ]
+  },
+  { make: 'Genesis', models: ['G70', 'G80', 'GV60', 'GV70', 'GV80'] },
+  { make: 'Honda', models: ['Civic', 'Jazz', 'CR-V', 'HR-V', 'ZR-V', 'e:Ny1', 'e', 'Accord'] },
+  {
+    make: 'Hyundai',
+    models: [
+      'i10', 'i20', 'i30', 'i40', 'IONIQ 5', 'IONIQ 6', 'IONIQ', 'Kona', 'Tucson', 'Santa Fe',
+      'Bayon', 'ix35', 'ix20', 'Staria'
+    ]
+  },
+  { make: 'Infiniti', models: ['Q30', 'Q50', 'Q60', 'QX30', 'QX70'] },
+  { make: 'Isuzu', models: ['D-Max'] },
+  { make: 'Jaguar', models: ['E-Pace', 'F-Pace', 'I-Pace', 'F-Type', 'XE', 'XF', 'XJ'] },
+  { make: 'Jeep', models: ['Avenger', 'Compass', 'Renegade', 'Wrangler', 'Grand Cherokee', 'Cherokee', 'Gladiator'] },
+  {
+    make: 'Kia',
+    models: [
+      'Picanto', 'Rio', 'Stonic', 'XCeed', 'ProCeed', 'Ceed', 'Niro', 'Sportage', 'Sorento',
+      'EV6', 'EV9', 'Soul', 'Stinger'
+    ]
+  },
+  { make: 'Lamborghini', models: ['Huracán', 'Urus', 'Aventador', 'Revuelto'] },
+  { make: 'Lancia', models: ['Ypsilon', 'Delta'] },
+  {
+    make: 'Land Rover',
+    // "Range Rover Evoque" is listed without the make, the alias is also the model
+    aliases: ['Range Rover'],
+    models: [
+      'Range Rover Evoque', 'Range Rover Velar', 'Range Rover Sport', 'Range Rover',
+      'Defender', 'Discovery Sport', 'Discovery', 'Freelander'
+    ]
+  },
+  { make: 'Lexus', models: ['CT', 'ES', 'IS', 'LBX', 'LC', 'LS', 'NX', 'RC', 'RX', 'RZ', 'UX'] },
+  { make: 'Lotus', models: ['Elise', 'Emira', 'Evora', 'Exige', 'Eletre'] },
+  { make: 'Maserati', models: ['Ghibli', 'Grecale', 'Levante', 'MC20', 'Quattroporte', 'GranTurismo'] },
+  {
+    make: 'Mazda',
+    models: ['Mazda2', 'Mazda3', 'Mazda6', 'CX-30', 'CX-3', 'CX-5', 'CX-60', 'CX-80', 'MX-30', 'MX-5']
+  },
+  { make: 'McLaren', models: ['570S', '720S', '750S', 'Artura', 'GT'] },
+  {
+    make: 'Mercedes-Benz',
+    aliases: ['Mercedes Benz', 'Mercedes', 'MB'],
+    models: [
+      { model: 'A-Klasse', aliases: ['A-Class'], patterns: [/^A\s?\d{3}\b/i] },
+      { model: 'B-Klasse', aliases: ['B-Class'], patterns: [/^B\s?\d{3}\b/i] },
+      { model: 'C-Klasse', aliases: ['C-Class'], patterns: [/^C\s?\d{3}\b/i] },
+      { model: 'E-Klasse', aliases: ['E-Class'], patterns: [/^E\s?\d{3}\b/i] },
+      { model: 'S-Klasse', aliases: ['S-Class'], patterns: [/^S\s?\d{3}\b/i] },
+      { model: 'CLA', patterns: [/^CLA\s?\d{3}\b/i] },
+      { model: 'CLS', patterns: [/^CLS\s?\d{3}\b/i] },
+      { model: 'GLA', patterns: [/^GLA\s?\d{3}\b/i] },
+      { model: 'GLB', patterns: [/^GLB\s?\d{3}\b/i] },
+      { model: 'GLC', patterns: [/^GLC\s?\d{3}\b/i] },
+      { model: 'GLE', patterns: [/^GLE\s?\d{3}\b/i] },
+      { model: 'GLS', patterns: [/^GLS\s?\d{3}\b/i] },
+      'G-Klasse', 'SL', 'SLK', 'SLC', 'AMG GT', 'EQA', 'EQB', 'EQC', 'EQE SUV', 'EQE', 'EQS SUV',
+      'EQS', 'EQV', 'V-Klasse', 'Vito', 'Sprinter', 'Citan', 'X-Klasse'
+    ]
+  },
+  { make: 'MG', aliases: ['MG Roewe'], models: ['MG4', 'MG5', 'ZS', 'HS', 'Marvel R', 'Cyberster'] },
+  {
+    make: 'Mini',
+    models: ['Cooper SE', 'Cooper S', 'Cooper', 'One', 'John Cooper Works', 'Countryman', 'Clubman', 'Paceman', 'Aceman']
+  },
+  { make: 'Mitsubishi', models: ['ASX', 'Colt', 'Eclipse Cross', 'Outlander', 'Space Star', 'L200'] },
+  {
+    make: 'Nissan',
+    models: ['Micra', 'Juke', 'Qashqai', 'X-Trail', 'Leaf', 'Ariya', 'Navara', 'Note', 'Pulsar', '370Z', 'GT-R']
+  },
+  {
+    make: 'Opel',
+    models: [
+      'Corsa', 'Astra', 'Insignia', 'Mokka', 'Crossland', 'Grandland', 'Zafira', 'Meriva',
+      'Adam', 'Karl', 'Combo', 'Vivaro', 'Movano', 'Frontera'
+    ]
+  },
+  {
+    make: 'Peugeot',
+    models: ['108', '208', '2008', '308', '3008', '408', '508', '5008', 'Rifter', 'Partner', 'Traveller', 'Expert', 'Boxer']
+  },
+  { make: 'Polestar', models: ['Polestar 2', 'Polestar 3', 'Polestar 4', '2', '3', '4'] },
+  {
+    make: 'Porsche',
+    models: ['911', '718 Boxster', '718 Cayman', 'Boxster', 'Cayman', 'Cayenne', 'Macan', 'Panamera', 'Taycan']
+  },
+  {
+    make: 'Renault',
+    models: [
+      'Clio', 'Captur', 'Megane', 'Mégane', 'Scenic', 'Scénic', 'Kadjar', 'Austral', 'Arkana',
+      'Twingo', 'Zoe', 'Kangoo', 'Trafic', 'Master', 'Espace', 'Talisman', 'Rafale'
+    ]
+  },
+  { make: 'Rolls-Royce', aliases: ['Rolls Royce'], models: ['Cullinan', 'Ghost', 'Phantom', 'Wraith', 'Dawn', 'Spectre'] },
+  { make: 'Saab', models: ['9-3', '9-5'] },
+  { make: 'Seat', models: ['Ibiza', 'Leon', 'Arona', 'Ateca', 'Tarraco', 'Alhambra', 'Mii', 'Toledo'] },
+  {
+    make: 'Skoda',
+    aliases: ['Škoda'],
+    models: ['Fabia', 'Scala', 'Octavia', 'Superb', 'Kamiq', 'Karoq', 'Kodiaq', 'Enyaq', 'Elroq', 'Citigo', 'Rapid', 'Yeti']
+  },
+  { make: 'Smart', models: ['ForTwo', 'ForFour', '#1', '#3'] },
+  { make: 'SsangYong', aliases: ['KGM'], models: ['Korando', 'Rexton', 'Tivoli', 'Torres', 'Musso'] },
+  { make: 'Subaru', models: ['Forester', 'Outback', 'XV', 'Crosstrek', 'Impreza', 'BRZ', 'Levorg', 'Solterra'] },
+  { make: 'Suzuki', models: ['Swift', 'Vitara', 'S-Cross', 'SX4 S-Cross', 'Ignis', 'Jimny', 'Swace', 'Across', 'Baleno'] },
+  { make: 'Tesla', models: ['Model 3', 'Model S', 'Model X', 'Model Y', 'Cybertruck'] },
+  {
+    make: 'Toyota',
+    models: [
+      'Aygo X', 'Aygo', 'Yaris Cross', 'Yaris', 'Corolla Cross', 'Corolla', 'C-HR', 'RAV4', 'bZ4X',
+      'Camry', 'Prius', 'Auris', 'Avensis', 'Land Cruiser', 'Hilux', 'Proace City', 'Proace', 'GR86', 'Supra'
+    ]
+  },
+  {
+    make: 'Volkswagen',
+    aliases: ['VW'],
+    models: [
+      'Golf Plus', 'Golf Sportsvan', 'Golf', 'Polo', 'Passat', 'Arteon', 'Tiguan Allspace', 'Tiguan',
+      'T-Roc', 'T-Cross', 'Taigo', 'Touareg', 'Touran', 'Sharan', 'up!', 'ID.3', 'ID.4', 'ID.5', 'ID.7',
+      'ID. Buzz', 'Caddy', 'Multivan', 'California', 'Transporter', 'Caravelle', 'Crafter', 'Amarok',
+      'Scirocco', 'Beetle', 'Jetta'
+    ]
+  },
+  {
+    make: 'Volvo',
+    models: ['XC40', 'XC60', 'XC90', 'EX30', 'EX40', 'EX90', 'C40', 'V40', 'V60', 'V90', 'S60', 'S90']
+  }
+];
+
+export const catalogMakes = VEHICLE_CATALOG.map(({ make }) => make);
+
+// ===========================================
+// Matching
+// ===========================================
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Matches `name` at the start of `text`, followed by a word break
+function matchPrefix(text, name) {
+  const match = text.match(new RegExp(`^${escapeRegExp(name)}(?=$|[\\s,/(])`, 'i'));
+  return match ? match[0].length : 0;
+}
+
+// Longest name wins, so "Range Rover Sport" beats "Range Rover"
+function longestPrefix(text, names) {
+  let best = null;
+  for (const name of names) {
+    const length = matchPrefix(text, name);
+    if (length > 0 && (!best || length > best.length)) best = { name, length };
+  }
+  return best;
+}
+
+function modelEntries(entry) {
+  return entry.models.map(model => (typeof model === 'string' ? { model } : model));
+}
+
+// Finds the catalog entry whose name or alias starts `text`
+function matchMake(text) {
+  let best = null;
+  for (const entry of VEHICLE_CATALOG) {
+    const match = longestPrefix(text, [entry.make, ...(entry.aliases || [])]);
+    if (match && (!best || match.length > best.length)) best = { entry, ...match };
+  }
+  return best;
+}
+
+// A model name or alias is consumed, a code pattern ("320d") stays in the trim
+function matchModel(entry, text) {
+  let best = null;
+  for (const { model, aliases = [], patterns = [] } of modelEntries(entry)) {
+    const match = longestPrefix(text, [model, ...aliases]);
+    if (match && (!best || match.length > best.length)) best = { model, length: match.length };
+    if (!best && patterns.some(pattern => pattern.test(text))) best = { model, length: 0 };
+  }
+  return best;
+}
+
+export function findMake(name) {
+  if (!name) return null;
+  const match = matchMake(name.trim());
+  return match && match.length === name.trim().length ? match.entry.make : null;
+}
+
+// ===========================================
+// Resolution
+// ===========================================
+
+// `detail` holds the "Marke"/"Modell" fields from the detail page, which win
+// over whatever the title suggests. `resolved` is false when the make or the
+// model had to be guessed.
+export function resolveMakeModel(title, detail = {}) {
+  const text = (title || '').trim();
+  const detailMake = detail.make?.trim() || null;
+  const detailModel = detail.model?.trim() || null;
+  if (!text && !detailMake) return { make: null, model: null, trim: null, resolved: false };
+  
+  // Make: catalog match on the detail field, then on the title
+  const titleMatch = matchMake(text);
+  const detailEntry = detailMake ? VEHICLE_CATALOG.find(({ make }) => make === findMake(detailMake)) : null;
+  const entry = detailEntry || titleMatch?.entry || null;
+  
+  if (!entry) {
+    // Unknown make: fall back to the first word
+    const parts = text.split(/\s+/);
+    return {
+      make: detailMake || parts[0] || null,
+      model: detailModel || parts.slice(1).join(' ') || null,
+      trim: null,
+      resolved: false
+    };
+  }
+  
+  // Rest of the title after the make, if the title starts with it
+  const makeMatch = titleMatch?.entry === entry ? titleMatch : null;
+  let rest = makeMatch ? text.substring(makeMatch.length).trim() : text;
+  
+  // Model from the title, also trying the whole title for aliases that are
+  // model names too ("Range Rover Sport")
+  let fromTitle = matchModel(entry, rest);
+  if (!fromTitle && makeMatch && makeMatch.name !== entry.make) {
+    fromTitle = matchModel(entry, text);
+    if (fromTitle) rest = text;
+  }
+  if (fromTitle) rest = rest.substring(fromTitle.length).trim();
+  
+  // The detail field wins, catalog name first so "320" becomes "3er"
+  const fromDetail = detailModel ? matchModel(entry, detailModel) : null;
+  let model = fromDetail?.model || detailModel || fromTitle?.model || null;
+  if (!model) {
+    // Unknown model: first word after the make
+    const parts = rest.split(/\s+/);
+    model = parts[0] || null;
+    rest = parts.slice(1).join(' ');
+  }
+  
+  return {
+    make: entry.make,
+    model,
+    trim: rest || null,
+    resolved: Boolean(fromDetail || fromTitle || detailModel)
+  };
+}
@@ -0,0 +1,20 @@
+/**
+ * Lists normalized keys that have no label in one of the locale bundles
+ *
+ * Usage: npm run locales:check
+ * Exits with 1 when anything is missing, so it can gate CI.
+ */
+
+import { log } from './logger.js';
+import { findMissingTranslations, SUPPORTED_LOCALES } from './locales/index.js';
+
+const missing = findMissingTranslations();
+
+if (missing.length === 0) {
+  log(`All labels translated for ${SUPPORTED_LOCALES.join(', ')}`, 'success');
+} else {
+  for (const { locale, group, key } of missing) {
+    log(`Missing ${locale} label: ${group}.${key}`, 'error');
+  }
+  process.exitCode = 1;
+}
@@ -0,0 +1,136 @@
+/**
+ * Crawl checkpoint for resumable runs
+ *
+ * Persists, per dealer, the search pages already read and the ad IDs already
+ * processed, plus the images uploaded for listings that weren't inserted yet.
+ * A run that starts while an unfinished checkpoint exists picks up from there
+ * instead of repeating every page load and upload.
+ *
+ * The file is rewritten atomically after every step. finish() marks it
+ * completed so the next run starts fresh.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const CHECKPOINT_VERSION = 1;
+
+function emptyState(now) {
+  return {
+    version: CHECKPOINT_VERSION,
+    startedAt: new Date(now).toISOString(),
+    updatedAt: null,
+    completedAt: null,
+    newListings: 0,
+    dealers: {},
+    images: {}
+  };
+}
+
+async function readState(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// With persist: false (dry runs) nothing is read or written
+export async function openCheckpoint(filePath, { persist = true, fresh = false, maxAgeHours = 24, now = Date.now } = {}) {
+  const previous = persist && !fresh ? await readState(filePath) : null;
+  const resumed = Boolean(
+    previous &&
+    previous.version === CHECKPOINT_VERSION &&
+    !previous.completedAt &&
+    now() - Date.parse(previous.startedAt) < maxAgeHours * 3600 * 1000
+  );
+  const state = resumed ? previous : emptyState(now());
+  
+  // Ad IDs are kept as arrays on disk, as Sets while running
+  const processed = new Map(
+    Object.entries(state.dealers).map(([key, dealer]) => [key, new Set(dealer.processed)])
+  );
+  
+  let writing = Promise.resolve();
+  
+  function dealer(dealerKey) {
+    if (!state.dealers[dealerKey]) {
+      state.dealers[dealerKey] = {
+        pages: [],
+        listingUrls: [],
+        searchDone: false,
+        complete: false,
+        processed: [],
+        lastAdId: null
+      };
+      processed.set(dealerKey, new Set());
+    }
+    return state.dealers[dealerKey];
+  }
+  
+  async function write() {
+    state.updatedAt = new Date(now()).toISOString();
+    for (const [key, ids] of processed) state.dealers[key].processed = [...ids];
+    const tmpPath = `${filePath}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify(state, null, 2));
+    await fs.rename(tmpPath, filePath);
+  }
+  
+  return {
+    resumed,
+    startedAt: state.startedAt,
+    
+    get newListings() {
+      return state.newListings;
+    },
+    
+    dealer,
+    
+    recordSearchPage(dealerKey, pageInfo, newUrls) {
+      const entry = dealer(dealerKey);
+      entry.pages.push(pageInfo);
+      entry.listingUrls.push(...newUrls);
+    },
+    
+    finishSearch(dealerKey, complete) {
+      const entry = dealer(dealerKey);
+      entry.searchDone = true;
+      entry.complete = complete;
+    },
+    
+    isProcessed(dealerKey, adId) {
+      return processed.get(dealerKey)?.has(adId) || false;
+    },
+    
+    markProcessed(dealerKey, adId, { inserted = false } = {}) {
+      dealer(dealerKey).lastAdId = adId;
+      processed.get(dealerKey).add(adId);
+      if (inserted) state.newListings++;
+      delete state.images[adId];
+    },
+    
+    // Images already uploaded for an ad that hasn't been inserted yet
+    uploadedImages(adId) {
+      return state.images[adId] || null;
+    },
+    
+    recordImage(adId, slug, index, uploaded) {
+      if (!state.images[adId]) state.images[adId] = { slug, uploaded: {} };
+      state.images[adId].uploaded[index] = uploaded;
+    },
+    
+    save() {
+      if (!persist) return Promise.resolve();
+      // Workers save concurrently, so writes are queued one after another
+      writing = writing.then(write, write);
+      return writing;
+    },
+    
+    finish() {
+      state.completedAt = new Date(now()).toISOString();
+      return this.save();
+    }
+  };
+}
@@ -0,0 +1,243 @@
+/**
+ * Command-line interface
+ *
+ * Usage: node src/cli.js <command> [arguments] [--json] [--env <name>]
+ *
+ *   sync [--dealer <id>] [--dry-run] [--fresh]   Sync every enabled dealer, or one
+ *   scrape-url <url> [--dealer <id>]             Print the row one listing page parses to
+ *   reprocess-images <slug>                      Render a listing's photos again
+ *   unpublish <slug>                             Take a listing offline by hand
+ *   fingerprints --check [--fix]                 Find stale and cross-dealer fingerprints
+ *   gc-images [--delete] [--min-age-hours <h>]   List (or remove) unreferenced images
+ *   validate-config                              Check config/dealers.json (and overlay)
+ *
+ * A dealer <id> is its name, URL, dealer key or mobile.de customer ID. --env
+ * picks the config overlay like SYNC_ENV. With --json logs go to stderr and
+ * stdout gets one JSON object: { ok, command, result } or { ok, command, error }.
+ * The exit code says how a command ended, see EXIT_CODES. Every invocation gets
+ * a run ID for its log lines (see logger.js), a sync records its run under it.
+ */
+
+import { parseArgs } from 'util';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { log, logToStderr, setRunContext } from './logger.js';
+import { loadConfig, resolveDealerSettings } from './config.js';
+import { createSourceAdapter } from './sources/index.js';
+import { collectImageGarbage, DEFAULT_MIN_AGE_HOURS } from './image-gc.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const EXIT_CODES = {
+  ok: 0,
+  failed: 1, // Anything unexpected: network, storage, browser
+  usage: 2, // Unknown command, missing or bad arguments
+  invalidConfig: 3,
+  notFound: 4, // Dealer or listing
+  checkFailed: 5 // Extraction drift, fingerprint problems
+};
+
+const ERROR_EXIT_CODES = {
+  USAGE: EXIT_CODES.usage,
+  INVALID_CONFIG: EXIT_CODES.invalidConfig,
+  NOT_FOUND: EXIT_CODES.notFound
+};
+
+function usageError(message) {
+  return Object.assign(new Error(message), { code: 'USAGE' });
+}
+
+// The sync engine pulls in puppeteer and sharp, so it's only loaded by the commands that need it
+const engine = () => import('./sync-vehicles.js');
+
+// ===========================================
+// Commands
+// ===========================================
+
+// Each command gets its positionals and parsed options and returns { result, exitCode }
+const COMMANDS = {
+  sync: {
+    options: { dealer: { type: 'string' }, 'dry-run': { type: 'boolean' }, fresh: { type: 'boolean' } },
+    async run(args, options) {
+      const { sync } = await engine();
+      const outcome = await sync({ dryRun: options['dry-run'], fresh: options.fresh, dealer: options.dealer });
+      if (outcome.disabled) return { result: { disabled: true }, exitCode: EXIT_CODES.ok };
+      
+      const { syncLog, ok } = outcome;
+      const result = {
+        runId: syncLog.runId,
+        dryRun: syncLog.dryRun,
+        dealers: syncLog.dealers.map(({ name }) => name),
+        listingsFound: syncLog.listingsFound,
+        listingsNew: syncLog.listingsNew,
+        listingsUpdated: syncLog.listingsUpdated,
+        listingsRemoved: syncLog.listingsRemoved,
+        listingsHeld: syncLog.listingsHeld,
+        listingsFiltered: syncLog.listingsFiltered.length,
+        retries: syncLog.retries,
+        errors: syncLog.errors.length,
+        drift: syncLog.drift
+      };
+      return { result, exitCode: ok ? EXIT_CODES.ok : EXIT_CODES.checkFailed };
+    }
+  },
+  
+  'scrape-url': {
+    positionals: ['url'],
+    options: { dealer: { type: 'string' } },
+    async run([url], options) {
+      if (!URL.canParse(url)) throw usageError(`Not a URL: ${url}`);
+      const { scrapeUrl } = await engine();
+      const listing = await scrapeUrl(url, { dealer: options.dealer });
+      return { result: listing, exitCode: EXIT_CODES.ok, print: true };
+    }
+  },
+  
+  'reprocess-images': {
+    positionals: ['slug'],
+    async run([slug]) {
+      const { reprocessImages } = await engine();
+      return { result: await reprocessImages(slug), exitCode: EXIT_CODES.ok };
+    }
+  },
+  
+  unpublish: {
+    positionals: ['slug'],
+    async run([slug]) {
+      const { unpublishListing } = await engine();
+      return { result: await unpublishListing(slug), exitCode: EXIT_CODES.ok };
+    }
+  },
+  
+  fingerprints: {
+    options: { check: { type: 'boolean' }, fix: { type: 'boolean' } },
+    async run(args, options) {
+      if (!options.check) throw usageError('fingerprints needs --check (add --fix to rewrite stale ones)');
+      const { checkFingerprints } = await engine();
+      const result = await checkFingerprints({ fix: options.fix });
+      for (const { slug, stored, expected } of result.stale) log(`  Stale: ${slug} (${stored} → ${expected})`, 'warning');
+      for (const { slugs } of result.shared) log(`  Same car at several dealers: ${slugs.join(', ')}`, 'warning');
+      
+      const problems = result.stale.length - result.fixed + result.shared.length;
+      return { result, exitCode: problems > 0 ? EXIT_CODES.checkFailed : EXIT_CODES.ok };
+    }
+  },
+  
+  'gc-images': {
+    options: { delete: { type: 'boolean' }, 'min-age-hours': { type: 'string' } },
+    async run(args, options) {
+      const remove = Boolean(options.delete);
+      const minAgeArg = options['min-age-hours'];
+      const minAgeHours = minAgeArg === undefined ? DEFAULT_MIN_AGE_HOURS : Number(minAgeArg);
+      if (minAgeArg === '' || !Number.isFinite(minAgeHours) || minAgeHours < 0) {
+        throw usageError(`Invalid --min-age-hours: ${minAgeArg}`);
+      }
+      
+      const config = await loadConfig(ROOT_DIR);
+      const { createStorage } = await import('./storage/index.js');
+      const storage = await createStorage(config.settings.storage, { rootDir: ROOT_DIR });
+      log(`🧹 Image garbage collection (listings → ${storage.backends.listings}, images → ${storage.backends.images})${remove ? '' : ' (dry run)'}`);
+      
+      const { listings, objects, orphans } = await collectImageGarbage(storage, { remove, minAgeHours });
+      log(`Checked ${objects} stored objects against ${listings} listings`);
+      for (const { name, updatedAt } of orphans) {
+        log(`  ${remove ? 'Removed' : 'Unreferenced'}: ${name} (${updatedAt})`);
+      }
+      
+      if (orphans.length === 0) {
+        log('No unreferenced images', 'success');
+      } else if (remove) {
+        log(`Removed ${orphans.length} unreferenced images`, 'success');
+      } else {
+        log(`${orphans.length} unreferenced images older than ${minAgeHours}h, run with --delete to remove them`);
+      }
+      return { result: { listings, objects, orphans, removed: remove }, exitCode: EXIT_CODES.ok };
+    }
+  },
+  
+  'validate-config': {
+    async run() {
+      const config = await loadConfig(ROOT_DIR);
+      const dealers = config.dealers.map(dealer => {
+        try {
+          return { name: dealer.name, platform: createSourceAdapter(dealer).platform, enabled: resolveDealerSettings(config, dealer).enabled };
+        } catch (err) {
+          throw Object.assign(err, { code: 'INVALID_CONFIG', problems: [err.message] });
+        }
+      });
+      log(`Config is valid: ${dealers.length} dealers (${dealers.filter(({ enabled }) => enabled).length} enabled)`, 'success');
+      return { result: { env: process.env.SYNC_ENV || null, dealers }, exitCode: EXIT_CODES.ok };
+    }
+  }
+};
+
+// ===========================================
+// Entry
+// ===========================================
+
+const GLOBAL_OPTIONS = { json: { type: 'boolean' }, env: { type: 'string' }, help: { type: 'boolean' } };
+
+function printUsage() {
+  console.log('Usage: node src/cli.js <command> [arguments] [--json] [--env <name>]\n');
+  console.log(`Commands: ${Object.keys(COMMANDS).join(', ')}`);
+  console.log('See the header of src/cli.js or the README for each command\'s options.');
+}
+
+// Returns the exit code
+export async function runCli(argv) {
+  const [name, ...rest] = argv;
+  const json = rest.includes('--json');
+  if (json) logToStderr();
+  
+  const output = (ok, body) => {
+    if (json) console.log(JSON.stringify({ ok, command: name || null, ...body }, null, 2));
+  };
+  
+  try {
+    if (!name || name === '--help' || name === 'help') {
+      printUsage();
+      return name ? EXIT_CODES.ok : EXIT_CODES.usage;
+    }
+    const command = COMMANDS[name];
+    if (!command) throw usageError(`Unknown command '${name}' (expected ${Object.keys(COMMANDS).join(', ')})`);
+    
+    let parsed;
+    try {
+      parsed = parseArgs({ args: rest, options: { ...GLOBAL_OPTIONS, ...command.options }, allowPositionals: true });
+    } catch (err) {
+      throw usageError(err.message);
+    }
+    const { positionals, values } = parsed;
+    if (values.help) {
+      printUsage();
+      return EXIT_CODES.ok;
+    }
+    const expected = command.positionals || [];
+    if (positionals.length !== expected.length) {
+      throw usageError(`${name} expects ${expected.length ? expected.map(arg => `<${arg}>`).join(' ') : 'no arguments'}`);
+    }
+    if (values.env) process.env.SYNC_ENV = values.env;
+    setRunContext({ runId: crypto.randomUUID() });
+    
+    const { result, exitCode, print } = await command.run(positionals, values);
+    if (json) {
+      output(exitCode === EXIT_CODES.ok, { result });
+    } else if (print) {
+      console.log(JSON.stringify(result, null, 2));
+    }
+    return exitCode;
+  } catch (err) {
+    const exitCode = ERROR_EXIT_CODES[err.code] ?? EXIT_CODES.failed;
+    log(err.message, 'error');
+    if (exitCode === EXIT_CODES.failed && !json) console.error(err);
+    output(false, { error: { code: err.code || 'FAILED', message: err.message, problems: err.problems } });
+    return exitCode;
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runCli(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
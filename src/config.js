@@ -0,0 +1,390 @@
+/**
+ * Dealer configuration: loading, environment overlays and validation
+ *
+ * config/dealers.json is the base. With SYNC_ENV set (e.g. `staging`),
+ * config/dealers.<env>.json is merged over it: objects are merged key by key,
+ * everything else (including the `dealers` list) is replaced. The result is
+ * checked against CONFIG_SCHEMA before anything runs, and every problem is
+ * reported with its path, so a typo fails at startup instead of turning into
+ * `undefined` halfway through a sync.
+ *
+ * A dealer can override the global listing limit, photo count, price markup
+ * and filters, see resolveDealerSettings().
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { SOURCE_PLATFORMS } from './sources/index.js';
+import { GENERIC_FIELDS } from './sources/generic.js';
+import { bodyTypeMap } from './normalize.js';
+import { generateDealerKey } from './source-identity.js';
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  maxListingsPerDealer: 100,
+  maxTotalListings: 200,
+  maxImagesPerListing: 10
+};
+
+// ===========================================
+// Schema
+// ===========================================
+
+// Rules: `type`, `required`, `min`/`max`, `enum`, `format` ('url' or 'regex'),
+// `properties` for objects with known keys (others are errors), `values` for
+// objects with free keys, `items` and `minItems` for arrays.
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const positiveInteger = { type: 'integer', min: 1 };
+
+const PAGINATION = {
+  type: 'object',
+  properties: {
+    pageSize: positiveInteger,
+    sortBy: string,
+    sortOrder: { type: 'string', enum: ['asc', 'desc'] },
+    maxPages: positiveInteger
+  }
+};
+
+const PRICE_MARKUP = {
+  type: 'object',
+  properties: {
+    percent: { type: 'number', min: -50, max: 100 },
+    amount: { type: 'integer' }
+  }
+};
+
+const FILTERS = {
+  type: 'object',
+  properties: {
+    minYear: { type: 'integer', min: 1900, max: 2100 },
+    maxMileage: { type: 'integer', min: 0 },
+    excludeBodyTypes: { type: 'array', items: { type: 'string', enum: [...new Set(Object.values(bodyTypeMap))] } }
+  }
+};
+
+const DEALER = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', required: true },
+    url: { type: 'string', required: true, format: 'url' },
+    platform: { type: 'string', enum: SOURCE_PLATFORMS },
+    enabled: boolean,
+    pagination: PAGINATION,
+    maxListings: positiveInteger,
+    maxImages: positiveInteger,
+    priceMarkup: PRICE_MARKUP,
+    filters: FILTERS,
+    pageParam: string,
+    selectors: {
+      type: 'object',
+      properties: {
+        listingLink: string,
+        idPattern: { type: 'string', format: 'regex' },
+        title: string,
+        priceTerms: string,
+        fields: { type: 'object', properties: Object.fromEntries(GENERIC_FIELDS.map(field => [field, string])) },
+        features: string,
+        images: string,
+        imageAttribute: string
+      }
+    }
+  }
+};
+
+const RENDITION_SIZE = {
+  type: 'object',
+  properties: {
+    width: { type: 'integer', required: true, min: 1 },
+    height: { type: 'integer', required: true, min: 1 },
+    fit: { type: 'string', required: true, enum: ['cover', 'inside'] },
+    quality: { type: 'object', values: { type: 'integer', min: 1, max: 100 } }
+  }
+};
+
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    dealers: { type: 'array', required: true, items: DEALER },
+    settings: {
+      type: 'object',
+      required: true,
+      properties: {
+        enabled: boolean,
+        maxListingsPerDealer: positiveInteger,
+        maxTotalListings: positiveInteger,
+        maxImagesPerListing: positiveInteger,
+        priceMarkup: PRICE_MARKUP,
+        filters: FILTERS,
+        pagination: PAGINATION,
+        imageRenditions: {
+          type: 'object',
+          required: true,
+          properties: {
+            formats: { type: 'array', required: true, items: { type: 'string', enum: ['webp', 'avif'] } },
+            primary: { type: 'string', required: true },
+            sizes: { type: 'object', required: true, values: RENDITION_SIZE },
+            maxHashDistance: { type: 'integer', min: 0, max: 64 }
+          }
+        },
+        imageAnalysis: {
+          type: 'object',
+          properties: {
+            enabled: boolean,
+            watermarks: { type: 'string', enum: ['flag', 'blur'] },
+            heroRanking: boolean
+          }
+        },
+        storage: {
+          type: 'object',
+          properties: {
+            listings: { type: 'string', enum: ['supabase', 'local'] },
+            images: { type: 'string', enum: ['supabase', 'local', 's3'] },
+            local: { type: 'object', properties: { dir: string, publicUrl: string } },
+            supabase: { type: 'object', properties: { bucket: string } },
+            s3: {
+              type: 'object',
+              properties: { endpoint: string, region: string, bucket: string, publicUrl: string, forcePathStyle: boolean }
+            }
+          }
+        },
+        concurrency: {
+          type: 'object',
+          properties: {
+            pages: positiveInteger,
+            rateLimits: {
+              type: 'object',
+              values: {
+                type: 'object',
+                properties: {
+                  requestsPerSecond: { type: 'number', required: true, min: 0.001 },
+                  burst: positiveInteger
+                }
+              }
+            }
+          }
+        },
+        checkpoint: { type: 'object', properties: { path: string, maxAgeHours: { type: 'number', min: 0 } } },
+        browser: {
+          type: 'object',
+          properties: {
+            persistProfile: boolean,
+            profileDir: string,
+            settleMs: { type: 'integer', min: 0 },
+            userAgents: { type: 'array', minItems: 1, items: string },
+            viewports: { type: 'array', minItems: 1, items: { type: 'object', properties: { width: { ...positiveInteger, required: true }, height: { ...positiveInteger, required: true } } } },
+            consentSelectors: { type: 'array', items: string },
+            consentLabels: { type: 'array', items: string },
+            blockTexts: { type: 'array', items: string }
+          }
+        },
+        retry: {
+          type: 'object',
+          properties: {
+            attempts: positiveInteger,
+            baseDelayMs: { type: 'integer', min: 0 },
+            maxDelayMs: { type: 'integer', min: 0 },
+            blockThreshold: positiveInteger,
+            queuePath: string,
+            queueAttempts: positiveInteger
+          }
+        },
+        drift: {
+          type: 'object',
+          properties: {
+            enabled: boolean,
+            historyPath: string,
+            historyRuns: positiveInteger,
+            minRuns: positiveInteger,
+            maxDrop: { type: 'number', min: 0, max: 1 },
+            minListings: { type: 'integer', min: 0 },
+            minBaselineFill: { type: 'number', min: 0, max: 1 },
+            webhook: {
+              type: 'object',
+              properties: {
+                type: { type: 'string', enum: ['slack', 'teams', 'generic'] },
+                url: { type: 'string', format: 'url' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// ===========================================
+// Validation
+// ===========================================
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function hasType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'object') return typeOf(value) === 'object';
+  return typeOf(value) === type;
+}
+
+function checkFormat(format, value) {
+  try {
+    if (format === 'url') new URL(value);
+    if (format === 'regex') new RegExp(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function checkValue(rule, value, at, errors) {
+  if (!hasType(value, rule.type)) {
+    errors.push(`${at} should be ${rule.type}, got ${JSON.stringify(value)}`);
+    return;
+  }
+  if (rule.min !== undefined && value < rule.min) errors.push(`${at} is ${value}, the minimum is ${rule.min}`);
+  if (rule.max !== undefined && value > rule.max) errors.push(`${at} is ${value}, the maximum is ${rule.max}`);
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push(`${at} is "${value}", expected one of ${rule.enum.join(', ')}`);
+  }
+  if (rule.format && !checkFormat(rule.format, value)) errors.push(`${at} "${value}" is not a valid ${rule.format}`);
+  
+  if (rule.minItems !== undefined && value.length < rule.minItems) {
+    errors.push(`${at} has ${value.length} items, the minimum is ${rule.minItems}`);
+  }
+  if (rule.items) value.forEach((item, i) => checkValue(rule.items, item, `${at}[${i}]`, errors));
+  if (rule.values) {
+    for (const [key, item] of Object.entries(value)) checkValue(rule.values, item, `${at}.${key}`, errors);
+  }
+  if (rule.properties) {
+    for (const [key, property] of Object.entries(rule.properties)) {
+      if (value[key] === undefined) {
+        if (property.required) errors.push(`${at}.${key} is missing`);
+      } else {
+        checkValue(property, value[key], `${at}.${key}`, errors);
+      }
+    }
+    for (const key of Object.keys(value)) {
+      if (!(key in rule.properties)) errors.push(`${at}.${key} is not a known setting`);
+    }
+  }
+}
+
+// Returns the config's problems as messages, empty when it is valid
+export function validateConfig(config, schema = CONFIG_SCHEMA) {
+  const errors = [];
+  checkValue(schema, config, 'config', errors);
+  if (errors.length > 0) return errors;
+  
+  // Checks that involve more than one setting
+  const { primary, sizes } = config.settings.imageRenditions;
+  if (!(primary in sizes)) {
+    errors.push(`config.settings.imageRenditions.primary "${primary}" is not one of the sizes (${Object.keys(sizes).join(', ')})`);
+  }
+  const urls = new Set();
+  config.dealers.forEach(({ url }, i) => {
+    if (urls.has(url)) errors.push(`config.dealers[${i}].url ${url} is listed twice`);
+    urls.add(url);
+  });
+  return errors;
+}
+
+// ===========================================
+// Loading
+// ===========================================
+
+// Objects merge key by key, anything else in the overlay replaces the base
+export function mergeConfig(base, overlay) {
+  if (typeOf(base) !== 'object' || typeOf(overlay) !== 'object') return overlay;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overlay)) {
+    merged[key] = key in base ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
+
+async function readConfigFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (err) {
+    throw Object.assign(new Error(`Could not read ${filePath}: ${err.message}`), { code: 'INVALID_CONFIG', problems: [err.message] });
+  }
+}
+
+// Reads config/dealers.json plus the overlay for `env`, validates the result and
+// fills in the top-level defaults. Throws an INVALID_CONFIG error listing every
+// problem, also as `problems`.
+export async function loadConfig(rootDir, { env = process.env.SYNC_ENV } = {}) {
+  const files = [path.join(rootDir, 'config/dealers.json')];
+  if (env) files.push(path.join(rootDir, `config/dealers.${env}.json`));
+  
+  let config = {};
+  for (const file of files) {
+    config = mergeConfig(config, await readConfigFile(file));
+  }
+  
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    const names = files.map(file => path.relative(rootDir, file)).join(' + ');
+    const message = `Invalid config (${names}):\n${errors.map(error => `  - ${error}`).join('\n')}`;
+    throw Object.assign(new Error(message), { code: 'INVALID_CONFIG', problems: errors });
+  }
+  
+  config.settings = { ...DEFAULT_SETTINGS, ...config.settings };
+  return config;
+}
+
+// ===========================================
+// Per-dealer settings
+// ===========================================
+
+// A dealer by its name, URL, dealer key or mobile.de customer ID
+export function findDealer(config, id) {
+  return config.dealers.find(dealer =>
+    dealer.name === id ||
+    dealer.url === id ||
+    generateDealerKey(dealer.url) === id ||
+    new URL(dealer.url).searchParams.get('customerId') === id
+  ) || null;
+}
+
+// A dealer's own values win over the global ones. Filters combine per key,
+// a dealer's price markup replaces the global one.
+export function resolveDealerSettings(config, dealer) {
+  const { settings } = config;
+  return {
+    enabled: dealer.enabled ?? true,
+    maxListings: dealer.maxListings ?? settings.maxListingsPerDealer ?? DEFAULT_SETTINGS.maxListingsPerDealer,
+    maxImages: dealer.maxImages ?? settings.maxImagesPerListing ?? DEFAULT_SETTINGS.maxImagesPerListing,
+    priceMarkup: dealer.priceMarkup ?? settings.priceMarkup ?? null,
+    filters: { ...settings.filters, ...dealer.filters }
+  };
+}
+
+// Why a normalized listing falls outside the dealer's filters, or null. Unknown
+// values never exclude a listing.
+export function filterReason(vehicle, filters = {}) {
+  const year = vehicle.first_registration ? parseInt(vehicle.first_registration.substring(0, 4), 10) : null;
+  if (filters.minYear && year && year < filters.minYear) {
+    return `first registered ${year}, before ${filters.minYear}`;
+  }
+  if (filters.maxMileage !== undefined && Number.isInteger(vehicle.mileage) && vehicle.mileage > filters.maxMileage) {
+    return `${vehicle.mileage} km, above ${filters.maxMileage} km`;
+  }
+  if (vehicle.body_type && filters.excludeBodyTypes?.includes(vehicle.body_type)) {
+    return `body type ${vehicle.body_type} is excluded`;
+  }
+  return null;
+}
+
+// Gross and net price with the dealer's markup: percent first, then the fixed
+// amount, rounded to whole euros
+export function applyPriceMarkup(vehicle, markup) {
+  if (!markup) return vehicle;
+  const { percent = 0, amount = 0 } = markup;
+  const apply = price => (Number.isInteger(price) ? Math.round(price * (1 + percent / 100) + amount) : price);
+  return { ...vehicle, price: apply(vehicle.price), price_net: apply(vehicle.price_net) };
+}
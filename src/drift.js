@@ -0,0 +1,157 @@
+/**
+ * Extraction drift detection
+ *
+ * A markup change at the source doesn't crash the sync, it quietly yields no
+ * listings or empty fields. Each run's extraction statistics (fill rate per
+ * raw field, listings found per dealer, photos per listing) are compared with
+ * the median of earlier runs. A sharp drop fails the run and is reported
+ * through a webhook. Thanks to the median, a drop only becomes the new baseline
+ * once it has lasted for half the history, e.g. when a dealer really shrank.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const DEFAULT_DRIFT = {
+  enabled: true,
+  historyPath: '.sync-state/extraction-history.json',
+  historyRuns: 10, // Runs kept for the baseline
+  minRuns: 3, // Runs needed before anything is compared
+  maxDrop: 0.5, // Share a metric may fall below its baseline
+  minListings: 5, // Listings a run needs for its field fill rates to count
+  minBaselineFill: 0.5, // Fields filled less often than this are too sparse to watch
+  webhook: null // { type: 'slack' | 'teams' | 'generic', url }
+};
+
+// Flags that are legitimately false on most listings
+const IGNORED_FIELDS = ['fieldSources', 'priceNegotiable', 'vatDeductible'];
+
+// ===========================================
+// Statistics
+// ===========================================
+
+export function createExtractionStats() {
+  return { listingsScraped: 0, imagesTotal: 0, fieldsFilled: {}, listingsFound: {} };
+}
+
+// Counts one scraped listing's non-empty raw fields and photos
+export function recordExtraction(stats, rawData) {
+  stats.listingsScraped++;
+  stats.imagesTotal += rawData.images?.length || 0;
+  for (const [field, value] of Object.entries(rawData)) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    if (!(field in stats.fieldsFilled)) stats.fieldsFilled[field] = 0;
+    const filled = Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined && value !== '';
+    if (filled) stats.fieldsFilled[field]++;
+  }
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// The run's metrics, as stored in the history
+export function summarizeExtraction(stats, now = new Date()) {
+  const { listingsScraped } = stats;
+  const fieldFill = {};
+  for (const [field, filled] of Object.entries(stats.fieldsFilled)) {
+    fieldFill[field] = round(filled / listingsScraped);
+  }
+  return {
+    at: now.toISOString(),
+    listingsScraped,
+    fieldFill,
+    imagesPerListing: listingsScraped > 0 ? round(stats.imagesTotal / listingsScraped) : null,
+    listingsPerDealer: { ...stats.listingsFound }
+  };
+}
+
+// ===========================================
+// Baseline
+// ===========================================
+
+function median(values) {
+  const sorted = values.filter(value => typeof value === 'number').sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Compares a run's metrics with the median of earlier runs. Returns the drops as
+// [{ metric, baseline, current }], empty while the history is too short.
+export function detectDrift(current, history, options = {}) {
+  const { minRuns, maxDrop, minListings, minBaselineFill } = { ...DEFAULT_DRIFT, ...options };
+  if (history.length < minRuns) return [];
+  
+  const drops = [];
+  function compare(metric, baseline, value) {
+    if (baseline === null || baseline === 0) return;
+    if ((value ?? 0) < baseline * (1 - maxDrop)) {
+      drops.push({ metric, baseline: round(baseline), current: value ?? 0 });
+    }
+  }
+  
+  for (const dealer of Object.keys(current.listingsPerDealer)) {
+    const runs = history.filter(run => dealer in run.listingsPerDealer);
+    if (runs.length < minRuns) continue; // A new dealer has no baseline yet
+    compare(`listings found: ${dealer}`, median(runs.map(run => run.listingsPerDealer[dealer])), current.listingsPerDealer[dealer]);
+  }
+  
+  // Field rates from a handful of listings are noise
+  if (current.listingsScraped < minListings) return drops;
+  const fieldRuns = history.filter(run => run.listingsScraped >= minListings);
+  if (fieldRuns.length < minRuns) return drops;
+  
+  compare('images per listing', median(fieldRuns.map(run => run.imagesPerListing)), current.imagesPerListing);
+  const fields = new Set(fieldRuns.flatMap(run => Object.keys(run.fieldFill)));
+  for (const field of fields) {
+    const baseline = median(fieldRuns.map(run => run.fieldFill[field] ?? 0));
+    if (baseline < minBaselineFill) continue;
+    compare(`field fill: ${field}`, baseline, current.fieldFill[field]);
+  }
+  
+  return drops;
+}
+
+export async function loadHistory(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+// Appends the run and keeps the last `historyRuns`
+export async function saveHistory(filePath, history, run, historyRuns = DEFAULT_DRIFT.historyRuns) {
+  const next = [...history, run].slice(-historyRuns);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(next, null, 2));
+  return next;
+}
+
+// ===========================================
+// Alerting
+// ===========================================
+
+export function formatDriftReport(drops, { startedAt } = {}) {
+  const lines = drops.map(({ metric, baseline, current }) => `• ${metric}: ${current} (baseline ${baseline})`);
+  return [`⚠️ Vehicle sync extraction drift in the run started ${startedAt}:`, ...lines].join('\n');
+}
+
+// Slack and Teams incoming webhooks both take { text }, anything else gets the
+// drops as JSON. Throws on failure.
+export async function sendDriftAlert(webhook, drops, { startedAt, metrics } = {}) {
+  const text = formatDriftReport(drops, { startedAt });
+  const body = webhook.type === 'slack' || webhook.type === 'teams'
+    ? { text }
+    : { event: 'extraction_drift', startedAt, drops, metrics, text };
+  
+  const response = await fetch(webhook.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(15000)
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook returned HTTP ${response.status}`);
+  }
+}
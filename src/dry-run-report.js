@@ -0,0 +1,135 @@
+/**
+ * Dry-run report
+ *
+ * Collects what a sync would have written and saves it as
+ * dry-run-report.json plus a self-contained dry-run-report.html for review.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Fields shown as the card header, everything else goes into the detail table
+const HEADLINE_FIELDS = ['make', 'model', 'price', 'mileage', 'first_registration'];
+const HIDDEN_FIELDS = ['images', 'image_renditions', 'image_hashes', 'image_analysis', 'features', 'source_key', 'source_dealer_key', 'fingerprint', 'quality_problems', 'labels', 'field_sources'];
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '<span class="empty">—</span>';
+  return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value);
+}
+
+function renderInserted(listing) {
+  const images = listing.images
+    .map(src => `<img src="${escapeHtml(src)}" loading="lazy" alt="">`)
+    .join('');
+  const rows = Object.entries(listing)
+    .filter(([key]) => !HEADLINE_FIELDS.includes(key) && !HIDDEN_FIELDS.includes(key))
+    .map(([key, value]) => `<tr><th>${escapeHtml(key)}</th><td>${formatValue(value)}</td></tr>`)
+    .join('');
+  const problems = (listing.quality_problems || [])
+    .map(({ severity, message }) => `<li class="${escapeHtml(severity)}">${escapeHtml(message)}</li>`)
+    .join('');
+  const features = listing.features.length > 0
+    ? `<p class="features">${listing.features.map(escapeHtml).join(' · ')}</p>`
+    : '';
+  
+  return `
+    <section class="card">
+      <h3>${escapeHtml(listing.make)} ${escapeHtml(listing.model)}</h3>
+      <p class="headline">
+        ${formatValue(listing.price)} € · ${formatValue(listing.mileage)} km · EZ ${formatValue(listing.first_registration)}
+        · <code>${escapeHtml(listing.slug)}</code>
+        · quality ${formatValue(listing.quality_score)}${listing.published === false ? ' · <strong>unpublished</strong>' : ''}
+      </p>
+      ${problems ? `<ul class="problems">${problems}</ul>` : ''}
+      <div class="gallery">${images || '<span class="empty">No images</span>'}</div>
+      ${features}
+      <details><summary>All fields</summary><table>${rows}</table></details>
+    </section>`;
+}
+
+function renderUpdated({ row, changes }) {
+  const rows = Object.entries(changes)
+    .map(([field, { from, to }]) => `<tr><th>${escapeHtml(field)}</th><td>${formatValue(from)}</td><td>→ ${formatValue(to)}</td></tr>`)
+    .join('');
+  return `<tr><td><code>${escapeHtml(row.slug)}</code></td><td><table>${rows}</table></td></tr>`;
+}
+
+function renderRemoved(row) {
+  return `<tr><td><code>${escapeHtml(row.slug)}</code></td><td>${formatValue(row.price)} €</td><td>${formatValue(row.mileage)} km</td></tr>`;
+}
+
+function renderHtml(report) {
+  const { summary, inserted, updated, removed, errors } = report;
+  const errorRows = errors
+    .map(err => `<tr><td>${escapeHtml(err.type)}</td><td>${escapeHtml(err.url || err.listing || '')}</td><td>${escapeHtml(err.error)}</td></tr>`)
+    .join('');
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>CarLink24 dry run ${escapeHtml(report.generatedAt)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+  h2 { border-bottom: 1px solid #ddd; padding-bottom: .25rem; }
+  table { border-collapse: collapse; }
+  th, td { text-align: left; padding: .2rem .6rem; vertical-align: top; border-bottom: 1px solid #eee; }
+  .card { border: 1px solid #ddd; border-radius: 6px; padding: 1rem; margin-bottom: 1rem; }
+  .gallery { display: flex; gap: .5rem; overflow-x: auto; }
+  .gallery img { height: 120px; border-radius: 4px; }
+  .empty { color: #999; }
+  .features { font-size: .9em; color: #555; }
+  .problems .error { color: #b00020; }
+  .problems .warning { color: #8a6d00; }
+</style>
+</head>
+<body>
+<h1>Dry run — nothing was written</h1>
+<p>Generated ${escapeHtml(report.generatedAt)} ·
+  ${summary.inserted} new · ${summary.updated} updated · ${summary.removed} unpublished · ${summary.errors} errors</p>
+
+<h2>Would insert (${inserted.length})</h2>
+${inserted.map(renderInserted).join('') || '<p class="empty">Nothing</p>'}
+
+<h2>Would update (${updated.length})</h2>
+<table>${updated.map(renderUpdated).join('') || '<tr><td class="empty">Nothing</td></tr>'}</table>
+
+<h2>Would unpublish (${removed.length})</h2>
+<table>${removed.map(renderRemoved).join('') || '<tr><td class="empty">Nothing</td></tr>'}</table>
+
+<h2>Errors (${errors.length})</h2>
+<table>${errorRows || '<tr><td class="empty">None</td></tr>'}</table>
+</body>
+</html>
+`;
+}
+
+export async function writeDryRunReport(dir, { syncLog, inserted, updated, removed }) {
+  const report = {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      inserted: inserted.length,
+      updated: updated.length,
+      removed: removed.length,
+      errors: syncLog.errors.length
+    },
+    inserted,
+    updated: updated.map(({ row, changes }) => ({ row, changes })),
+    removed,
+    errors: syncLog.errors
+  };
+  
+  const jsonPath = path.join(dir, 'dry-run-report.json');
+  const htmlPath = path.join(dir, 'dry-run-report.html');
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
+  await fs.writeFile(htmlPath, renderHtml(report));
+  return { jsonPath, htmlPath };
+}
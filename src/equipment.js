@@ -0,0 +1,139 @@
+/**
+ * Equipment taxonomy
+ *
+ * Maps the German "Ausstattung" strings and the Klimatisierung, Einparkhilfe
+ * and Airbags fields onto canonical equipment keys the website can filter on.
+ * One string can yield several keys ("Sitzheizung vorn und hinten"). Strings
+ * no pattern matches are returned as `unmapped` so the vocabulary can grow.
+ */
+
+// ===========================================
+// Vocabulary
+// ===========================================
+
+// Patterns are tested against the lower-cased string. Order doesn't matter,
+// every matching key is added.
+export const EQUIPMENT_VOCABULARY = [
+  // Infotainment
+  { key: 'NAVIGATION', patterns: [/navi/] },
+  { key: 'BLUETOOTH', patterns: [/bluetooth/] },
+  { key: 'APPLE_CARPLAY', patterns: [/carplay/] },
+  { key: 'ANDROID_AUTO', patterns: [/android\s*auto/] },
+  { key: 'DAB_RADIO', patterns: [/\bdab\b|digitalradio/] },
+  { key: 'HEAD_UP_DISPLAY', patterns: [/head[-\s]?up/] },
+  { key: 'DIGITAL_COCKPIT', patterns: [/digitales? (cockpit|kombiinstrument)|virtual cockpit|live cockpit/] },
+  { key: 'SOUND_SYSTEM', patterns: [/soundsystem|hifi|hi-fi|harman|bang\s*&?\s*olufsen|burmester|bose/] },
+  { key: 'WIRELESS_CHARGING', patterns: [/induktiv|kabellos(es)? laden/] },
+  { key: 'HANDS_FREE', patterns: [/freisprech/] },
+  { key: 'USB', patterns: [/\busb\b/] },
+  
+  // Comfort
+  { key: 'HEATED_SEATS_FRONT', patterns: [/sitzheizung(?!\s+hinten)/] },
+  { key: 'HEATED_SEATS_REAR', patterns: [/sitzheizung.*hinten/] },
+  { key: 'VENTILATED_SEATS', patterns: [/sitzbelüftung|belüftete sitze|klimatisierte sitze/] },
+  { key: 'MASSAGE_SEATS', patterns: [/massage/] },
+  { key: 'ELECTRIC_SEATS', patterns: [/elektr(\.|isch)?\s*(verstellbare|einstellbare)? ?sitze|sitze,? elektrisch|memory/] },
+  { key: 'SPORT_SEATS', patterns: [/sportsitz/] },
+  { key: 'HEATED_STEERING_WHEEL', patterns: [/lenkradheizung|beheizbares lenkrad/] },
+  { key: 'MULTIFUNCTION_STEERING_WHEEL', patterns: [/multifunktionslenkrad/] },
+  { key: 'AUXILIARY_HEATING', patterns: [/standheizung/] },
+  { key: 'KEYLESS_ENTRY', patterns: [/keyless|schlüssellos/] },
+  { key: 'ELECTRIC_TAILGATE', patterns: [/elektr(\.|ische)? heckklappe|heckklappe,? elektrisch/] },
+  { key: 'SUNROOF', patterns: [/schiebedach|panorama/] },
+  { key: 'ELECTRIC_WINDOWS', patterns: [/elektr(\.|ische)? fensterheber/] },
+  { key: 'ARMREST', patterns: [/armlehne/] },
+  { key: 'AMBIENT_LIGHTING', patterns: [/ambiente/] },
+  { key: 'RAIN_SENSOR', patterns: [/regensensor/] },
+  { key: 'LIGHT_SENSOR', patterns: [/lichtsensor/] },
+  
+  // Climate
+  { key: 'AIR_CONDITIONING', patterns: [/klimaanlage|klimaautomatik|\d-zonen-klima/] },
+  { key: 'CLIMATE_CONTROL_AUTOMATIC', patterns: [/klimaautomatik/] },
+  { key: 'CLIMATE_CONTROL_MULTI_ZONE', patterns: [/[2-4]-zonen-klima/] },
+  
+  // Assistance
+  { key: 'CRUISE_CONTROL', patterns: [/tempomat|geschwindigkeitsregelanlage/] },
+  { key: 'ADAPTIVE_CRUISE_CONTROL', patterns: [/abstandstempomat|adaptive[rs]? (tempomat|geschwindigkeitsregel)|\bacc\b|distronic/] },
+  { key: 'SPEED_LIMITER', patterns: [/geschwindigkeitsbegrenz|limiter/] },
+  { key: 'LANE_ASSIST', patterns: [/spurhalte|spurassistent|lane assist/] },
+  { key: 'BLIND_SPOT_ASSIST', patterns: [/totwinkel|toter winkel|spurwechselassistent/] },
+  { key: 'TRAFFIC_SIGN_RECOGNITION', patterns: [/verkehrszeichenerkennung/] },
+  { key: 'EMERGENCY_BRAKE_ASSIST', patterns: [/notbrems|kollisionswarn/] },
+  { key: 'PARKING_SENSORS_FRONT', patterns: [/einparkhilfe.*vorn|parksensoren.*vorn/] },
+  { key: 'PARKING_SENSORS_REAR', patterns: [/einparkhilfe.*hinten|parksensoren.*hinten/] },
+  { key: 'PARKING_CAMERA', patterns: [/kamera/] },
+  { key: 'CAMERA_360', patterns: [/360°|360 grad|surround view|umgebungskamera/] },
+  { key: 'PARK_ASSIST', patterns: [/einparkassistent|selbstlenkende systeme|parkassistent|park assist/] },
+  { key: 'HILL_START_ASSIST', patterns: [/berganfahr/] },
+  
+  // Lights
+  { key: 'LED_HEADLIGHTS', patterns: [/led-scheinwerfer|led scheinwerfer|matrix/] },
+  { key: 'XENON_HEADLIGHTS', patterns: [/xenon/] },
+  { key: 'LASER_HEADLIGHTS', patterns: [/laserlicht/] },
+  { key: 'DAYTIME_RUNNING_LIGHTS', patterns: [/tagfahrlicht/] },
+  { key: 'FOG_LIGHTS', patterns: [/nebelscheinwerfer/] },
+  { key: 'HIGH_BEAM_ASSIST', patterns: [/fernlichtassistent/] },
+  { key: 'CORNERING_LIGHTS', patterns: [/kurvenlicht/] },
+  
+  // Exterior & practicality
+  { key: 'TOW_BAR', patterns: [/anhängerkupplung|\bahk\b/] },
+  { key: 'ROOF_RAILS', patterns: [/dachreling/] },
+  { key: 'ALLOY_WHEELS', patterns: [/leichtmetallfelgen|alufelgen/] },
+  { key: 'TINTED_WINDOWS', patterns: [/getönte scheiben|privacy/] },
+  { key: 'SPORT_PACKAGE', patterns: [/sportpaket|m sport|s line|amg line|r-line/] },
+  { key: 'AIR_SUSPENSION', patterns: [/luftfederung/] },
+  { key: 'SPORT_SUSPENSION', patterns: [/sportfahrwerk/] },
+  { key: 'ISOFIX', patterns: [/isofix/] },
+  { key: 'SPARE_WHEEL', patterns: [/reserverad|notrad/] },
+  { key: 'START_STOP', patterns: [/start[-\/\s]?stopp?/] },
+  
+  // Safety
+  { key: 'ABS', patterns: [/\babs\b/] },
+  { key: 'ESP', patterns: [/\besp\b/] },
+  { key: 'IMMOBILIZER', patterns: [/wegfahrsperre/] },
+  { key: 'ALARM', patterns: [/alarmanlage/] },
+  { key: 'TIRE_PRESSURE_MONITORING', patterns: [/reifendruck/] },
+  { key: 'AIRBAGS_FRONT', patterns: [/front(airbag|-)|fahrer-airbag|beifahrer-airbag/] },
+  { key: 'AIRBAGS_SIDE', patterns: [/seiten(airbag|-)/] },
+  { key: 'AIRBAGS_MORE', patterns: [/weitere airbags|knieairbag|kopfairbag/] }
+];
+
+// ===========================================
+// Matching
+// ===========================================
+
+// Einparkhilfe is a comma list ("Vorne, Hinten, Kamera"), so each part is
+// matched on its own with the field name in front
+function splitParkingAssist(value) {
+  return value.split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => `Einparkhilfe ${part}`);
+}
+
+export function matchEquipment(text) {
+  const lower = text.toLowerCase().trim();
+  return EQUIPMENT_VOCABULARY
+    .filter(({ patterns }) => patterns.some(pattern => pattern.test(lower)))
+    .map(({ key }) => key);
+}
+
+// Returns the sorted canonical keys plus every string that matched nothing
+export function normalizeEquipment({ features = [], climate, parkingAssist, airbags } = {}) {
+  const sources = [
+    ...features,
+    ...(climate ? [climate] : []),
+    ...(parkingAssist ? splitParkingAssist(parkingAssist) : []),
+    ...(airbags ? [airbags] : [])
+  ];
+  
+  const keys = new Set();
+  const unmapped = [];
+  for (const source of sources) {
+    const matched = matchEquipment(source);
+    if (matched.length === 0) unmapped.push(source);
+    matched.forEach(key => keys.add(key));
+  }
+  
+  return { equipment: [...keys].sort(), unmapped };
+}
@@ -0,0 +1,145 @@
+/**
+ * mobile.de DOM extraction
+ *
+ * These functions run inside the browser through `page.evaluate`, and against
+ * saved HTML (jsdom) in the test suite. Puppeteer serializes them with
+ * `toString()`, so they must stay self-contained: no imports, no references
+ * to anything outside the function body.
+ */
+
+export function extractSearchResults(doc = document) {
+  const urls = [];
+  const seenIds = new Set();
+  
+  doc.querySelectorAll('a[href*="/fahrzeuge/details.html?id="]').forEach(link => {
+    const href = link.href;
+    const idMatch = href.match(/[?&]id=(\d+)/);
+    if (idMatch && !seenIds.has(idMatch[1])) {
+      seenIds.add(idMatch[1]);
+      urls.push({
+        url: `https://suchen.mobile.de/fahrzeuge/details.html?id=${idMatch[1]}`,
+        id: idMatch[1]
+      });
+    }
+  });
+  
+  return urls;
+}
+
+export function extractListingDetails(doc = document) {
+  const details = {};
+  
+  // Title
+  details.title = doc.title.split('für')[0].trim() || '';
+  
+  // Price
+  let priceEl = null;
+  doc.querySelectorAll('*').forEach(el => {
+    const text = el.textContent?.trim() || '';
+    if (text.match(/^\d{1,3}(\.\d{3})*\s*€$/) && !details.price) {
+      details.price = text.replace(/[^\d]/g, '');
+      priceEl = el;
+    }
+  });
+  
+  // Price terms next to the price: "VB", "MwSt. ausweisbar", "22.681 € (Netto)"
+  const priceBlock = priceEl?.closest('aside, [role="complementary"]') || priceEl?.parentElement;
+  const priceText = priceBlock?.textContent?.replace(/\s+/g, ' ') || '';
+  details.priceNegotiable = /\bVB\b|Verhandlungsbasis/.test(priceText);
+  details.vatDeductible = /MwSt\.?\s*ausweisbar/i.test(priceText);
+  details.netPrice = priceText.match(/(\d{1,3}(?:\.\d{3})*)\s*€\s*\(?Netto/i)?.[1] || '';
+  
+  // mobile.de price rating badge
+  const ratingEl = Array.from(doc.querySelectorAll('*'))
+    .find(el => /^(Sehr guter|Guter|Fairer|Erhöhter|Hoher) Preis$/.test(el.textContent?.trim() || ''));
+  details.priceRating = ratingEl?.textContent.trim() || '';
+  
+  // Helper to find values
+  const findValue = (labelText) => {
+    const dt = Array.from(doc.querySelectorAll('dt')).find(e => e.textContent?.trim() === labelText);
+    if (dt) {
+      const dd = dt.nextElementSibling;
+      if (dd?.tagName === 'DD') {
+        const value = dd.textContent?.trim();
+        if (value && value.length < 150) return value;
+      }
+    }
+    return '';
+  };
+  
+  // Extract all fields
+  details.make = findValue('Marke');
+  details.model = findValue('Modell');
+  details.mileage = findValue('Kilometerstand');
+  details.power = findValue('Leistung');
+  details.fuelType = findValue('Kraftstoffart');
+  details.transmission = findValue('Getriebe');
+  details.firstRegistration = findValue('Erstzulassung');
+  details.owners = findValue('Fahrzeughalter') || findValue('Anzahl der Fahrzeughalter');
+  details.condition = findValue('Fahrzeugzustand');
+  details.bodyType = findValue('Kategorie');
+  details.series = findValue('Baureihe');
+  details.variant = findValue('Ausstattungslinie');
+  details.hubraum = findValue('Hubraum');
+  details.driveType = findValue('Antriebsart');
+  details.seats = findValue('Anzahl Sitzplätze');
+  details.doors = findValue('Anzahl der Türen');
+  details.emissionClass = findValue('Schadstoffklasse');
+  details.emissionSticker = findValue('Umweltplakette');
+  details.hu = findValue('HU');
+  details.climate = findValue('Klimatisierung');
+  details.parkingAssist = findValue('Einparkhilfe');
+  details.airbags = findValue('Airbags');
+  details.colorManufacturer = findValue('Farbe (Hersteller)');
+  details.color = findValue('Farbe');
+  details.interior = findValue('Innenausstattung');
+  details.weight = findValue('Gewicht');
+  details.cylinders = findValue('Zylinder');
+  details.tankSize = findValue('Tankgröße');
+  details.consumption = findValue('Verbrauch') || findValue('Kraftstoffverbrauch') ||
+    findValue('Energieverbrauch (komb.)') || findValue('Stromverbrauch');
+  details.co2 = findValue('CO₂-Emissionen') || findValue('CO2-Emissionen') || findValue('CO₂-Emissionen (komb.)');
+  details.efficiencyClass = findValue('CO₂-Klasse') || findValue('Energieeffizienzklasse');
+  details.batteryCapacity = findValue('Batteriekapazität (in kWh)') || findValue('Batteriekapazität');
+  details.electricRange = findValue('Elektrische Reichweite') || findValue('Reichweite');
+  
+  // Subtitle
+  const subheadlineEl = doc.querySelector('aside h2 + p, [role="complementary"] h2 + p');
+  if (subheadlineEl) {
+    const subText = subheadlineEl.textContent?.trim();
+    if (subText && !subText.includes('€') && subText.length < 200) {
+      details.subtitle = subText;
+    }
+  }
+  
+  // Features
+  const features = [];
+  doc.querySelectorAll('article').forEach(art => {
+    const heading = art.querySelector('h2, h3');
+    if (heading?.textContent?.includes('Ausstattung')) {
+      art.querySelectorAll('li').forEach(li => {
+        const text = li.textContent?.trim();
+        if (text && text.length > 1 && text.length < 80) {
+          features.push(text);
+        }
+      });
+    }
+  });
+  details.features = features;
+  
+  // Images
+  const images = [];
+  const seenImages = new Set();
+  doc.querySelectorAll('img').forEach(img => {
+    const src = img.src || '';
+    if (!src.includes('img.classistatic.de/api/v1/mo-prod/images/')) return;
+    const baseUrl = src.split('?')[0];
+    if (!seenImages.has(baseUrl)) {
+      seenImages.add(baseUrl);
+      images.push(baseUrl + '?rule=mo-1600');
+    }
+  });
+  details.images = images;
+  
+  return details;
+}
@@ -0,0 +1,230 @@
+/**
+ * Photo analysis: where the car is and where overlays are
+ *
+ * Runs on a small greyscale copy of each photo, CPU only. The car is located
+ * from edge energy (studio walls and tarmac are smooth, the car isn't) and
+ * cover crops are placed on it instead of the photo's centre. Dealer
+ * watermarks, phone numbers and portal branding show up as wide bands of
+ * dense, sharp edges along the top or bottom of the photo and can be blurred.
+ * Both are heuristics: results are recorded per photo, nothing is dropped.
+ */
+
+import sharp from 'sharp';
+
+const ANALYSIS_WIDTH = 400;
+const CELL_SIZE = 10; // Overlay detection grid, in analysis pixels
+const EDGE_THRESHOLD = 48; // Neighbour difference that counts as a sharp edge
+const OVERLAY_DENSITY = 0.15; // Share of sharp edges that marks a cell as text
+const OVERLAY_MIN_CELLS = 3; // Text lines are wide, single busy cells are car detail
+const OVERLAY_BANDS = { top: 0.15, bottom: 0.2 }; // Where overlays are looked for
+const SMOOTHING = 0.01; // Edge profiles are averaged over ±1% of the photo
+const SUBJECT_THRESHOLD = 0.25; // Share of the way from background to peak energy
+const EDGE_MARGIN = 0.02; // A subject this close to the left/right edge is cut off
+const BLUR_SIGMA = 12;
+
+export const DEFAULT_IMAGE_ANALYSIS = {
+  enabled: true,
+  watermarks: 'flag', // 'flag' only records overlays, 'blur' also blurs them
+  heroRanking: true
+};
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// ===========================================
+// Detection
+// ===========================================
+
+// Box around the columns and rows whose edge energy stands out from the background
+function findSubject(magnitude, width, height) {
+  const columns = new Float64Array(width);
+  const rows = new Float64Array(height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      columns[x] += magnitude[y * width + x];
+      rows[y] += magnitude[y * width + x];
+    }
+  }
+  
+  // First and last position whose smoothed energy clearly stands out
+  function span(profile) {
+    const radius = Math.max(1, Math.round(profile.length * SMOOTHING));
+    const smoothed = Array.from(profile, (_, i) => {
+      let sum = 0;
+      let count = 0;
+      for (let j = Math.max(0, i - radius); j <= Math.min(profile.length - 1, i + radius); j++) {
+        sum += profile[j];
+        count++;
+      }
+      return sum / count;
+    });
+    const sorted = [...smoothed].sort((a, b) => a - b);
+    const background = sorted[Math.floor(sorted.length * 0.2)];
+    const peak = sorted[Math.floor(sorted.length * 0.9)];
+    const threshold = background + (peak - background) * SUBJECT_THRESHOLD;
+    
+    const start = smoothed.findIndex(value => value > threshold);
+    if (peak === background || start === -1) return [0, profile.length];
+    const end = smoothed.findLastIndex(value => value > threshold) + 1;
+    return [start, end];
+  }
+  
+  const [left, right] = span(columns);
+  const [top, bottom] = span(rows);
+  return {
+    left: round(left / width),
+    top: round(top / height),
+    width: round((right - left) / width),
+    height: round((bottom - top) / height)
+  };
+}
+
+// Wide runs of text-like cells in the top and bottom bands, merged into pixel boxes
+function findOverlays(pixels, width, height) {
+  const cols = Math.floor(width / CELL_SIZE);
+  const rows = Math.floor(height / CELL_SIZE);
+  const topRows = Math.ceil(rows * OVERLAY_BANDS.top);
+  const bottomRows = Math.floor(rows * (1 - OVERLAY_BANDS.bottom));
+  
+  function isTextCell(col, row) {
+    let edges = 0;
+    for (let y = row * CELL_SIZE; y < (row + 1) * CELL_SIZE; y++) {
+      for (let x = col * CELL_SIZE; x < (col + 1) * CELL_SIZE; x++) {
+        if (Math.abs(pixels[y * width + x + 1] - pixels[y * width + x]) > EDGE_THRESHOLD) edges++;
+      }
+    }
+    return edges / (CELL_SIZE * CELL_SIZE) >= OVERLAY_DENSITY;
+  }
+  
+  const boxes = [];
+  for (let row = 0; row < rows; row++) {
+    if (row >= topRows && row < bottomRows) continue;
+    let runStart = null;
+    for (let col = 0; col <= cols; col++) {
+      const text = col < cols && (col + 1) * CELL_SIZE < width && isTextCell(col, row);
+      if (text && runStart === null) runStart = col;
+      if (!text && runStart !== null) {
+        if (col - runStart >= OVERLAY_MIN_CELLS) {
+          // Grow the box of the line above when the run continues it
+          const above = boxes.find(box => box.bottom === row && box.left < col && box.right > runStart);
+          if (above) {
+            above.bottom = row + 1;
+            above.left = Math.min(above.left, runStart);
+            above.right = Math.max(above.right, col);
+          } else {
+            boxes.push({ left: runStart, right: col, top: row, bottom: row + 1 });
+          }
+        }
+        runStart = null;
+      }
+    }
+  }
+  
+  return boxes.map(box => ({
+    left: box.left * CELL_SIZE,
+    right: box.right * CELL_SIZE,
+    top: box.top * CELL_SIZE,
+    bottom: box.bottom * CELL_SIZE
+  }));
+}
+
+// Returns { subject, wholeSubject, overlays } with boxes as fractions of the
+// (EXIF-rotated) photo: { left, top, width, height }
+export async function analyzeImage(buffer) {
+  const { data: pixels, info } = await sharp(buffer)
+    .rotate()
+    .greyscale()
+    .resize(ANALYSIS_WIDTH, null, { withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  
+  const magnitude = new Float64Array(width * height);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      magnitude[i] = Math.abs(pixels[i + 1] - pixels[i - 1]) + Math.abs(pixels[i + width] - pixels[i - width]);
+    }
+  }
+  
+  // Overlays aren't part of the car
+  const overlays = findOverlays(pixels, width, height);
+  for (const box of overlays) {
+    for (let y = box.top; y < box.bottom; y++) magnitude.fill(0, y * width + box.left, y * width + box.right);
+  }
+  
+  const subject = findSubject(magnitude, width, height);
+  return {
+    subject,
+    wholeSubject: subject.left >= EDGE_MARGIN && subject.left + subject.width <= 1 - EDGE_MARGIN,
+    overlays: overlays.map(box => ({
+      left: round(box.left / width),
+      top: round(box.top / height),
+      width: round((box.right - box.left) / width),
+      height: round((box.bottom - box.top) / height)
+    }))
+  };
+}
+
+// ===========================================
+// Cropping & ranking
+// ===========================================
+
+// Largest window with the target aspect ratio, centred on the subject as far as
+// the photo allows. Returns a sharp extract() region in pixels.
+export function cropWindow(subject, imageWidth, imageHeight, targetAspect) {
+  let width = imageWidth;
+  let height = Math.round(imageWidth / targetAspect);
+  if (height > imageHeight) {
+    height = imageHeight;
+    width = Math.round(imageHeight * targetAspect);
+  }
+  
+  const centreX = (subject.left + subject.width / 2) * imageWidth;
+  const centreY = (subject.top + subject.height / 2) * imageHeight;
+  const clamp = (value, max) => Math.min(Math.max(0, Math.round(value)), max);
+  return {
+    left: clamp(centreX - width / 2, imageWidth - width),
+    top: clamp(centreY - height / 2, imageHeight - height),
+    width,
+    height
+  };
+}
+
+// Index of the photo that should lead the listing: the first one showing the
+// whole car without overlays, else the first showing the whole car, else 0.
+// Photos without an analysis are never moved ahead.
+export function pickHero(analyses) {
+  const first = analyses[0];
+  if (!first || (first.wholeSubject && first.overlays.length === 0)) return 0;
+  
+  const clean = analyses.findIndex(a => a?.wholeSubject && a.overlays.length === 0);
+  if (clean !== -1) return clean;
+  if (first.wholeSubject) return 0;
+  const whole = analyses.findIndex(a => a?.wholeSubject);
+  return whole === -1 ? 0 : whole;
+}
+
+// ===========================================
+// Blurring
+// ===========================================
+
+// Returns the photo (EXIF-rotated) with every region blurred
+export async function blurRegions(buffer, regions) {
+  const rotated = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true });
+  const { width, height } = rotated.info;
+  
+  const composites = [];
+  for (const region of regions) {
+    const box = {
+      left: Math.round(region.left * width),
+      top: Math.round(region.top * height),
+      width: Math.min(Math.round(region.width * width), width - Math.round(region.left * width)),
+      height: Math.min(Math.round(region.height * height), height - Math.round(region.top * height))
+    };
+    if (box.width < 1 || box.height < 1) continue;
+    const input = await sharp(rotated.data).extract(box).blur(BLUR_SIGMA).toBuffer();
+    composites.push({ input, left: box.left, top: box.top });
+  }
+  
+  return sharp(rotated.data).composite(composites).toBuffer();
+}
@@ -0,0 +1,49 @@
+/**
+ * Image garbage collection
+ *
+ * Finds objects in image storage that no listing references any more: photos
+ * a dealer replaced, listings deleted from the table, and renditions from
+ * before content-addressed names. Objects younger than the grace period are
+ * kept, since a running sync may have uploaded them for a listing it hasn't
+ * inserted yet.
+ */
+
+export const DEFAULT_MIN_AGE_HOURS = 24;
+
+const LISTING_IMAGE_COLUMNS = ['images', 'image_renditions'];
+
+// Every image URL listing rows point at, primary and renditions alike
+export function referencedImageUrls(rows) {
+  const urls = new Set();
+  for (const row of rows) {
+    for (const url of row.images || []) urls.add(url);
+    for (const renditions of row.image_renditions || []) {
+      for (const formats of Object.values(renditions || {})) {
+        for (const url of Object.values(formats || {})) urls.add(url);
+      }
+    }
+  }
+  return urls;
+}
+
+// `objects` come from imageStore.list(). Objects without a timestamp are kept.
+export function findOrphanedImages(objects, referenced, publicUrl, { minAgeHours = DEFAULT_MIN_AGE_HOURS, now = Date.now() } = {}) {
+  const cutoff = now - minAgeHours * 60 * 60 * 1000;
+  return objects.filter(({ name, updatedAt }) =>
+    !referenced.has(publicUrl(name)) &&
+    updatedAt !== null && Date.parse(updatedAt) < cutoff
+  );
+}
+
+// Lists (and with `remove`, deletes) unreferenced objects. Returns the orphans.
+export async function collectImageGarbage(storage, { remove = false, minAgeHours, now } = {}) {
+  const rows = await storage.listings.loadAll(LISTING_IMAGE_COLUMNS);
+  const referenced = referencedImageUrls(rows);
+  const objects = await storage.images.list();
+  const orphans = findOrphanedImages(objects, referenced, name => storage.images.publicUrl(name), { minAgeHours, now });
+  
+  if (remove && orphans.length > 0) {
+    await storage.images.remove(orphans.map(({ name }) => name));
+  }
+  return { listings: rows.length, objects: objects.length, orphans };
+}
@@ -0,0 +1,102 @@
+/**
+ * Image hashing and the image index
+ *
+ * Every processed photo gets a content hash (SHA-256 of the downloaded bytes)
+ * and a perceptual hash (64-bit difference hash). The content hash names the
+ * uploaded renditions, so the same photo is only ever stored once. The
+ * perceptual hash survives re-encoding and resizing, which is how a dealer
+ * re-uploading the same photo under a new URL is told apart from a new one.
+ */
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+// Two photos this many bits apart or less count as the same picture
+export const DEFAULT_MAX_DISTANCE = 4;
+
+// ===========================================
+// Hashes
+// ===========================================
+
+export function contentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Difference hash: shrink to 9×8 greyscale and compare each pixel with its
+// right-hand neighbour, one bit per comparison. Returned as 16 hex chars.
+export async function perceptualHash(buffer) {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+  
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+// ===========================================
+// Index
+// ===========================================
+
+// Known photos, looked up by source URL, content hash or perceptual hash.
+// Entries are { source, content, perceptual, primary, renditions, slug }.
+export function createImageIndex({ maxDistance = DEFAULT_MAX_DISTANCE } = {}) {
+  const bySource = new Map();
+  const byContent = new Map();
+  const entries = [];
+  
+  return {
+    get size() {
+      return entries.length;
+    },
+    
+    add(entry) {
+      if (!entry.content || !entry.primary) return;
+      entries.push(entry);
+      if (entry.source && !bySource.has(entry.source)) bySource.set(entry.source, entry);
+      if (!byContent.has(entry.content)) byContent.set(entry.content, entry);
+    },
+    
+    bySource(source) {
+      return bySource.get(source) || null;
+    },
+    
+    byContent(content) {
+      return byContent.get(content) || null;
+    },
+    
+    // Closest entry within maxDistance, optionally only among `candidates`
+    findSimilar(perceptual, candidates = entries) {
+      let best = null;
+      let bestDistance = maxDistance + 1;
+      for (const entry of candidates) {
+        if (!entry.perceptual) continue;
+        const distance = hammingDistance(perceptual, entry.perceptual);
+        if (distance < bestDistance) {
+          best = entry;
+          bestDistance = distance;
+        }
+      }
+      return best ? { entry: best, distance: bestDistance } : null;
+    }
+  };
+}
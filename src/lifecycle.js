@@ -0,0 +1,68 @@
+/**
+ * Listing lifecycle decisions
+ *
+ * What a sync does with a listing it already has: which fields changed at the
+ * source, when an unpublished listing comes back, and which listings left the
+ * source and get unpublished. Pure functions over stored rows and scraped
+ * values; sync-vehicles.js does the writing.
+ */
+
+// Fields that can change on a live listing and are refreshed on every sync
+export const TRACKED_FIELDS = ['price', 'price_type', 'vat_deductible', 'mileage', 'hu_valid_until'];
+
+// Kept current too, but a change here alone doesn't count as an update
+export const REFRESHED_FIELDS = ['price_net', 'price_rating'];
+
+// { field: { from, to } } for the tracked fields the source changed
+export function diffListing(existingRow, scraped) {
+  const changes = {};
+  for (const field of TRACKED_FIELDS) {
+    const next = scraped[field] ?? null;
+    if (next === null) continue; // Don't wipe values when a field failed to parse
+    if (next !== existingRow[field]) {
+      changes[field] = { from: existingRow[field] ?? null, to: next };
+    }
+  }
+  return changes;
+}
+
+// The reported `changes` and the `fields` to write for a listing seen again at
+// its source. `identity` is the scrape's { fingerprint, sourceKey, dealerKey }.
+export function listingUpdate(existingRow, scraped, { fingerprint, sourceKey, dealerKey }) {
+  const changes = diffListing(existingRow, scraped);
+  const fields = {};
+  for (const [field, { to }] of Object.entries(changes)) fields[field] = to;
+  for (const field of REFRESHED_FIELDS) {
+    if ((scraped[field] ?? null) !== (existingRow[field] ?? null)) fields[field] = scraped[field] ?? null;
+  }
+  if (fingerprint !== existingRow.fingerprint) fields.fingerprint = fingerprint;
+  if (sourceKey !== existingRow.source_key) fields.source_key = sourceKey;
+  if (dealerKey !== existingRow.source_dealer_key) fields.source_dealer_key = dealerKey;
+  if (existingRow.removed_at) {
+    // Listing came back at the source after we unpublished it
+    changes.published = { from: false, to: true };
+    fields.published = true;
+    fields.removed_at = null;
+  }
+  return { changes, fields };
+}
+
+// Unpublished only because of validation errors, not because it left the source
+// or someone took it offline by hand
+export function isHeldForQuality(row) {
+  return !row.published && !row.removed_at && row.unpublished_reason !== 'manual' &&
+    (row.quality_problems || []).some(({ severity }) => severity === 'error');
+}
+
+// The dealer's published rows its search no longer lists. Only a complete
+// result set can tell, so an incomplete one removes nothing.
+export function findRemovedListings(rowsBySourceKey, { dealerKey, seenKeys, complete }) {
+  if (!complete) return [];
+  const removed = [];
+  for (const [sourceKey, row] of rowsBySourceKey) {
+    if (row.source_dealer_key !== dealerKey) continue;
+    if (!row.published || row.removed_at) continue;
+    if (!seenKeys.has(sourceKey)) removed.push(row);
+  }
+  return removed;
+}
@@ -0,0 +1,112 @@
+/**
+ * Locale resources for display labels
+ *
+ * The normalization maps turn German labels into enum keys. The bundles in
+ * this directory (one JSON file per locale) turn those keys back into display
+ * labels for the website, per language. Every listing gets a `labels` object
+ * with the translated enums and equipment for each supported locale.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  fuelTypeMap,
+  gearboxMap,
+  bodyTypeMap,
+  driveTypeMap,
+  climateMap,
+  colorMap,
+  interiorMaterialMap,
+  airbagsMap,
+  priceRatingMap,
+  EMISSION_CLASSES
+} from '../normalize.js';
+import { EQUIPMENT_VOCABULARY } from '../equipment.js';
+
+const LOCALES_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+export const SUPPORTED_LOCALES = ['de', 'en'];
+
+const bundles = Object.fromEntries(SUPPORTED_LOCALES.map(locale => [
+  locale,
+  JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${locale}.json`), 'utf-8'))
+]));
+
+const enumOf = map => [...new Set(Object.values(map))];
+
+// Every key a bundle has to translate, per resource group
+export const LABEL_GROUPS = {
+  fuel: enumOf(fuelTypeMap),
+  gearbox: enumOf(gearboxMap),
+  body_type: enumOf(bodyTypeMap),
+  drive_type: enumOf(driveTypeMap),
+  climate: enumOf(climateMap),
+  color: enumOf(colorMap),
+  interior_material: enumOf(interiorMaterialMap),
+  condition: ['NEW', 'USED'],
+  price_type: ['FIXED', 'NEGOTIABLE'],
+  price_rating: enumOf(priceRatingMap),
+  emission_class: EMISSION_CLASSES,
+  airbags: enumOf(airbagsMap),
+  equipment: EQUIPMENT_VOCABULARY.map(({ key }) => key)
+};
+
+// Listing field → resource group
+const LABELLED_FIELDS = {
+  fuel: 'fuel',
+  gearbox: 'gearbox',
+  body_type: 'body_type',
+  drive_type: 'drive_type',
+  climate: 'climate',
+  exterior_color: 'color',
+  interior_color: 'color',
+  interior_material: 'interior_material',
+  condition: 'condition',
+  price_type: 'price_type',
+  price_rating: 'price_rating',
+  emission_class: 'emission_class',
+  airbags: 'airbags'
+};
+
+export function translate(locale, group, key) {
+  return bundles[locale]?.[group]?.[key] ?? null;
+}
+
+// Keys from LABEL_GROUPS that a bundle doesn't translate
+export function findMissingTranslations(locales = SUPPORTED_LOCALES) {
+  const missing = [];
+  for (const locale of locales) {
+    for (const [group, keys] of Object.entries(LABEL_GROUPS)) {
+      for (const key of keys) {
+        if (translate(locale, group, key) === null) missing.push({ locale, group, key });
+      }
+    }
+  }
+  return missing;
+}
+
+// Labels per locale for one listing, plus any value that had no translation
+export function localizeListing(listing, locales = SUPPORTED_LOCALES) {
+  const labels = {};
+  const missing = [];
+  
+  const lookup = (locale, group, key) => {
+    const label = translate(locale, group, key);
+    if (label === null) missing.push({ locale, group, key });
+    return label;
+  };
+  
+  for (const locale of locales) {
+    const localized = {};
+    for (const [field, group] of Object.entries(LABELLED_FIELDS)) {
+      if (listing[field]) localized[field] = lookup(locale, group, listing[field]);
+    }
+    localized.equipment = (listing.equipment || [])
+      .map(key => lookup(locale, 'equipment', key))
+      .filter(Boolean);
+    labels[locale] = localized;
+  }
+  
+  return { labels, missing };
+}
@@ -0,0 +1,62 @@
+/**
+ * Logging shared by the sync and maintenance scripts
+ *
+ * LOG_FORMAT=json prints one JSON object per line with its level and the run,
+ * dealer and listing it belongs to (null where there is none), for log search.
+ * The default `text` format prints readable lines. LOG_LEVEL (debug, info,
+ * warn, error) drops everything below it.
+ *
+ * The run ID is set once with setRunContext(). Dealer and listing IDs are set
+ * per task with withLogContext(), which follows the task across awaits, so
+ * concurrent workers don't mix up their IDs.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Levels callers use that aren't JSON levels: 'success' is info with a ✅
+const LEVEL_NAMES = { warning: 'warn', success: 'info' };
+const PREFIXES = { error: '❌', warning: '⚠️', warn: '⚠️', success: '✅', debug: '🔍' };
+
+let toStderr = false;
+let runContext = {};
+const taskContext = new AsyncLocalStorage();
+
+// Sends log lines to stderr, so stdout only carries a command's JSON output
+export function logToStderr() {
+  toStderr = true;
+}
+
+function write(line) {
+  if (toStderr) console.error(line);
+  else console.log(line);
+}
+
+export function setRunContext(fields) {
+  runContext = { ...runContext, ...fields };
+}
+
+// Runs fn with `fields` (e.g. dealerId, listingId) added to every line it logs
+export function withLogContext(fields, fn) {
+  return taskContext.run({ ...taskContext.getStore(), ...fields }, fn);
+}
+
+// The run, dealer and listing IDs at this point, e.g. to attach to recorded errors
+export function getLogContext() {
+  return { runId: null, dealerId: null, listingId: null, ...runContext, ...taskContext.getStore() };
+}
+
+export function log(message, level = 'info', fields = {}) {
+  const name = LEVEL_NAMES[level] || level;
+  const minimum = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+  if ((LEVELS[name] ?? LEVELS.info) < minimum) return;
+  
+  const timestamp = new Date().toISOString();
+  if (process.env.LOG_FORMAT === 'json') {
+    // Leading newlines only space out the text format
+    write(JSON.stringify({ time: timestamp, level: name, message: message.replace(/^\n+/, ''), ...getLogContext(), ...fields }));
+  } else {
+    write(`${timestamp} ${PREFIXES[level] || 'ℹ️'} ${message}`);
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * One-off migration: backfill listings.source_key
+ *
+ * Derives the hashed source key from each row's source_url. When the old
+ * fingerprint logic inserted the same ad more than once, the most recently
+ * synced row keeps the key and the others are unpublished.
+ *
+ * Usage: node src/migrate-source-keys.js [--dry-run]
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { log } from './logger.js';
+import { extractAdId, generateSourceKey } from './source-identity.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+  console.error('❌ Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY environment variables');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+const dryRun = process.argv.includes('--dry-run');
+const PAGE_SIZE = 1000;
+
+async function loadRows() {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('listings')
+      .select('id, slug, source_url, source_key, synced_at, published')
+      .not('source_url', 'is', null)
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+    
+    if (error) throw new Error(`Error loading listings: ${error.message}`);
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+async function update(id, fields) {
+  if (dryRun) return true;
+  const { error } = await supabase.from('listings').update(fields).eq('id', id);
+  if (error) {
+    log(`Error updating listing ${id}: ${error.message}`, 'error');
+    return false;
+  }
+  return true;
+}
+
+async function main() {
+  log(`🔑 Backfilling listing source keys${dryRun ? ' (dry run)' : ''}`);
+  
+  const rows = await loadRows();
+  
+  // Group rows by the ad they were scraped from
+  const groups = new Map();
+  let unparseable = 0;
+  for (const row of rows) {
+    const sourceKey = generateSourceKey(extractAdId(row.source_url));
+    if (!sourceKey) {
+      unparseable++;
+      continue;
+    }
+    if (!groups.has(sourceKey)) groups.set(sourceKey, []);
+    groups.get(sourceKey).push(row);
+  }
+  
+  let keyed = 0;
+  let unchanged = 0;
+  let unpublished = 0;
+  
+  for (const [sourceKey, group] of groups) {
+    // Most recently synced row wins, the rest were inserted twice by the old fingerprint
+    group.sort((a, b) => (b.synced_at || '').localeCompare(a.synced_at || ''));
+    const [keep, ...duplicates] = group;
+    
+    for (const row of duplicates) {
+      if (row.source_key === null && !row.published) continue;
+      log(`Duplicate of ${keep.slug}: ${row.slug}`);
+      if (await update(row.id, { source_key: null, published: false, removed_at: new Date().toISOString() })) {
+        unpublished++;
+      }
+    }
+    
+    if (keep.source_key === sourceKey) {
+      unchanged++;
+    } else if (await update(keep.id, { source_key: sourceKey })) {
+      keyed++;
+    }
+  }
+  
+  log('========================================');
+  log(`Rows with source_url: ${rows.length}`);
+  log(`Source keys written: ${keyed}`);
+  log(`Already keyed: ${unchanged}`);
+  log(`Duplicates unpublished: ${unpublished}`);
+  log(`Unparseable source_url: ${unparseable}`);
+  log('========================================');
+  log('🏁 Migration completed!', 'success');
+}
+
+main().catch(err => {
+  log(`Fatal error: ${err.message}`, 'error');
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,350 @@
+/**
+ * Normalization of raw mobile.de values into listing fields
+ *
+ * Takes the strings produced by `extractListingDetails` and turns them into
+ * the typed, enum-keyed values stored in the `listings` table.
+ */
+
+import { resolveMakeModel } from './catalog.js';
+import { normalizeEquipment } from './equipment.js';
+
+// ===========================================
+// Translation Maps (German → Normalized Keys)
+// ===========================================
+
+export const fuelTypeMap = {
+  'Benzin': 'PETROL',
+  'Diesel': 'DIESEL',
+  'Elektro': 'ELECTRIC',
+  'Hybrid': 'HYBRID',
+  'Hybrid (Benzin)': 'HYBRID_PETROL',
+  'Hybrid (Benzin/Elektro)': 'HYBRID_PETROL',
+  'Hybrid (Diesel)': 'HYBRID_DIESEL',
+  'Plug-in-Hybrid': 'PLUGIN_HYBRID',
+  'LPG': 'LPG',
+  'CNG': 'CNG',
+  'Erdgas': 'CNG',
+  'Wasserstoff': 'HYDROGEN'
+};
+
+export const gearboxMap = {
+  'Automatik': 'AUTOMATIC',
+  'Schaltgetriebe': 'MANUAL',
+  'Schaltung': 'MANUAL',
+  'Halbautomatik': 'SEMI_AUTOMATIC'
+};
+
+export const bodyTypeMap = {
+  'Limousine': 'SEDAN',
+  'Kombi': 'WAGON',
+  'SUV': 'SUV',
+  'Geländewagen': 'SUV',
+  'Coupé': 'COUPE',
+  'Coupe': 'COUPE',
+  'Sportwagen/Coupé': 'SPORTS_COUPE',
+  'Sportwagen': 'SPORTS',
+  'Cabrio': 'CONVERTIBLE',
+  'Cabriolet': 'CONVERTIBLE',
+  'Roadster': 'ROADSTER',
+  'Kleinwagen': 'COMPACT',
+  'Van': 'VAN',
+  'Van/Minibus': 'MPV',
+  'Pickup': 'PICKUP',
+  'Andere': 'OTHER'
+};
+
+export const driveTypeMap = {
+  'Verbrennungsmotor': 'ICE',
+  'Elektro': 'ELECTRIC',
+  'Elektroantrieb': 'ELECTRIC',
+  'Hybrid': 'HYBRID',
+  'Hybridantrieb': 'HYBRID',
+  'Plug-in-Hybrid': 'PLUGIN_HYBRID'
+};
+
+export const climateMap = {
+  'Klimaanlage': 'AUTOMATIC',
+  'Klimaautomatik': 'AUTOMATIC',
+  '2-Zonen-Klimaautomatik': 'TWO_ZONE',
+  '3-Zonen-Klimaautomatik': 'THREE_ZONE',
+  '4-Zonen-Klimaautomatik': 'FOUR_ZONE',
+  'Manuelle Klimaanlage': 'MANUAL'
+};
+
+export const colorMap = {
+  'Weiß': 'WHITE',
+  'Schwarz': 'BLACK',
+  'Silber': 'SILVER',
+  'Grau': 'GRAY',
+  'Rot': 'RED',
+  'Blau': 'BLUE',
+  'Grün': 'GREEN',
+  'Braun': 'BROWN',
+  'Beige': 'BEIGE',
+  'Gold': 'GOLD',
+  'Orange': 'ORANGE',
+  'Gelb': 'YELLOW',
+  'Violett': 'PURPLE',
+  'Bronze': 'BRONZE',
+  'Anthrazit': 'ANTHRACITE'
+};
+
+export const interiorMaterialMap = {
+  'Leder': 'LEATHER',
+  'Vollleder': 'FULL_LEATHER',
+  'Teilleder': 'PARTIAL_LEATHER',
+  'Stoff': 'FABRIC',
+  'Alcantara': 'ALCANTARA',
+  'Velours': 'VELOUR'
+};
+
+export const priceRatingMap = {
+  'Sehr guter Preis': 'VERY_GOOD',
+  'Guter Preis': 'GOOD',
+  'Fairer Preis': 'FAIR',
+  'Erhöhter Preis': 'INCREASED',
+  'Hoher Preis': 'HIGH'
+};
+
+// Checked in order, the first label contained in the value wins
+export const airbagsMap = {
+  'weitere Airbags': 'FRONT_SIDE_AND_MORE',
+  'Seiten': 'FRONT_AND_SIDE',
+  'Front': 'FRONT',
+  'Fahrer': 'DRIVER'
+};
+
+export const EMISSION_CLASSES = [
+  'EURO_1', 'EURO_2', 'EURO_3', 'EURO_4', 'EURO_5', 'EURO_6',
+  'EURO_6B', 'EURO_6C', 'EURO_6D_TEMP', 'EURO_6D', 'EURO_6E', 'EURO_7'
+];
+
+// Pkw-EnVKV label: CO₂ class A–G since 2024, A+++–G before
+export const EFFICIENCY_CLASSES = ['A+++', 'A++', 'A+', 'A', 'B', 'C', 'D', 'E', 'F', 'G'];
+
+// ===========================================
+// Parsers
+// ===========================================
+
+export function normalizeValue(value, map) {
+  if (!value) return null;
+  // Try exact match
+  if (map[value]) return map[value];
+  // Try case-insensitive match
+  const lower = value.toLowerCase();
+  for (const [key, val] of Object.entries(map)) {
+    if (key.toLowerCase() === lower) return val;
+  }
+  // Try partial match
+  for (const [key, val] of Object.entries(map)) {
+    if (value.toLowerCase().includes(key.toLowerCase())) return val;
+  }
+  return null;
+}
+
+export function parseColor(colorString) {
+  if (!colorString) return { color: null, metallic: false };
+  const metallic = colorString.toLowerCase().includes('metallic');
+  const colorOnly = colorString.replace(/\s*metallic\s*/i, '').trim();
+  return {
+    color: normalizeValue(colorOnly, colorMap),
+    metallic
+  };
+}
+
+export function parseInterior(interiorString) {
+  if (!interiorString) return { material: null, color: null };
+  const parts = interiorString.split(',').map(p => p.trim());
+  let material = null;
+  let color = null;
+  
+  for (const part of parts) {
+    if (!material) material = normalizeValue(part, interiorMaterialMap);
+    if (!color) color = normalizeValue(part, colorMap);
+  }
+  
+  return { material, color };
+}
+
+export function parseNumeric(value) {
+  if (!value) return null;
+  const cleaned = value.replace(/[^\d]/g, '');
+  const num = parseInt(cleaned, 10);
+  return isNaN(num) ? null : num;
+}
+
+export function parsePower(powerString) {
+  if (!powerString) return { kw: null, ps: null };
+  const kwMatch = powerString.match(/(\d+)\s*kW/);
+  const psMatch = powerString.match(/(\d+)\s*PS/);
+  return {
+    kw: kwMatch ? parseInt(kwMatch[1], 10) : null,
+    ps: psMatch ? parseInt(psMatch[1], 10) : null
+  };
+}
+
+// German decimals: "5,3" → 5.3, "1.234,5" → 1234.5
+export function parseDecimal(value) {
+  if (!value) return null;
+  const match = value.match(/\d{1,3}(?:\.\d{3})*(?:,\d+)?|\d+(?:,\d+)?/);
+  if (!match) return null;
+  return parseFloat(match[0].replace(/\./g, '').replace(',', '.'));
+}
+
+// HU "06/2026" is valid through the end of that month → "2026-06-30"
+export function parseHuDate(huString) {
+  const match = huString?.match(/(\d{1,2})\/(\d{4})/);
+  if (!match) return null; // "Neu" or missing
+  const month = parseInt(match[1], 10);
+  const year = parseInt(match[2], 10);
+  if (month < 1 || month > 12) return null;
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return `${year}-${String(month).padStart(2, '0')}-${lastDay}`;
+}
+
+// "Euro6d-TEMP" → EURO_6D_TEMP, "Euro 6d-ISC-FCM" → EURO_6D, "Euro5" → EURO_5
+export function parseEmissionClass(value) {
+  const match = value?.match(/euro\s*([1-7])\s*([b-e])?([-\s]*temp)?/i);
+  if (!match) return null;
+  const [, norm, stage, temp] = match;
+  const key = `EURO_${norm}${stage ? stage.toUpperCase() : ''}${temp && stage ? '_TEMP' : ''}`;
+  return EMISSION_CLASSES.includes(key) ? key : `EURO_${norm}`;
+}
+
+// Umweltplakette "4 (Grün)" → 4
+export function parseEmissionSticker(value) {
+  const match = value?.match(/\b([1-4])\b/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+export function parseAirbags(value) {
+  if (!value) return null;
+  const lower = value.toLowerCase();
+  for (const [label, key] of Object.entries(airbagsMap)) {
+    if (lower.includes(label.toLowerCase())) return key;
+  }
+  return null;
+}
+
+// "5,3 l/100km (komb.)6,5 l/100km (innerorts)4,6 l/100km (außerorts)", also
+// kWh/100km for EVs and kg/100km for CNG. A plug-in hybrid lists both: the
+// fuel figures win and the electric one goes into electricCombined. Figures
+// are small, so a dot is a decimal point here ("10.5 l/100km"), never a
+// thousands separator.
+export function parseConsumption(value) {
+  const byUnit = {};
+  const pattern = /(?<![\d.,])(\d+(?:[.,]\d+)?)\s*(l|kwh|kg)\s*\/\s*100\s*km\s*(?:\(([^)]*)\))?/gi;
+  
+  for (const [, amount, rawUnit, qualifier = ''] of (value || '').matchAll(pattern)) {
+    const unit = rawUnit.toLowerCase() === 'kwh' ? 'kWh' : rawUnit.toLowerCase();
+    const kind = /inner|stadt(?!rand)/i.test(qualifier) ? 'urban'
+      : /außer|ausser|land/i.test(qualifier) ? 'extraUrban'
+      : 'combined';
+    if (!byUnit[unit]) byUnit[unit] = {};
+    byUnit[unit][kind] ??= parseFloat(amount.replace(',', '.'));
+  }
+  
+  const unit = Object.keys(byUnit).find(key => key !== 'kWh') || (byUnit.kWh ? 'kWh' : null);
+  const figures = unit ? byUnit[unit] : {};
+  return {
+    combined: figures.combined ?? null,
+    urban: figures.urban ?? null,
+    extraUrban: figures.extraUrban ?? null,
+    unit: unit ? `${unit}/100km` : null,
+    electricCombined: unit !== 'kWh' ? byUnit.kWh?.combined ?? null : null
+  };
+}
+
+// CO₂ "139 g/km (komb.)" → 139
+export function parseCo2(value) {
+  const match = value?.match(/(\d+(?:,\d+)?)\s*g\s*(?:co₂|co2)?\s*\/\s*km/i);
+  return match ? Math.round(parseDecimal(match[1])) : null;
+}
+
+export function parseEfficiencyClass(value) {
+  // The class is a token of its own, "Anfrage" or "Basierend auf …" aren't class A or B
+  const match = value?.trim().match(/^([A-G])(\+{0,3})(?![a-z])/i);
+  if (!match) return null;
+  const key = `${match[1].toUpperCase()}${match[2]}`;
+  return EFFICIENCY_CLASSES.includes(key) ? key : null;
+}
+
+export function parseRegistration(regString) {
+  if (!regString) return null;
+  // Handle MM/YYYY format
+  const match = regString.match(/(\d{2})\/(\d{4})/);
+  if (match) {
+    return `${match[2]}${match[1]}`; // YYYYMM
+  }
+  return regString;
+}
+
+// ===========================================
+// Listing Fields
+// ===========================================
+
+// Returns the listing's fields, plus for the sync log whether the catalog placed
+// make and model (`resolved`) and the equipment strings nothing matched (`unmapped`)
+export function normalizeListing(rawData) {
+  const { make, model, trim, resolved } = resolveMakeModel(rawData.title, { make: rawData.make, model: rawData.model });
+  const { color, metallic } = parseColor(rawData.color);
+  const { material: interiorMaterial, color: interiorColor } = parseInterior(rawData.interior);
+  const { kw: powerKw, ps: powerPs } = parsePower(rawData.power);
+  const consumption = parseConsumption(rawData.consumption);
+  const { equipment, unmapped } = normalizeEquipment(rawData);
+  
+  const listing = {
+    make,
+    model,
+    trim,
+    model_description: rawData.subtitle || null,
+    subtitle: rawData.subtitle || null,
+    series: rawData.series || null,
+    variant: rawData.variant || null,
+    price: parseNumeric(rawData.price),
+    price_net: parseNumeric(rawData.netPrice),
+    currency: 'EUR',
+    price_type: rawData.priceNegotiable ? 'NEGOTIABLE' : 'FIXED',
+    vat_deductible: Boolean(rawData.vatDeductible),
+    price_rating: priceRatingMap[rawData.priceRating] || null,
+    mileage: parseNumeric(rawData.mileage),
+    first_registration: parseRegistration(rawData.firstRegistration),
+    fuel: normalizeValue(rawData.fuelType, fuelTypeMap),
+    gearbox: normalizeValue(rawData.transmission, gearboxMap),
+    power_kw: powerKw,
+    power_ps: powerPs,
+    cubic_capacity: parseNumeric(rawData.hubraum),
+    cylinders: parseNumeric(rawData.cylinders),
+    body_type: normalizeValue(rawData.bodyType, bodyTypeMap),
+    drive_type: normalizeValue(rawData.driveType, driveTypeMap),
+    num_doors: parseNumeric(rawData.doors),
+    num_seats: parseNumeric(rawData.seats),
+    exterior_color: color,
+    exterior_color_manufacturer: rawData.colorManufacturer || null,
+    metallic,
+    interior_color: interiorColor,
+    interior_material: interiorMaterial,
+    climate: normalizeValue(rawData.climate, climateMap),
+    airbags: parseAirbags(rawData.airbags),
+    emission_class: parseEmissionClass(rawData.emissionClass),
+    emission_sticker: parseEmissionSticker(rawData.emissionSticker),
+    hu_valid_until: parseHuDate(rawData.hu),
+    consumption_combined: consumption.combined,
+    consumption_urban: consumption.urban,
+    consumption_extra_urban: consumption.extraUrban,
+    consumption_unit: consumption.unit,
+    electric_consumption_combined: consumption.electricCombined,
+    co2_emissions: parseCo2(rawData.co2),
+    efficiency_class: parseEfficiencyClass(rawData.efficiencyClass),
+    battery_capacity_kwh: parseDecimal(rawData.batteryCapacity),
+    electric_range_km: parseNumeric(rawData.electricRange),
+    num_previous_owners: parseNumeric(rawData.owners),
+    accident_damaged: rawData.condition?.toLowerCase().includes('unfallfrei') ? false : null,
+    condition: rawData.condition?.toLowerCase().includes('neuwagen') ? 'NEW' : 'USED',
+    tank_size: parseNumeric(rawData.tankSize),
+    weight: parseNumeric(rawData.weight),
+    features: rawData.features || [],
+    equipment
+  };
+  return { listing, resolved, unmapped };
+}
@@ -0,0 +1,188 @@
+/**
+ * Browser profile and page preparation
+ *
+ * The browser keeps its profile (cookies, consent choice, local storage) in
+ * .sync-state/ across runs, so the sources see a returning visitor rather than
+ * a new one on every run. Each worker page gets the next user agent and
+ * viewport of the configured rotation.
+ *
+ * After every page load preparePage() looks for block and captcha pages, which
+ * throw a 'blocked' error (see retry.js) instead of reading as 0 listings, and
+ * accepts the consent banner if one is showing.
+ *
+ * findBlockMarker() and clickConsent() run inside the browser through
+ * `page.evaluate` and against saved HTML (jsdom) in the tests, so like
+ * extract.js they must stay self-contained.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { classifiedError } from './retry.js';
+
+export const DEFAULT_BROWSER = {
+  // false starts every run with a fresh profile
+  persistProfile: true,
+  profileDir: '.sync-state/browser-profile', // Relative to the project root
+  settleMs: 2000, // Longest wait for the page to go quiet after a consent click
+  userAgents: [
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36'
+  ],
+  viewports: [
+    { width: 1920, height: 1080 },
+    { width: 1536, height: 864 },
+    { width: 1440, height: 900 },
+    { width: 1366, height: 768 }
+  ],
+  // Consent managers seen on mobile.de and dealer websites
+  consentSelectors: [
+    'button[data-testid="uc-accept-all-button"]',
+    '#uc-btn-accept-banner',
+    'button.mde-consent-accept-btn',
+    '[data-cookiefirst-action="accept"]',
+    '.sp_choice_type_11', // SourcePoint, inside its own frame
+    '#onetrust-accept-btn-handler'
+  ],
+  // Button labels, matched in full (lowercase), not as part of longer text
+  consentLabels: ['alle akzeptieren', 'akzeptieren', 'accept all', 'einverstanden', 'zustimmen'],
+  // Page text of block pages (lowercase)
+  blockTexts: ['zugriff verweigert', 'access denied', 'ich bin kein roboter', 'bist du ein mensch', 'are you a robot', 'ungewöhnlichen datenverkehr', 'unusual traffic', 'checking your browser']
+};
+
+// Chrome refuses a profile another (crashed) Chrome left locked
+const PROFILE_LOCKS = ['SingletonLock', 'SingletonSocket', 'SingletonCookie'];
+
+export function getBrowserSettings(config) {
+  return { ...DEFAULT_BROWSER, ...config.settings.browser };
+}
+
+// puppeteer.launch() options for the settings' profile
+export async function browserLaunchOptions(settings, rootDir) {
+  const options = {
+    headless: 'new',
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+  };
+  if (!settings.persistProfile) return options;
+  
+  const userDataDir = path.resolve(rootDir, settings.profileDir);
+  await fs.mkdir(userDataDir, { recursive: true });
+  await Promise.all(PROFILE_LOCKS.map(name => fs.rm(path.join(userDataDir, name), { force: true })));
+  
+  // The HTTP cache stays out of the profile, which is carried between runs
+  options.args.push(`--disk-cache-dir=${path.join(os.tmpdir(), 'carlink24-browser-cache')}`);
+  return { ...options, userDataDir };
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+// Hands out user agents and viewports in turn, from a random start so runs differ.
+// Stepping both lists together repeats after lcm(lengths) identities, which for
+// lists of equal length would pin each user agent to one viewport, so the
+// viewport shifts by one after every such cycle. Every combination comes up
+// once per userAgents × viewports identities.
+export function createIdentityRotation(settings, random = Math.random) {
+  const { userAgents, viewports } = settings;
+  const combinations = userAgents.length * viewports.length;
+  const cycle = combinations / gcd(userAgents.length, viewports.length);
+  let next = Math.floor(random() * combinations);
+  
+  return {
+    next() {
+      const identity = {
+        userAgent: userAgents[next % userAgents.length],
+        viewport: viewports[(next + Math.floor(next / cycle)) % viewports.length]
+      };
+      next = (next + 1) % combinations;
+      return identity;
+    }
+  };
+}
+
+// ===========================================
+// In-page checks
+// ===========================================
+
+// Returns what marks the page as a block or captcha page, or null
+export function findBlockMarker(blockTexts, doc = document) {
+  // Challenge pages of bot protection services
+  if (doc.querySelector('#px-captcha, #challenge-form, iframe[src*="captcha-delivery.com"], iframe[src*="challenges.cloudflare.com"]')) {
+    return 'captcha';
+  }
+  
+  const title = (doc.title || '').toLowerCase();
+  const titleMarker = blockTexts.find(text => title.includes(text));
+  if (titleMarker) return titleMarker;
+  
+  // Block pages are short. On longer pages a captcha belongs to a contact form
+  // and a block text is a quote ("access denied" in a description).
+  const body = (doc.body?.textContent || '').replace(/\s+/g, ' ').toLowerCase();
+  if (body.length > 3000) return null;
+  if (doc.querySelector('.g-recaptcha, .h-captcha, iframe[src*="captcha"]')) return 'captcha';
+  return blockTexts.find(text => body.includes(text)) || null;
+}
+
+// Clicks the first consent button found and returns how it was found, or null
+export function clickConsent(selectors, labels, doc = document) {
+  for (const selector of selectors) {
+    const button = doc.querySelector(selector);
+    if (button) {
+      button.click();
+      return selector;
+    }
+  }
+  
+  for (const button of doc.querySelectorAll('button, [role="button"]')) {
+    const label = (button.textContent || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    if (labels.includes(label)) {
+      button.click();
+      return label;
+    }
+  }
+  return null;
+}
+
+// ===========================================
+// Page Preparation
+// ===========================================
+
+export async function openPreparedPage(browser, identity) {
+  const page = await browser.newPage();
+  await page.setUserAgent(identity.userAgent);
+  await page.setViewport(identity.viewport);
+  return page;
+}
+
+// Consent managers often live in their own frame, so every frame is tried
+async function acceptConsent(page, settings) {
+  for (const frame of page.frames()) {
+    try {
+      const clicked = await frame.evaluate(clickConsent, settings.consentSelectors, settings.consentLabels);
+      if (clicked) return clicked;
+    } catch (err) {
+      // The frame navigated away or was detached meanwhile
+    }
+  }
+  return null;
+}
+
+// Waits until the network has been idle for half a second, at most settleMs
+export async function settlePage(page, settings) {
+  try {
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: settings.settleMs });
+  } catch (err) {
+    if (err.name !== 'TimeoutError') throw err;
+  }
+}
+
+// Throws a 'blocked' error on block and captcha pages, else accepts the consent
+// banner if there is one. Returns what was clicked, or null.
+export async function preparePage(page, settings) {
+  const marker = await page.evaluate(findBlockMarker, settings.blockTexts);
+  if (marker) throw classifiedError('blocked', `Blocked at ${page.url()} (${marker})`, { marker });
+  return acceptConsent(page, settings);
+}
@@ -0,0 +1,52 @@
+/**
+ * Per-host token bucket rate limiter
+ *
+ * Each host gets a bucket that refills at `requestsPerSecond` up to `burst`
+ * tokens. acquire(url) resolves once a token for that URL's host is available;
+ * callers for the same host are served in order.
+ */
+
+const DEFAULT_LIMIT = { requestsPerSecond: 0.5, burst: 1 };
+
+export function createRateLimiter(limits = {}, { now = Date.now, sleep } = {}) {
+  const wait = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  const buckets = new Map();
+  
+  function getBucket(host) {
+    if (!buckets.has(host)) {
+      const { requestsPerSecond, burst } = { ...DEFAULT_LIMIT, ...limits.default, ...limits[host] };
+      buckets.set(host, {
+        rate: requestsPerSecond / 1000, // tokens per ms
+        burst,
+        tokens: burst,
+        updatedAt: now(),
+        chain: Promise.resolve()
+      });
+    }
+    return buckets.get(host);
+  }
+  
+  function refill(bucket) {
+    const current = now();
+    bucket.tokens = Math.min(bucket.burst, bucket.tokens + (current - bucket.updatedAt) * bucket.rate);
+    bucket.updatedAt = current;
+  }
+  
+  async function take(bucket) {
+    refill(bucket);
+    if (bucket.tokens < 1) {
+      await wait(Math.ceil((1 - bucket.tokens) / bucket.rate));
+      refill(bucket);
+    }
+    bucket.tokens -= 1;
+  }
+  
+  return {
+    acquire(url) {
+      const bucket = getBucket(new URL(url).hostname);
+      const turn = bucket.chain.then(() => take(bucket));
+      bucket.chain = turn.catch(() => {});
+      return turn;
+    }
+  };
+}
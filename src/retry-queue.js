@@ -0,0 +1,80 @@
+/**
+ * Retry queue for listings that failed in a run
+ *
+ * A listing whose scrape, insert or update failed is kept here, per dealer,
+ * and the next run tries it before the dealer's search results, whether or not
+ * the search still lists it. Success removes it. A permanent failure, or
+ * failing in `maxAttempts` runs, drops it.
+ *
+ * Like the checkpoint it lives in .sync-state/, which the workflow keeps
+ * between runs.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+async function readEntries(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8')).dealers || {};
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+}
+
+// With persist: false (dry runs) the queue is read but never written
+export async function openRetryQueue(filePath, { persist = true, maxAttempts = 3, now = Date.now } = {}) {
+  const dealers = filePath ? await readEntries(filePath) : {};
+  let writing = Promise.resolve();
+  
+  async function write() {
+    const tmpPath = `${filePath}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify({ updatedAt: new Date(now()).toISOString(), dealers }, null, 2));
+    await fs.rename(tmpPath, filePath);
+  }
+  
+  function remove(dealerKey, id) {
+    const entries = dealers[dealerKey] || [];
+    const index = entries.findIndex(entry => entry.id === id);
+    if (index === -1) return null;
+    const [entry] = entries.splice(index, 1);
+    if (entries.length === 0) delete dealers[dealerKey];
+    return entry;
+  }
+  
+  return {
+    get size() {
+      return Object.values(dealers).reduce((sum, entries) => sum + entries.length, 0);
+    },
+    
+    // [{ id, url, kind, error, attempts, firstFailedAt, lastFailedAt }]
+    entries(dealerKey) {
+      return [...(dealers[dealerKey] || [])];
+    },
+    
+    // Returns 'queued', or 'dropped' for permanent failures and items out of attempts
+    fail(dealerKey, { id, url }, { kind, error }) {
+      const at = new Date(now()).toISOString();
+      const previous = remove(dealerKey, id);
+      const attempts = (previous?.attempts || 0) + 1;
+      if (kind === 'permanent' || attempts >= maxAttempts) return 'dropped';
+      
+      if (!dealers[dealerKey]) dealers[dealerKey] = [];
+      dealers[dealerKey].push({ id, url, kind, error, attempts, firstFailedAt: previous?.firstFailedAt || at, lastFailedAt: at });
+      return 'queued';
+    },
+    
+    // Returns true when the item was queued
+    succeed(dealerKey, id) {
+      return remove(dealerKey, id) !== null;
+    },
+    
+    save() {
+      if (!persist || !filePath) return Promise.resolve();
+      // Workers save concurrently, so writes are queued one after another
+      writing = writing.then(write, write);
+      return writing;
+    }
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * Error classification, retries with backoff and the per-dealer circuit breaker
+ *
+ * Every failure is one of four kinds:
+ *
+ *   transient  timeouts, dropped connections, HTTP 408 and 5xx: retried with backoff
+ *   blocked    HTTP 403 and 429: not retried right away, repeated blocks open
+ *              the dealer's circuit breaker
+ *   parse      the page loaded, but nothing could be extracted from it
+ *   permanent  HTTP 404 and other 4xx, constraint violations: retrying won't help
+ *
+ * An error can name its kind (`kind`, see classifiedError) or carry an HTTP
+ * `status`. Anything else is classified by its code and message, and what
+ * can't be placed counts as permanent.
+ */
+
+export const ERROR_KINDS = ['transient', 'blocked', 'parse', 'permanent'];
+
+export const DEFAULT_RETRY = {
+  attempts: 3, // Tries per request, including the first
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  blockThreshold: 3, // Blocks in a row before a dealer is stopped
+  queuePath: '.sync-state/retry-queue.json',
+  queueAttempts: 3 // Runs an item may fail in before it's dropped
+};
+
+export function classifiedError(kind, message, fields = {}) {
+  return Object.assign(new Error(message), { kind, ...fields });
+}
+
+// Node, undici and Postgres (statement timeout, serialization failure, too many connections)
+const TRANSIENT_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+  'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_SOCKET',
+  '57014', '40001', '53300'
+]);
+
+const TRANSIENT_MESSAGE = /timeout|timed out|socket hang up|fetch failed|net::ERR_(CONNECTION|TIMED_OUT|NETWORK|INTERNET|EMPTY_RESPONSE)|Target closed|Session closed/i;
+
+function statusOf(err) {
+  const status = err.status ?? err.statusCode ?? err.$metadata?.httpStatusCode ?? err.message?.match(/\bHTTP (\d{3})\b/)?.[1];
+  return Number(status) || null;
+}
+
+export function classifyError(err) {
+  if (ERROR_KINDS.includes(err?.kind)) return err.kind;
+  
+  const status = statusOf(err);
+  if (status === 403 || status === 429) return 'blocked';
+  if (status === 408 || status >= 500) return 'transient';
+  if (status >= 400) return 'permanent';
+  
+  const code = String(err.code ?? err.cause?.code ?? '');
+  if (TRANSIENT_CODES.has(code)) return 'transient';
+  if (err.name === 'TimeoutError' || TRANSIENT_MESSAGE.test(err.message)) return 'transient';
+  
+  // Puppeteer wraps exceptions thrown by extraction code running in the page
+  if (/^Evaluation failed/.test(err.message)) return 'parse';
+  return 'permanent';
+}
+
+// "Equal jitter": half the exponential delay, plus up to as much again at random
+export function backoffDelay(attempt, { baseDelayMs = DEFAULT_RETRY.baseDelayMs, maxDelayMs = DEFAULT_RETRY.maxDelayMs, random = Math.random } = {}) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
+
+// Calls fn(attempt) until it succeeds, retrying transient failures with
+// backoff. Other kinds, and the last transient failure, are thrown with their
+// `kind` and the number of `attempts` made.
+export async function withRetry(fn, {
+  attempts = DEFAULT_RETRY.attempts,
+  baseDelayMs,
+  maxDelayMs,
+  onRetry = () => {},
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      const kind = classifyError(err);
+      if (kind !== 'transient' || attempt >= attempts) throw Object.assign(err, { kind, attempts: attempt });
+      
+      const wait = backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+      onRetry(err, { attempt, attempts, wait });
+      await sleep(wait);
+    }
+  }
+}
+
+// Opens after `threshold` blocks in a row, anything else in between resets the
+// count. An open breaker stays open for the rest of the run.
+export function createCircuitBreaker({ threshold = DEFAULT_RETRY.blockThreshold } = {}) {
+  let blocks = 0;
+  let open = false;
+  
+  return {
+    get open() {
+      return open;
+    },
+    
+    success() {
+      blocks = 0;
+    },
+    
+    // Returns true when this failure opened the breaker
+    failure(kind) {
+      if (kind !== 'blocked') {
+        blocks = 0;
+        return false;
+      }
+      blocks++;
+      if (open || blocks < threshold) return false;
+      open = true;
+      return true;
+    }
+  };
+}
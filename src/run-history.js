@@ -0,0 +1,67 @@
+/**
+ * Sync run history
+ *
+ * Turns the sync log into a sync_runs row (supabase/migrations/
+ * 20261019220000_sync_runs.sql). sync() records one when it starts and replaces
+ * it when it ends, so the admin can show past runs and their trends.
+ */
+
+// Enough to see what went wrong, the rest is in the logs and sync-log.json
+const MAX_RECORDED_ERRORS = 50;
+
+function dealerSummary(dealerLog, errors) {
+  return {
+    dealerId: dealerLog.dealerKey,
+    name: dealerLog.name,
+    platform: dealerLog.platform,
+    complete: dealerLog.complete ?? null,
+    listingsFound: dealerLog.listingsFound,
+    listingsNew: dealerLog.listingsNew,
+    listingsUpdated: dealerLog.listingsUpdated,
+    listingsRemoved: dealerLog.listingsRemoved,
+    listingsSkipped: dealerLog.listingsSkipped,
+    listingsFiltered: dealerLog.listingsFiltered,
+    duplicates: dealerLog.duplicates,
+    priceDrops: dealerLog.priceDrops.length,
+    blocked: dealerLog.blocked,
+    circuitOpen: dealerLog.circuitOpen,
+    notTried: dealerLog.notTried,
+    errors: errors.filter(({ dealerId }) => dealerId === dealerLog.dealerKey).length,
+    searchMs: dealerLog.searchMs,
+    scrapeMs: dealerLog.scrapeMs
+  };
+}
+
+// `status` is 'running', 'succeeded', 'drift' or 'failed'
+export function buildRunRecord(syncLog, { status, environment = null, ciRunId = null, fatalError = null }) {
+  const dealers = syncLog.dealers.map(dealerLog => dealerSummary(dealerLog, syncLog.errors));
+  const completedAt = status === 'running' ? null : syncLog.completedAt || new Date().toISOString();
+  
+  return {
+    id: syncLog.runId,
+    status,
+    started_at: syncLog.startedAt,
+    completed_at: completedAt,
+    duration_ms: completedAt ? Date.parse(completedAt) - Date.parse(syncLog.startedAt) : null,
+    environment,
+    ci_run_id: ciRunId,
+    dealer_filter: syncLog.dealerFilter ?? null,
+    resumed_from: syncLog.resumedFrom ?? null,
+    listings_found: syncLog.listingsFound,
+    listings_new: syncLog.listingsNew,
+    listings_updated: syncLog.listingsUpdated,
+    listings_removed: syncLog.listingsRemoved,
+    listings_skipped: syncLog.listingsSkipped,
+    listings_held: syncLog.listingsHeld,
+    listings_filtered: syncLog.listingsFiltered.length,
+    duplicates: syncLog.duplicates.length,
+    images_uploaded: syncLog.imagesUploaded,
+    images_reused: syncLog.imagesReused,
+    error_count: syncLog.errors.length,
+    fatal_error: fatalError,
+    dealers,
+    errors: syncLog.errors.slice(0, MAX_RECORDED_ERRORS),
+    drift: syncLog.drift,
+    extraction: syncLog.extraction
+  };
+}
@@ -0,0 +1,31 @@
+/**
+ * Source identity helpers
+ *
+ * Listings are keyed on their source platform's ad ID (the mobile.de ad ID for
+ * most dealers), and mobile.de dealers on their customer ID. Both are stored as
+ * SHA-256 hashes so the raw IDs never reach public columns.
+ */
+
+import crypto from 'crypto';
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+export function extractAdId(url) {
+  if (!url) return null;
+  const match = url.match(/[?&]id=(\d+)/);
+  return match ? match[1] : null;
+}
+
+// `platform` namespaces IDs from other sources, mobile.de keys keep their format
+export function generateSourceKey(adId, platform = 'mobile.de') {
+  if (!adId) return null;
+  return sha256(`${platform}:ad:${adId}`);
+}
+
+export function generateDealerKey(dealerUrl) {
+  const customerIdMatch = dealerUrl.match(/customerId=(\d+)/);
+  const source = customerIdMatch ? `mobile.de:${customerIdMatch[1]}` : dealerUrl;
+  return sha256(source);
+}
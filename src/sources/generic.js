@@ -0,0 +1,133 @@
+/**
+ * Generic source adapter, driven by CSS selectors
+ *
+ * For dealers that only list on their own website (or a platform without a
+ * dedicated adapter). The dealer entry says where the listing links, the
+ * fields and the photos are, and the adapter emits the same raw listing shape
+ * as the mobile.de extraction, so normalization, validation and image
+ * processing work unchanged. Field values are expected in German, as on
+ * mobile.de ("84.500 km", "Diesel", "03/2020").
+ *
+ * The extract functions run in the browser through `page.evaluate` and must
+ * stay self-contained, like the ones in src/extract.js.
+ */
+
+import { generateSourceKey } from '../source-identity.js';
+
+// ===========================================
+// Extraction (runs in the browser)
+// ===========================================
+
+export function extractGenericSearchResults(selectors, doc = document) {
+  const urls = [];
+  doc.querySelectorAll(selectors.listingLink).forEach(link => {
+    const url = link.href?.split('#')[0];
+    if (url && !urls.includes(url)) urls.push(url);
+  });
+  return urls;
+}
+
+export function extractGenericListing(selectors, doc = document) {
+  const text = selector => {
+    const value = selector ? doc.querySelector(selector)?.textContent?.replace(/\s+/g, ' ').trim() || '' : '';
+    return value.length < 150 ? value : '';
+  };
+  
+  const details = {};
+  for (const [field, selector] of Object.entries(selectors.fields || {})) {
+    details[field] = text(selector);
+  }
+  details.title = text(selectors.title) || doc.title.trim();
+  
+  // "28.990 €" or "28.990,00 €" → "28990", terms like on mobile.de
+  const priceText = details.price || '';
+  details.price = priceText.split(',')[0].replace(/[^\d]/g, '');
+  const termsText = text(selectors.priceTerms) || priceText;
+  details.priceNegotiable = /\bVB\b|Verhandlungsbasis/.test(termsText);
+  details.vatDeductible = /MwSt\.?\s*ausweisbar/i.test(termsText);
+  const netText = details.netPrice || termsText.match(/(\d{1,3}(?:\.\d{3})*)\s*€\s*\(?Netto/i)?.[1] || '';
+  details.netPrice = netText.split(',')[0].replace(/[^\d.]/g, '');
+  
+  details.features = selectors.features
+    ? Array.from(doc.querySelectorAll(selectors.features))
+      .map(el => el.textContent?.trim())
+      .filter(feature => feature && feature.length > 1 && feature.length < 80)
+    : [];
+  
+  const images = [];
+  if (selectors.images) {
+    doc.querySelectorAll(selectors.images).forEach(img => {
+      const value = img.getAttribute(selectors.imageAttribute || 'src');
+      if (!value) return;
+      const url = new URL(value, doc.baseURI).href;
+      if (!images.includes(url)) images.push(url);
+    });
+  }
+  details.images = images;
+  
+  return details;
+}
+
+// ===========================================
+// Adapter
+// ===========================================
+
+// Raw fields the normalization understands, for `selectors.fields`
+export const GENERIC_FIELDS = [
+  'price', 'netPrice', 'priceRating', 'make', 'model', 'mileage', 'power', 'fuelType',
+  'transmission', 'firstRegistration', 'owners', 'condition', 'bodyType', 'variant',
+  'hubraum', 'driveType', 'seats', 'doors', 'emissionClass', 'emissionSticker', 'hu',
+  'climate', 'parkingAssist', 'airbags', 'color', 'interior', 'consumption', 'co2',
+  'efficiencyClass', 'batteryCapacity', 'electricRange', 'subtitle'
+];
+
+export function createGenericAdapter(dealer) {
+  const { selectors = {} } = dealer;
+  if (!selectors.listingLink) {
+    throw new Error(`Dealer ${dealer.name}: the generic platform needs selectors.listingLink`);
+  }
+  const unknown = Object.keys(selectors.fields || {}).filter(field => !GENERIC_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Dealer ${dealer.name}: unknown selectors.fields ${unknown.join(', ')}`);
+  }
+  
+  // IDs from different websites may collide, so keys are namespaced by host
+  const host = new URL(dealer.url).host;
+  const idPattern = selectors.idPattern ? new RegExp(selectors.idPattern) : null;
+  
+  // The idPattern's first group, or the whole URL
+  function listingId(url) {
+    if (!url) return null;
+    return idPattern ? url.match(idPattern)?.[1] || null : url;
+  }
+  
+  return {
+    platform: 'generic',
+    imageReferer: new URL(dealer.url).origin + '/',
+    
+    // Without a page parameter the dealer URL is the only page
+    searchUrl(_dealer, _pagination, pageNumber) {
+      if (!dealer.pageParam) return pageNumber === 1 ? dealer.url : null;
+      const url = new URL(dealer.url);
+      if (pageNumber > 1) url.searchParams.set(dealer.pageParam, String(pageNumber));
+      return url.href;
+    },
+    
+    async searchResults(page) {
+      const urls = await page.evaluate(extractGenericSearchResults, selectors);
+      return urls
+        .map(url => ({ url, id: listingId(url) }))
+        .filter(({ id }) => id);
+    },
+    
+    listingDetails(page) {
+      return page.evaluate(extractGenericListing, selectors);
+    },
+    
+    listingId,
+    
+    sourceKey(listingId) {
+      return generateSourceKey(listingId, `generic:${host}`);
+    }
+  };
+}
@@ -0,0 +1,30 @@
+/**
+ * Source adapters
+ *
+ * Each dealer in config/dealers.json names the platform its listings come from
+ * (`platform`, default `mobile.de`). An adapter knows how to page through the
+ * dealer's listings and how to read one listing, and emits the raw listing
+ * shape of src/extract.js, so everything after extraction is shared.
+ *
+ * An adapter implements searchUrl(dealer, pagination, pageNumber) → URL or null
+ * past the last page, searchResults(page) → [{ url, id }], listingDetails(page)
+ * → raw listing, listingId(url), sourceKey(listingId), plus `platform` and the
+ * `imageReferer` sent with photo downloads.
+ */
+
+import { createMobileDeAdapter } from './mobile-de.js';
+import { createGenericAdapter } from './generic.js';
+
+export const SOURCE_PLATFORMS = ['mobile.de', 'generic'];
+
+export function createSourceAdapter(dealer) {
+  const platform = dealer.platform || 'mobile.de';
+  switch (platform) {
+    case 'mobile.de':
+      return createMobileDeAdapter();
+    case 'generic':
+      return createGenericAdapter(dealer);
+    default:
+      throw new Error(`Dealer ${dealer.name}: unknown platform '${platform}' (expected ${SOURCE_PLATFORMS.join(' or ')})`);
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * mobile.de source adapter
+ *
+ * Dealers are configured with their home.mobile.de page. The customer ID in it
+ * is rewritten into a paged suchen.mobile.de search (`sid`), and listings are
+ * keyed on the ad ID from the details URL.
+ */
+
+import { extractSearchResults, extractListingDetails } from '../extract.js';
+import { extractAdId, generateSourceKey } from '../source-identity.js';
+
+const SEARCH_URL = 'https://suchen.mobile.de/fahrzeuge/search.html';
+
+// Readable sort names → mobile.de search parameters
+const sortFieldMap = {
+  newest: 'doc',
+  price: 'p',
+  mileage: 'ml',
+  year: 'ry'
+};
+
+const sortOrderMap = {
+  asc: 'up',
+  desc: 'down'
+};
+
+export function buildSearchUrl(dealerUrl, pagination, pageNumber) {
+  const customerIdMatch = dealerUrl.match(/customerId=(\d+)/);
+  if (!customerIdMatch) {
+    // Not a mobile.de dealer page, we can't page through it
+    return pageNumber === 1 ? dealerUrl : null;
+  }
+  
+  const params = new URLSearchParams({ s: 'Car', vc: 'Car', sid: customerIdMatch[1] });
+  if (pageNumber > 1) params.set('pageNumber', String(pageNumber));
+  if (pagination.pageSize) params.set('psz', String(pagination.pageSize));
+  if (pagination.sortBy) params.set('sb', sortFieldMap[pagination.sortBy] || pagination.sortBy);
+  if (pagination.sortOrder) params.set('od', sortOrderMap[pagination.sortOrder] || pagination.sortOrder);
+  return `${SEARCH_URL}?${params}`;
+}
+
+export function createMobileDeAdapter() {
+  return {
+    platform: 'mobile.de',
+    imageReferer: 'https://suchen.mobile.de/',
+    
+    searchUrl(dealer, pagination, pageNumber) {
+      return buildSearchUrl(dealer.url, pagination, pageNumber);
+    },
+    
+    searchResults(page) {
+      return page.evaluate(extractSearchResults);
+    },
+    
+    async listingDetails(page) {
+      // Click "Mehr anzeigen" buttons to expand sections
+      await page.evaluate(() => {
+        document.querySelectorAll('a, button').forEach(el => {
+          if (el.textContent?.trim() === 'Mehr anzeigen') {
+            el.click();
+          }
+        });
+      });
+      await new Promise(resolve => setTimeout(resolve, 500));
+      
+      return page.evaluate(extractListingDetails);
+    },
+    
+    listingId: extractAdId,
+    
+    sourceKey(listingId) {
+      return generateSourceKey(listingId);
+    }
+  };
+}
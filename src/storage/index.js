@@ -0,0 +1,90 @@
+/**
+ * Storage backends
+ *
+ * Listing persistence and image storage are selected independently:
+ *
+ *   listings: 'supabase' | 'local'
+ *   images:   'supabase' | 'local' | 's3'
+ *
+ * from `settings.storage` in config/dealers.json, overridden by the
+ * LISTING_STORE / IMAGE_STORE environment variables.
+ *
+ * A listing store implements loadAll(columns), insert(listing) → { id, slug },
+ * update(id, fields), addPriceHistory(records) and recordRun(run), which
+ * inserts or replaces a sync_runs row by its id. An image store implements
+ * upload(fileName, buffer, contentType) → public URL, publicUrl(fileName),
+ * list() → [{ name, updatedAt }] and remove(fileNames), the last two for
+ * garbage collection. Both throw on failure.
+ */
+
+import path from 'path';
+import { createSupabaseClient, createSupabaseListingStore, createSupabaseImageStore } from './supabase.js';
+import { createLocalListingStore, createLocalImageStore } from './local.js';
+
+const DEFAULT_LOCAL_DIR = '.local-data';
+
+export function resolveBackends(storageSettings = {}) {
+  return {
+    listings: process.env.LISTING_STORE || storageSettings.listings || 'supabase',
+    images: process.env.IMAGE_STORE || storageSettings.images || 'supabase'
+  };
+}
+
+function s3Options(storageSettings) {
+  const options = { ...storageSettings.s3 };
+  if (process.env.S3_ENDPOINT) options.endpoint = process.env.S3_ENDPOINT;
+  if (process.env.S3_REGION) options.region = process.env.S3_REGION;
+  if (process.env.S3_BUCKET) options.bucket = process.env.S3_BUCKET;
+  if (process.env.S3_PUBLIC_URL) options.publicUrl = process.env.S3_PUBLIC_URL;
+  return options;
+}
+
+// Returns { listings, images, backends }. With allowMissingCredentials a Supabase
+// backend without credentials comes back as null instead of throwing (dry runs).
+export async function createStorage(storageSettings = {}, { rootDir, allowMissingCredentials = false } = {}) {
+  const backends = resolveBackends(storageSettings);
+  const localDir = path.resolve(rootDir, storageSettings.local?.dir || DEFAULT_LOCAL_DIR);
+  
+  let supabase;
+  function requireSupabase(kind) {
+    if (supabase === undefined) supabase = createSupabaseClient();
+    if (supabase || allowMissingCredentials) return supabase;
+    throw new Error(`Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY environment variables (${kind} backend is 'supabase')`);
+  }
+  
+  let listings;
+  switch (backends.listings) {
+    case 'supabase': {
+      const client = requireSupabase('listings');
+      listings = client ? createSupabaseListingStore(client) : null;
+      break;
+    }
+    case 'local':
+      listings = createLocalListingStore(localDir);
+      break;
+    default:
+      throw new Error(`Unknown listings backend '${backends.listings}' (expected supabase or local)`);
+  }
+  
+  let images;
+  switch (backends.images) {
+    case 'supabase': {
+      const client = requireSupabase('images');
+      images = client ? createSupabaseImageStore(client, storageSettings.supabase?.bucket) : null;
+      break;
+    }
+    case 'local':
+      images = createLocalImageStore(localDir, storageSettings.local?.publicUrl);
+      break;
+    case 's3': {
+      // Loaded on demand so the AWS SDK stays out of Supabase-only runs
+      const { createS3ImageStore } = await import('./s3.js');
+      images = createS3ImageStore(s3Options(storageSettings));
+      break;
+    }
+    default:
+      throw new Error(`Unknown images backend '${backends.images}' (expected supabase, local or s3)`);
+  }
+  
+  return { listings, images, backends };
+}
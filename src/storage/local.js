@@ -0,0 +1,145 @@
+/**
+ * Local filesystem backends for development without credentials
+ *
+ * Listings are kept in a single JSON file, their price history and the sync
+ * run history in two more, images as plain files next to them.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+// Written to a temp file first, so a crash never leaves half a file behind
+async function writeJson(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+  await fs.rename(tmpPath, filePath);
+}
+
+export function createLocalListingStore(dir) {
+  const filePath = path.join(dir, 'listings.json');
+  let rows = null;
+  
+  // Worker pages write concurrently, so every change runs after the previous
+  // one has been written
+  let writing = Promise.resolve();
+  
+  function serialized(fn) {
+    const result = writing.then(fn);
+    writing = result.catch(() => {});
+    return result;
+  }
+  
+  async function load() {
+    if (!rows) rows = await readJson(filePath);
+    return rows;
+  }
+  
+  return {
+    name: 'local',
+    
+    loadAll(columns) {
+      return serialized(async () => (await load()).map(row =>
+        Object.fromEntries(columns.map(column => [column, row[column] ?? null]))
+      ));
+    },
+    
+    insert(listing) {
+      return serialized(async () => {
+        await load();
+        if (listing.source_key && rows.some(row => row.source_key === listing.source_key)) {
+          // Mirror the unique index on listings.source_key
+          throw new Error(`duplicate source_key for ${listing.slug}`);
+        }
+        const id = rows.reduce((max, row) => Math.max(max, row.id), 0) + 1;
+        rows.push({ id, ...listing });
+        await writeJson(filePath, rows);
+        return { id, slug: listing.slug };
+      });
+    },
+    
+    update(id, fields) {
+      return serialized(async () => {
+        await load();
+        const row = rows.find(r => r.id === id);
+        if (!row) throw new Error(`listing ${id} not found`);
+        Object.assign(row, fields);
+        await writeJson(filePath, rows);
+      });
+    },
+    
+    addPriceHistory(records) {
+      return serialized(async () => {
+        const historyPath = path.join(dir, 'price-history.json');
+        const history = await readJson(historyPath);
+        history.push(...records);
+        await writeJson(historyPath, history);
+      });
+    },
+    
+    recordRun(run) {
+      return serialized(async () => {
+        const runsPath = path.join(dir, 'sync-runs.json');
+        const runs = await readJson(runsPath);
+        const index = runs.findIndex(({ id }) => id === run.id);
+        if (index === -1) runs.push(run);
+        else runs[index] = run;
+        await writeJson(runsPath, runs);
+      });
+    }
+  };
+}
+
+export function createLocalImageStore(dir, publicUrl = null) {
+  const imagesDir = path.join(dir, 'images');
+  
+  return {
+    name: 'local',
+    
+    async upload(fileName, buffer) {
+      const filePath = path.join(imagesDir, fileName);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return this.publicUrl(fileName);
+    },
+    
+    publicUrl(fileName) {
+      return publicUrl
+        ? `${publicUrl.replace(/\/$/, '')}/${fileName}`
+        : pathToFileURL(path.join(imagesDir, fileName)).href;
+    },
+    
+    async list() {
+      let entries;
+      try {
+        entries = await fs.readdir(imagesDir, { recursive: true, withFileTypes: true });
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const objects = [];
+      for (const entry of entries.filter(e => e.isFile())) {
+        const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+        const { mtime } = await fs.stat(filePath);
+        objects.push({ name: path.relative(imagesDir, filePath).split(path.sep).join('/'), updatedAt: mtime.toISOString() });
+      }
+      return objects;
+    },
+    
+    async remove(fileNames) {
+      for (const fileName of fileNames) {
+        await fs.rm(path.join(imagesDir, fileName), { force: true });
+      }
+    }
+  };
+}
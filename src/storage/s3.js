@@ -0,0 +1,87 @@
+/**
+ * S3-compatible image backend (AWS S3, MinIO, Cloudflare R2, ...)
+ */
+
+import { S3Client, PutObjectCommand, ListObjectsV2Command, DeleteObjectsCommand } from '@aws-sdk/client-s3';
+
+const DELETE_BATCH = 1000; // DeleteObjects limit
+
+// Without S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY the SDK's default chain
+// (environment, profile, instance role, web identity) finds the credentials
+export function s3ClientConfig(options, env = process.env) {
+  const config = {
+    endpoint: options.endpoint || undefined,
+    region: options.region || 'us-east-1',
+    forcePathStyle: options.forcePathStyle ?? Boolean(options.endpoint)
+  };
+  if (env.S3_ACCESS_KEY_ID && env.S3_SECRET_ACCESS_KEY) {
+    config.credentials = { accessKeyId: env.S3_ACCESS_KEY_ID, secretAccessKey: env.S3_SECRET_ACCESS_KEY };
+  }
+  return config;
+}
+
+export function createS3Client(options) {
+  return new S3Client(s3ClientConfig(options));
+}
+
+export function createS3ImageStore(options, client = createS3Client(options)) {
+  if (!options.bucket) throw new Error('S3 image storage needs a bucket');
+  
+  // Path-style URL works for MinIO; set publicUrl for a CDN or custom domain
+  const defaultUrl = options.endpoint
+    ? `${options.endpoint}/${options.bucket}`
+    : `https://${options.bucket}.s3.${options.region || 'us-east-1'}.amazonaws.com`;
+  const publicUrl = (options.publicUrl || defaultUrl).replace(/\/$/, '');
+  
+  return {
+    name: 's3',
+    
+    async upload(fileName, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: options.bucket,
+        Key: fileName,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000'
+      }));
+      return `${publicUrl}/${fileName}`;
+    },
+    
+    publicUrl(fileName) {
+      return `${publicUrl}/${fileName}`;
+    },
+    
+    async list() {
+      const objects = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket: options.bucket, ContinuationToken }));
+        for (const { Key, LastModified } of page.Contents || []) {
+          objects.push({ name: Key, updatedAt: LastModified ? new Date(LastModified).toISOString() : null });
+        }
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return objects;
+    },
+    
+    async remove(fileNames) {
+      const failed = [];
+      for (let i = 0; i < fileNames.length; i += DELETE_BATCH) {
+        const batch = fileNames.slice(i, i + DELETE_BATCH);
+        const response = await client.send(new DeleteObjectsCommand({
+          Bucket: options.bucket,
+          Delete: { Objects: batch.map(Key => ({ Key })), Quiet: true }
+        }));
+        // Quiet only leaves out the deleted keys, failed ones are still reported
+        failed.push(...(response?.Errors || []));
+      }
+      if (failed.length > 0) {
+        const { Key, Code, Message } = failed[0];
+        throw Object.assign(
+          new Error(`Failed to delete ${failed.length} of ${fileNames.length} objects (${Key}: ${Code} ${Message})`),
+          { failed: failed.map(({ Key }) => Key) }
+        );
+      }
+    }
+  };
+}
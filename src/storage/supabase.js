@@ -0,0 +1,134 @@
+/**
+ * Supabase backends: `listings` (+ `listing_price_history`, `sync_runs`) tables
+ * and the `vehicle-images` Storage bucket
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const PAGE_SIZE = 1000; // Supabase caps a single select at 1000 rows
+const LIST_PAGE_SIZE = 1000;
+
+// Keeps the Postgres error code and the HTTP status, so retry.js can classify the failure
+function storeError(error) {
+  return Object.assign(new Error(error.message), { code: error.code, status: Number(error.status ?? error.statusCode) || undefined });
+}
+
+export function createSupabaseClient() {
+  const url = process.env.SUPABASE_URL;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!url || !serviceKey) return null;
+  return createClient(url, serviceKey);
+}
+
+export function createSupabaseListingStore(supabase) {
+  return {
+    name: 'supabase',
+    
+    async loadAll(columns) {
+      const rows = [];
+      for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+          .from('listings')
+          .select(columns.join(', '))
+          .order('id')
+          .range(from, from + PAGE_SIZE - 1);
+        
+        if (error) throw storeError(error);
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) break;
+      }
+      return rows;
+    },
+    
+    async insert(listing) {
+      const { data, error } = await supabase
+        .from('listings')
+        .insert(listing)
+        .select('id, slug')
+        .single();
+      
+      if (error) throw storeError(error);
+      return data;
+    },
+    
+    async update(id, fields) {
+      const { error } = await supabase
+        .from('listings')
+        .update(fields)
+        .eq('id', id);
+      
+      if (error) throw storeError(error);
+    },
+    
+    async addPriceHistory(records) {
+      const { error } = await supabase
+        .from('listing_price_history')
+        .insert(records);
+      
+      if (error) throw storeError(error);
+    },
+    
+    async recordRun(run) {
+      const { error } = await supabase
+        .from('sync_runs')
+        .upsert(run);
+      
+      if (error) throw storeError(error);
+    }
+  };
+}
+
+export function createSupabaseImageStore(supabase, bucket = 'vehicle-images') {
+  return {
+    name: 'supabase',
+    
+    async upload(fileName, buffer, contentType) {
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(fileName, buffer, {
+          contentType,
+          upsert: true
+        });
+      
+      if (error) throw storeError(error);
+      
+      return this.publicUrl(fileName);
+    },
+    
+    publicUrl(fileName) {
+      return supabase.storage.from(bucket).getPublicUrl(fileName).data.publicUrl;
+    },
+    
+    // Storage lists one folder at a time, folders come back without an id
+    async list(prefix = '') {
+      const objects = [];
+      for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+        const { data, error } = await supabase.storage
+          .from(bucket)
+          .list(prefix, { limit: LIST_PAGE_SIZE, offset });
+        
+        if (error) throw storeError(error);
+        for (const item of data) {
+          const name = prefix ? `${prefix}/${item.name}` : item.name;
+          if (item.id === null) {
+            objects.push(...await this.list(name));
+          } else {
+            objects.push({ name, updatedAt: item.updated_at || item.created_at || null });
+          }
+        }
+        if (data.length < LIST_PAGE_SIZE) break;
+      }
+      return objects;
+    },
+    
+    async remove(fileNames) {
+      for (let i = 0; i < fileNames.length; i += LIST_PAGE_SIZE) {
+        const { error } = await supabase.storage
+          .from(bucket)
+          .remove(fileNames.slice(i, i + LIST_PAGE_SIZE));
+        
+        if (error) throw storeError(error);
+      }
+    }
+  };
+}
@@ -0,0 +1,209 @@
+/**
+ * Structured data extraction
+ *
+ * Listing pages often embed typed data next to the markup: schema.org
+ * `Car`/`Vehicle` JSON-LD with an `Offer`, or a hydration state blob
+ * (`window.__INITIAL_STATE__ = {...}`, `<script id="__NEXT_DATA__">`) holding
+ * the attributes the page renders. These survive layout changes, so they are
+ * read first and the DOM extraction only fills the fields they don't have.
+ *
+ * Values are converted to the raw strings the DOM extraction produces
+ * ("84500 km", "140 kW", "03/2020"), so normalization doesn't care where a
+ * field came from. Where each field came from is kept in `fieldSources`.
+ */
+
+// ===========================================
+// Extraction (runs in the browser)
+// ===========================================
+
+// Returns { details, sources } with details in the raw listing shape and sources
+// saying 'json-ld' or 'state' per field. Self-contained for page.evaluate.
+export function extractStructuredData(doc = document) {
+  const details = {};
+  const sources = {};
+  const set = (field, value, source) => {
+    if (value === undefined || value === null || details[field] !== undefined) return;
+    const clean = Array.isArray(value) ? value : String(value).trim();
+    if (clean.length === 0) return;
+    details[field] = clean;
+    sources[field] = source;
+  };
+  
+  const parse = text => {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return null;
+    }
+  };
+  const typesOf = node => [].concat(node?.['@type'] || []);
+  const nameOf = value => (value && typeof value === 'object' ? value.name : value);
+  const quantity = value => (value && typeof value === 'object' ? value.value : value);
+  const decimal = value => String(value).replace('.', ',');
+  
+  // English schema.org values some sites use → the German labels normalization knows
+  const fuelLabels = { gasoline: 'Benzin', petrol: 'Benzin', diesel: 'Diesel', electric: 'Elektro', hybrid: 'Hybrid', lpg: 'LPG', cng: 'CNG', hydrogen: 'Wasserstoff' };
+  const gearboxLabels = { automatic: 'Automatik', manual: 'Schaltgetriebe', 'semi-automatic': 'Halbautomatik' };
+  const translate = (value, labels) => labels[String(value).toLowerCase()] || value;
+  
+  // --- schema.org JSON-LD ---
+  const nodes = [];
+  doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    const stack = [parse(script.textContent)];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (Array.isArray(node)) {
+        stack.push(...node);
+      } else if (node && typeof node === 'object') {
+        nodes.push(node);
+        if (node['@graph']) stack.push(node['@graph']);
+      }
+    }
+  });
+  
+  const vehicle = nodes.find(node => typesOf(node).some(type => type === 'Car' || type === 'Vehicle'));
+  if (vehicle) {
+    const source = 'json-ld';
+    const offer = [].concat(vehicle.offers || nodes.find(node => typesOf(node).includes('Offer')) || [])[0];
+    const engine = [].concat(vehicle.vehicleEngine || [])[0];
+    
+    set('title', vehicle.name, source);
+    set('make', nameOf(vehicle.brand) || nameOf(vehicle.manufacturer), source);
+    set('model', nameOf(vehicle.model), source);
+    
+    const price = Number(offer?.price ?? offer?.priceSpecification?.price);
+    if (Number.isFinite(price) && price > 0) set('price', String(Math.round(price)), source);
+    
+    const odometer = vehicle.mileageFromOdometer;
+    if (quantity(odometer) !== undefined && (!odometer.unitCode || odometer.unitCode === 'KMT')) {
+      set('mileage', `${quantity(odometer)} km`, source);
+    }
+    
+    const power = [].concat(engine?.enginePower || [])
+      .map(value => (value.unitCode === 'BHP' ? `${quantity(value)} PS` : value.unitCode === 'KWT' ? `${quantity(value)} kW` : null))
+      .filter(Boolean);
+    if (power.length > 0) set('power', power.join(' '), source);
+    
+    const displacement = engine?.engineDisplacement;
+    if (quantity(displacement) !== undefined && (!displacement.unitCode || displacement.unitCode === 'CMQ')) {
+      set('hubraum', `${quantity(displacement)} cm³`, source);
+    }
+    
+    const fuel = engine?.fuelType || vehicle.fuelType;
+    if (fuel) set('fuelType', translate(fuel, fuelLabels), source);
+    if (vehicle.vehicleTransmission) set('transmission', translate(vehicle.vehicleTransmission, gearboxLabels), source);
+    
+    const registered = String(vehicle.dateVehicleFirstRegistered || '').match(/^(\d{4})-(\d{2})/);
+    if (registered) set('firstRegistration', `${registered[2]}/${registered[1]}`, source);
+    
+    set('owners', vehicle.numberOfPreviousOwners, source);
+    set('bodyType', vehicle.bodyType, source);
+    set('seats', quantity(vehicle.seatingCapacity), source);
+    set('doors', quantity(vehicle.numberOfDoors), source);
+    set('color', vehicle.color, source);
+    set('interior', [vehicle.vehicleInteriorType, vehicle.vehicleInteriorColor].filter(Boolean).join(', '), source);
+    
+    const co2 = quantity(vehicle.emissionsCO2);
+    if (co2 !== undefined) set('co2', `${co2} g/km`, source);
+    const consumption = [].concat(vehicle.fuelConsumption || [])[0];
+    if (quantity(consumption) !== undefined) {
+      set('consumption', `${decimal(quantity(consumption))} ${consumption.unitText || 'l/100km'}`, source);
+    }
+    
+    // Used is the default, and the DOM value adds "Unfallfrei"
+    const condition = String(vehicle.itemCondition || offer?.itemCondition || '');
+    if (/NewCondition$/.test(condition)) set('condition', 'Neuwagen', source);
+    
+    const images = [].concat(vehicle.image || [])
+      .map(image => (typeof image === 'string' ? image : image?.contentUrl || image?.url))
+      .filter(Boolean)
+      .map(url => new URL(url, doc.baseURI).href);
+    set('images', [...new Set(images)], source);
+  }
+  
+  // --- Hydration state: { label, value } attribute lists ---
+  const stateLabels = {
+    'Marke': 'make', 'Modell': 'model', 'Kilometerstand': 'mileage', 'Leistung': 'power',
+    'Kraftstoffart': 'fuelType', 'Getriebe': 'transmission', 'Erstzulassung': 'firstRegistration',
+    'Fahrzeughalter': 'owners', 'Anzahl der Fahrzeughalter': 'owners', 'Fahrzeugzustand': 'condition',
+    'Kategorie': 'bodyType', 'Hubraum': 'hubraum', 'Antriebsart': 'driveType',
+    'Anzahl Sitzplätze': 'seats', 'Anzahl der Türen': 'doors', 'Schadstoffklasse': 'emissionClass',
+    'Umweltplakette': 'emissionSticker', 'HU': 'hu', 'Klimatisierung': 'climate',
+    'Einparkhilfe': 'parkingAssist', 'Airbags': 'airbags', 'Farbe': 'color',
+    'Farbe (Hersteller)': 'colorManufacturer', 'Innenausstattung': 'interior',
+    'Verbrauch': 'consumption', 'CO₂-Emissionen': 'co2', 'CO₂-Klasse': 'efficiencyClass'
+  };
+  
+  const blobs = [];
+  doc.querySelectorAll('script:not([type="application/ld+json"])').forEach(script => {
+    const text = script.textContent || '';
+    if (script.id === '__NEXT_DATA__') {
+      blobs.push(parse(text));
+      return;
+    }
+    const assignment = text.match(/^\s*window\.__[A-Z_]+__\s*=\s*([\s\S]*?);?\s*$/);
+    if (assignment) blobs.push(parse(assignment[1]));
+  });
+  
+  // Breadth-first with a cap, state blobs can be large
+  const queue = blobs.filter(Boolean);
+  for (let visited = 0; queue.length > 0 && visited < 20000; visited++) {
+    const node = queue.shift();
+    if (Array.isArray(node)) {
+      const isAttributeList = node.length > 0 && node.every(item =>
+        item && typeof item.label === 'string' && ['string', 'number'].includes(typeof item.value));
+      if (isAttributeList) {
+        node.forEach(({ label, value }) => {
+          if (stateLabels[label]) set(stateLabels[label], value, 'state');
+        });
+      } else {
+        queue.push(...node);
+      }
+    } else if (node && typeof node === 'object') {
+      queue.push(...Object.values(node));
+    }
+  }
+  
+  return { details, sources };
+}
+
+// ===========================================
+// Merging
+// ===========================================
+
+// JSON-LD usually lists a few photos and no equipment, the page has them all
+const DOM_FIRST = ['images', 'features'];
+
+const isMissing = value => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Structured values win, the DOM extraction fills the rest (except for
+// DOM_FIRST fields). Flags like `priceNegotiable` only exist in the DOM. Returns the raw listing with
+// `fieldSources` ({ field: 'json-ld' | 'state' | 'dom' }) for every non-empty field.
+export function mergeListingDetails({ details: structured = {}, sources = {} } = {}, dom = {}) {
+  const merged = {};
+  const fieldSources = {};
+  
+  for (const field of new Set([...Object.keys(dom), ...Object.keys(structured)])) {
+    const preferDom = DOM_FIRST.includes(field) && !isMissing(dom[field]);
+    if (!isMissing(structured[field]) && !preferDom) {
+      merged[field] = structured[field];
+      fieldSources[field] = sources[field];
+    } else {
+      merged[field] = dom[field] ?? '';
+      if (!isMissing(dom[field]) && dom[field] !== false) fieldSources[field] = 'dom';
+    }
+  }
+  
+  merged.fieldSources = fieldSources;
+  return merged;
+}
+
+// Adds a listing's field sources to per-field, per-source counts for the sync log
+export function tallyFieldSources(summary, fieldSources) {
+  for (const [field, source] of Object.entries(fieldSources)) {
+    if (!summary[field]) summary[field] = {};
+    summary[field][source] = (summary[field][source] || 0) + 1;
+  }
+  return summary;
+}
@@ -1,21 +1,55 @@
 /**
- * CarLink24 Vehicle Sync Script
+ * CarLink24 Vehicle Sync
  * 
- * This script:
- * 1. Reads dealer URLs from config/dealers.json
- * 2. Scrapes vehicle listings from mobile.de
- * 3. Checks fingerprints to skip existing listings
- * 4. Screenshots images and uploads to Supabase Storage
- * 5. Inserts new listings to the database
+ * sync():
+ * 1. Reads dealer URLs from config/dealers.json (plus an environment overlay) and validates them
+ * 2. Scrapes vehicle listings through each dealer's source adapter (mobile.de,
+ *    or a selector-driven generic one, see sources/)
+ * 3. Matches existing listings by their hashed source ad ID
+ * 4. Downloads images, renders responsive sizes and uploads them to image storage
+ * 5. Inserts new listings to the listing store (Supabase by default, see storage/)
+ * 6. Updates changed listings and unpublishes listings removed at the source
+ *
+ * Each run gets an ID that is on every JSON log line and names its row in the
+ * sync_runs table (see run-history.js).
+ *
+ * With `dryRun` nothing is written: changes go to dry-run-report.json/.html.
+ * Progress is checkpointed to .sync-state/ so an interrupted run resumes where
+ * it stopped; `fresh` ignores the checkpoint. Failures are classified and
+ * retried (see retry.js), listings that still fail are retried by the next run.
+ *
+ * The other exports are the one-off commands of the CLI (src/cli.js): scrape
+ * a single URL, reprocess a listing's photos, unpublish a listing, check
+ * fingerprints. They throw errors with a `code` the CLI turns into exit codes.
  */
 
 import puppeteer from 'puppeteer';
 import sharp from 'sharp';
-import { createClient } from '@supabase/supabase-js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
+import { log, setRunContext, withLogContext, getLogContext } from './logger.js';
+import { extractAdId, generateSourceKey, generateDealerKey } from './source-identity.js';
+import { createSourceAdapter } from './sources/index.js';
+import { loadConfig, findDealer, resolveDealerSettings, filterReason, applyPriceMarkup } from './config.js';
+import { extractStructuredData, mergeListingDetails, tallyFieldSources } from './structured-data.js';
+import { normalizeListing } from './normalize.js';
+import { localizeListing } from './locales/index.js';
+import { validateListing, tallyProblems } from './validate.js';
+import { writeDryRunReport } from './dry-run-report.js';
+import { createStorage } from './storage/index.js';
+import { createRateLimiter } from './rate-limiter.js';
+import { createFairQueue, runWorkers } from './work-queue.js';
+import { listingUpdate, isHeldForQuality, findRemovedListings } from './lifecycle.js';
+import { openCheckpoint } from './checkpoint.js';
+import { classifyError, classifiedError, withRetry, createCircuitBreaker, DEFAULT_RETRY } from './retry.js';
+import { openRetryQueue } from './retry-queue.js';
+import { getBrowserSettings, browserLaunchOptions, createIdentityRotation, openPreparedPage, preparePage, settlePage, DEFAULT_BROWSER } from './page-prep.js';
+import { contentHash, perceptualHash, createImageIndex } from './image-hash.js';
+import { analyzeImage, cropWindow, pickHero, blurRegions, DEFAULT_IMAGE_ANALYSIS } from './image-analysis.js';
+import { buildRunRecord } from './run-history.js';
+import { createExtractionStats, recordExtraction, summarizeExtraction, detectDrift, loadHistory, saveHistory, sendDriftAlert, DEFAULT_DRIFT } from './drift.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT_DIR = path.join(__dirname, '..');
@@ -24,135 +58,101 @@ const ROOT_DIR = path.join(__dirname, '..');
 // Configuration
 // ===========================================
 
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+// Nothing is written to listing or image storage, set by each command
+let DRY_RUN = false;
 
-if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
-  console.error('❌ Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY environment variables');
-  process.exit(1);
-}
+// Listing and image backends, set up by each command from settings.storage
+let storage;
+
+// Per-host request limits, set up by each command from settings.concurrency
+let rateLimiter;
+
+// Progress of this run (or the interrupted one it resumes), set up by each command
+let checkpoint;
+
+// Photos already in image storage by source URL and hash, set up by each command
+let imageIndex;
+
+// Retry and circuit breaker settings, from settings.retry
+let retrySettings = DEFAULT_RETRY;
+
+// Browser profile, user agents, consent and block detection, from settings.browser
+let browserSettings = DEFAULT_BROWSER;
+
+// User agents and viewports handed to worker pages, set up with the browser
+let identities;
 
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+// Listings that failed in earlier runs, set up by sync()
+let retryQueue;
 
 // Sync log for debugging
 const syncLog = {
+  runId: null,
   startedAt: new Date().toISOString(),
+  dryRun: false,
+  dealerFilter: null,
   dealers: [],
   listingsFound: 0,
   listingsNew: 0,
+  listingsUpdated: 0,
+  listingsRemoved: 0,
   listingsSkipped: 0,
+  listingsHeld: 0,
+  listingsFiltered: [],
+  retries: { pending: 0, recovered: 0, queued: 0, dropped: 0 },
+  problemsByField: {},
+  unresolvedTitles: [],
+  unmappedFeatures: {},
+  missingTranslations: [],
+  fieldSources: {},
   imagesUploaded: 0,
+  imagesReused: 0,
+  sharedImages: [],
+  imageAnalysis: [],
+  heroChanges: [],
+  extraction: null,
+  drift: [],
+  transitions: [],
+  duplicates: [],
   errors: [],
   completedAt: null
 };
 
-// ===========================================
-// Translation Maps (German → Normalized Keys)
-// ===========================================
-
-const fuelTypeMap = {
-  'Benzin': 'PETROL',
-  'Diesel': 'DIESEL',
-  'Elektro': 'ELECTRIC',
-  'Hybrid': 'HYBRID',
-  'Hybrid (Benzin)': 'HYBRID_PETROL',
-  'Hybrid (Benzin/Elektro)': 'HYBRID_PETROL',
-  'Hybrid (Diesel)': 'HYBRID_DIESEL',
-  'Plug-in-Hybrid': 'PLUGIN_HYBRID',
-  'LPG': 'LPG',
-  'CNG': 'CNG',
-  'Erdgas': 'CNG',
-  'Wasserstoff': 'HYDROGEN'
-};
-
-const gearboxMap = {
-  'Automatik': 'AUTOMATIC',
-  'Schaltgetriebe': 'MANUAL',
-  'Schaltung': 'MANUAL',
-  'Halbautomatik': 'SEMI_AUTOMATIC'
-};
-
-const bodyTypeMap = {
-  'Limousine': 'SEDAN',
-  'Kombi': 'WAGON',
-  'SUV': 'SUV',
-  'Geländewagen': 'SUV',
-  'Coupé': 'COUPE',
-  'Coupe': 'COUPE',
-  'Sportwagen/Coupé': 'SPORTS_COUPE',
-  'Sportwagen': 'SPORTS',
-  'Cabrio': 'CONVERTIBLE',
-  'Cabriolet': 'CONVERTIBLE',
-  'Roadster': 'ROADSTER',
-  'Kleinwagen': 'COMPACT',
-  'Van': 'VAN',
-  'Van/Minibus': 'MPV',
-  'Pickup': 'PICKUP',
-  'Andere': 'OTHER'
-};
-
-const driveTypeMap = {
-  'Verbrennungsmotor': 'ICE',
-  'Elektro': 'ELECTRIC',
-  'Elektroantrieb': 'ELECTRIC',
-  'Hybrid': 'HYBRID',
-  'Hybridantrieb': 'HYBRID',
-  'Plug-in-Hybrid': 'PLUGIN_HYBRID'
-};
-
-const climateMap = {
-  'Klimaanlage': 'AUTOMATIC',
-  'Klimaautomatik': 'AUTOMATIC',
-  '2-Zonen-Klimaautomatik': 'TWO_ZONE',
-  '3-Zonen-Klimaautomatik': 'THREE_ZONE',
-  '4-Zonen-Klimaautomatik': 'FOUR_ZONE',
-  'Manuelle Klimaanlage': 'MANUAL'
-};
-
-const colorMap = {
-  'Weiß': 'WHITE',
-  'Schwarz': 'BLACK',
-  'Silber': 'SILVER',
-  'Grau': 'GRAY',
-  'Rot': 'RED',
-  'Blau': 'BLUE',
-  'Grün': 'GREEN',
-  'Braun': 'BROWN',
-  'Beige': 'BEIGE',
-  'Gold': 'GOLD',
-  'Orange': 'ORANGE',
-  'Gelb': 'YELLOW',
-  'Violett': 'PURPLE',
-  'Bronze': 'BRONZE',
-  'Anthrazit': 'ANTHRACITE'
-};
-
-const interiorMaterialMap = {
-  'Leder': 'LEATHER',
-  'Vollleder': 'FULL_LEATHER',
-  'Teilleder': 'PARTIAL_LEATHER',
-  'Stoff': 'FABRIC',
-  'Alcantara': 'ALCANTARA',
-  'Velours': 'VELOUR'
-};
+// Field fill and listing counts, compared with earlier runs at the end of sync()
+const extractionStats = createExtractionStats();
 
 // ===========================================
 // Helper Functions
 // ===========================================
 
-function log(message, level = 'info') {
-  const timestamp = new Date().toISOString();
-  const prefix = level === 'error' ? '❌' : level === 'success' ? '✅' : 'ℹ️';
-  console.log(`${timestamp} ${prefix} ${message}`);
+function generateFingerprint(make, model, mileage, firstRegistration) {
+  const str = `${make || ''}|${model || ''}|${mileage || ''}|${firstRegistration || ''}`;
+  return crypto.createHash('md5').update(str).digest('hex');
 }
 
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// What goes into listing_price_history on every observation
+const PRICE_FIELDS = ['price', 'price_net', 'currency', 'price_type', 'vat_deductible', 'price_rating'];
+
+function recordTransition(type, slug, details = {}) {
+  syncLog.transitions.push({ type, slug, at: new Date().toISOString(), ...details });
 }
 
-function generateFingerprint(make, model, mileage, firstRegistration) {
-  const str = `${make || ''}|${model || ''}|${mileage || ''}|${firstRegistration || ''}`;
-  return crypto.createHash('md5').update(str).digest('hex');
+// Errors carry their kind (see retry.js) and the dealer and listing they
+// happened at, from the log context
+function recordError(type, err, details = {}) {
+  const { dealerId, listingId } = getLogContext();
+  const entry = { type, kind: classifyError(err), error: err.message, ...details, dealerId, listingId };
+  syncLog.errors.push(entry);
+  return entry;
+}
+
+// withRetry() options for one kind of request, logging each retry
+function retryOptions(what) {
+  return {
+    ...retrySettings,
+    onRetry: (err, { attempt, attempts, wait }) =>
+      log(`${what} failed (attempt ${attempt}/${attempts}), retrying in ${wait} ms: ${err.message}`, 'warning')
+  };
 }
 
 function generateSlug(make, model, year) {
@@ -164,576 +164,795 @@ function generateSlug(make, model, year) {
   return `${base}-${random}`;
 }
 
-function normalizeValue(value, map) {
-  if (!value) return null;
-  // Try exact match
-  if (map[value]) return map[value];
-  // Try case-insensitive match
-  const lower = value.toLowerCase();
-  for (const [key, val] of Object.entries(map)) {
-    if (key.toLowerCase() === lower) return val;
-  }
-  // Try partial match
-  for (const [key, val] of Object.entries(map)) {
-    if (value.toLowerCase().includes(key.toLowerCase())) return val;
-  }
-  return null;
+// ===========================================
+// Storage Functions
+// ===========================================
+
+const EXISTING_COLUMNS = [
+  'id', 'slug', 'fingerprint', 'source_key', 'source_url', 'source_dealer_key',
+  'price', 'price_net', 'price_type', 'vat_deductible', 'price_rating',
+  'mileage', 'hu_valid_until', 'published', 'removed_at', 'unpublished_reason',
+  'images', 'image_renditions', 'image_hashes', 'image_analysis', 'quality_score', 'quality_problems'
+];
+
+function addFingerprint(byFingerprint, fingerprint, dealerKey) {
+  if (!byFingerprint.has(fingerprint)) byFingerprint.set(fingerprint, []);
+  byFingerprint.get(fingerprint).push(dealerKey || null);
 }
 
-function parseColor(colorString) {
-  if (!colorString) return { color: null, metallic: false };
-  const metallic = colorString.toLowerCase().includes('metallic');
-  const colorOnly = colorString.replace(/\s*metallic\s*/i, '').trim();
-  return {
-    color: normalizeValue(colorOnly, colorMap),
-    metallic
-  };
+// A row's photos as image index entries. Rows from before image hashing have none.
+function rowImageEntries(row) {
+  return (row.image_hashes || [])
+    .map((hash, i) => hash && {
+      ...hash,
+      primary: row.images?.[i],
+      renditions: row.image_renditions?.[i],
+      analysis: row.image_analysis?.[i] ?? null,
+      slug: row.slug
+    })
+    .filter(Boolean);
 }
 
-function parseInterior(interiorString) {
-  if (!interiorString) return { material: null, color: null };
-  const parts = interiorString.split(',').map(p => p.trim());
-  let material = null;
-  let color = null;
+async function getExistingListings() {
+  if (!storage.listings) {
+    // Only dry runs get here: no credentials, so compare against an empty table
+    log('No listing store available, treating every listing as new');
+    return { bySourceKey: new Map(), byFingerprint: new Map() };
+  }
   
-  for (const part of parts) {
-    if (!material) material = normalizeValue(part, interiorMaterialMap);
-    if (!color) color = normalizeValue(part, colorMap);
+  log(`Loading existing listings from ${storage.listings.name}...`);
+  
+  let rows;
+  try {
+    rows = await storage.listings.loadAll(EXISTING_COLUMNS);
+  } catch (err) {
+    // Without the full picture reconciliation could unpublish live listings
+    throw new Error(`Error loading existing listings: ${err.message}`);
   }
   
-  return { material, color };
-}
-
-function parseNumeric(value) {
-  if (!value) return null;
-  const cleaned = value.replace(/[^\d]/g, '');
-  const num = parseInt(cleaned, 10);
-  return isNaN(num) ? null : num;
+  const bySourceKey = new Map();
+  const byFingerprint = new Map();
+  for (const row of rows) {
+    // Rows that predate the backfill migration only have their source_url
+    const sourceKey = row.source_key || generateSourceKey(extractAdId(row.source_url));
+    if (sourceKey) bySourceKey.set(sourceKey, row);
+    if (row.fingerprint) addFingerprint(byFingerprint, row.fingerprint, row.source_dealer_key);
+    rowImageEntries(row).forEach(entry => imageIndex.add(entry));
+  }
+  
+  log(`Loaded ${rows.length} existing listings (${bySourceKey.size} source keys, ${byFingerprint.size} fingerprints, ${imageIndex.size} hashed images)`, 'success');
+  return { bySourceKey, byFingerprint };
 }
 
-function parsePower(powerString) {
-  if (!powerString) return { kw: null, ps: null };
-  const kwMatch = powerString.match(/(\d+)\s*kW/);
-  const psMatch = powerString.match(/(\d+)\s*PS/);
-  return {
-    kw: kwMatch ? parseInt(kwMatch[1], 10) : null,
-    ps: psMatch ? parseInt(psMatch[1], 10) : null
-  };
+async function uploadImage(imageBuffer, fileName, contentType) {
+  if (DRY_RUN) return null;
+  
+  try {
+    return await withRetry(() => storage.images.upload(fileName, imageBuffer, contentType), retryOptions('Image upload'));
+  } catch (err) {
+    log(`Error uploading image: ${err.message}`, 'error');
+    return null;
+  }
 }
 
-function parseRegistration(regString) {
-  if (!regString) return null;
-  // Handle MM/YYYY format
-  const match = regString.match(/(\d{2})\/(\d{4})/);
-  if (match) {
-    return `${match[2]}${match[1]}`; // YYYYMM
+// Throws, marked as an insert failure, so scrapeListing() can queue the listing for the next run
+async function insertListing(listing) {
+  if (DRY_RUN) return { id: null, slug: listing.slug };
+  
+  try {
+    return await withRetry(() => storage.listings.insert(listing), retryOptions('Insert'));
+  } catch (err) {
+    throw Object.assign(err, { stage: 'insert' });
   }
-  return regString;
 }
 
-function parseMakeModel(title) {
-  if (!title) return { make: null, model: null };
+async function addPriceHistory(listingId, listing) {
+  if (DRY_RUN || !listingId || listing.price === null) return;
   
-  const knownMakes = [
-    'Mercedes-Benz', 'BMW', 'Audi', 'Volkswagen', 'Porsche', 'Ford', 'Opel',
-    'Toyota', 'Honda', 'Mazda', 'Nissan', 'Hyundai', 'Kia', 'Volvo', 'Skoda',
-    'Seat', 'Renault', 'Peugeot', 'Citroën', 'Fiat', 'Alfa Romeo', 'Jaguar',
-    'Land Rover', 'Range Rover', 'Mini', 'Tesla', 'Lexus', 'Infiniti'
-  ];
+  const record = { listing_id: listingId, observed_at: new Date().toISOString() };
+  for (const field of PRICE_FIELDS) record[field] = listing[field] ?? null;
   
-  for (const make of knownMakes) {
-    if (title.startsWith(make)) {
-      const model = title.substring(make.length).trim();
-      return { make, model };
-    }
+  try {
+    await withRetry(() => storage.listings.addPriceHistory([record]), retryOptions('Price history'));
+  } catch (err) {
+    log(`Error recording price history: ${err.message}`, 'error');
+    recordError('price_history', err, { listing: listingId });
+  }
+}
+
+// Throws, marked as an update failure, once the retries are used up
+async function saveListingUpdate(id, fields) {
+  try {
+    await withRetry(() => storage.listings.update(id, fields), retryOptions('Update'));
+  } catch (err) {
+    throw Object.assign(err, { stage: 'update' });
   }
+}
+
+async function updateListing(id, fields) {
+  if (DRY_RUN) return true;
   
-  // Fallback: first word is make, rest is model
-  const parts = title.split(' ');
-  return {
-    make: parts[0],
-    model: parts.slice(1).join(' ')
-  };
+  try {
+    await saveListingUpdate(id, fields);
+    return true;
+  } catch (err) {
+    log(`Error updating listing: ${err.message}`, 'error');
+    recordError('update', err, { listing: id });
+    return false;
+  }
 }
 
 // ===========================================
-// Supabase Functions
+// Scraping Functions
 // ===========================================
 
-async function getExistingFingerprints() {
-  log('Loading existing fingerprints from database...');
-  
-  const { data, error } = await supabase
-    .from('listings')
-    .select('fingerprint')
-    .not('fingerprint', 'is', null);
-  
-  if (error) {
-    log(`Error loading fingerprints: ${error.message}`, 'error');
-    return new Set();
-  }
-  
-  const fingerprints = new Set(data.map(row => row.fingerprint));
-  log(`Loaded ${fingerprints.size} existing fingerprints`, 'success');
-  return fingerprints;
+const DEFAULT_PAGINATION = {
+  pageSize: null,   // Platform default when not set
+  sortBy: null,
+  sortOrder: null,
+  maxPages: 20
+};
+
+function getPagination(dealer, config) {
+  return { ...DEFAULT_PAGINATION, ...config.settings.pagination, ...dealer.pagination };
 }
 
-async function uploadImage(imageBuffer, listingSlug, imageIndex) {
-  const fileName = `${listingSlug}/${imageIndex}.webp`;
-  
-  const { data, error } = await supabase.storage
-    .from('vehicle-images')
-    .upload(fileName, imageBuffer, {
-      contentType: 'image/webp',
-      upsert: true
-    });
+async function saveDebugSnapshot(page, name) {
+  // Take debug screenshot
+  const debugDir = path.join(ROOT_DIR, 'debug');
+  await fs.mkdir(debugDir, { recursive: true });
+  const screenshotPath = path.join(debugDir, `${name}.png`);
+  await page.screenshot({ path: screenshotPath, fullPage: true });
+  log(`Debug screenshot saved: ${screenshotPath}`);
   
-  if (error) {
-    log(`Error uploading image: ${error.message}`, 'error');
-    return null;
-  }
-  
-  const { data: urlData } = supabase.storage
-    .from('vehicle-images')
-    .getPublicUrl(fileName);
+  // Log the page title and URL
+  const pageTitle = await page.title();
+  const currentUrl = page.url();
+  log(`Page title: ${pageTitle}`);
+  log(`Current URL: ${currentUrl}`);
   
-  return urlData.publicUrl;
+  // Log some HTML to debug
+  const bodyHTML = await page.evaluate(() => document.body.innerHTML.substring(0, 1000));
+  log(`Page HTML preview: ${bodyHTML.substring(0, 500)}...`);
 }
 
-async function insertListing(listing) {
-  const { data, error } = await supabase
-    .from('listings')
-    .insert(listing)
-    .select('id, slug')
-    .single();
-  
-  if (error) {
-    log(`Error inserting listing: ${error.message}`, 'error');
-    syncLog.errors.push({ type: 'insert', error: error.message, listing: listing.slug });
-    return null;
-  }
-  
-  return data;
+const DEFAULT_CONCURRENCY = {
+  pages: 2,
+  rateLimits: {}
+};
+
+function getConcurrency(config) {
+  return { ...DEFAULT_CONCURRENCY, ...config.settings.concurrency };
 }
 
-// ===========================================
-// Scraping Functions
-// ===========================================
+function openWorkerPage(browser) {
+  return openPreparedPage(browser, identities.next());
+}
 
-async function scrapeDealer(browser, dealerUrl, config, existingFingerprints) {
-  const page = await browser.newPage();
-  const listings = [];
+// All page loads go through the per-host rate limiter instead of fixed sleeps.
+// Error responses throw with their status and block or captcha pages as
+// 'blocked', so both count towards the dealer's circuit breaker.
+async function navigate(page, url) {
+  await withRetry(async () => {
+    await rateLimiter.acquire(url);
+    const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+    const status = response?.status();
+    if (status >= 400) throw Object.assign(new Error(`HTTP ${status} for ${url}`), { status });
+  }, retryOptions('Page load'));
+  
+  const consent = await preparePage(page, browserSettings);
+  if (consent) {
+    log(`Accepted consent banner (${consent})`);
+    // The banner may reload the page or fetch the content it covered
+    await settlePage(page, browserSettings);
+  }
+}
+
+async function collectDealerListings(page, run, config) {
+  const { dealer, dealerKey, adapter } = run;
+  const pagination = getPagination(dealer, config);
+  const { maxListings } = run.dealerSettings;
+  
+  // Pick up the pages an interrupted run already read
+  const saved = checkpoint.dealer(dealerKey);
+  const listingUrls = [...saved.listingUrls];
+  const pages = [...saved.pages];
+  const seenKeys = new Set(listingUrls.map(({ id }) => adapter.sourceKey(id)));
+  let complete = saved.complete;
+  
+  if (saved.searchDone) {
+    log(`Search results for ${dealer.name} restored from checkpoint (${listingUrls.length} listings)`);
+    return { listingUrls: listingUrls.slice(0, maxListings), pages, seenKeys, complete };
+  }
   
   try {
-    // Set a realistic user agent
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-    
-    // Set viewport
-    await page.setViewport({ width: 1920, height: 1080 });
-    
-    // Convert home.mobile.de URL to search URL
-    let searchUrl = dealerUrl;
-    const customerIdMatch = dealerUrl.match(/customerId=(\d+)/);
-    if (customerIdMatch) {
-      searchUrl = `https://suchen.mobile.de/fahrzeuge/search.html?s=Car&vc=Car&sid=${customerIdMatch[1]}`;
-    }
-    
-    log(`Navigating to: ${searchUrl}`);
-    await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: 60000 });
-    await delay(2000);
+    // Walk search result pages until the dealer limit, the page cap, or the end of results
+    let endReached = false;
+    const firstPage = pages.length + 1;
     
-    // Handle cookie consent popup
-    try {
-      const cookieSelectors = [
-        'button[data-testid="uc-accept-all-button"]',
-        '#uc-btn-accept-banner',
-        'button.mde-consent-accept-btn',
-        '[data-cookiefirst-action="accept"]',
-        'button:has-text("Alle akzeptieren")',
-        'button:has-text("Accept All")',
-        'button:has-text("Akzeptieren")',
-        '.sp_choice_type_11', // SourcePoint accept button
-        '#onetrust-accept-btn-handler'
-      ];
-      
-      for (const selector of cookieSelectors) {
-        try {
-          const button = await page.$(selector);
-          if (button) {
-            log(`Found cookie button: ${selector}`);
-            await button.click();
-            await delay(2000);
-            break;
-          }
-        } catch (e) {
-          // Continue trying other selectors
-        }
+    for (let pageNumber = firstPage; pageNumber <= pagination.maxPages; pageNumber++) {
+      const searchUrl = adapter.searchUrl(dealer, pagination, pageNumber);
+      if (!searchUrl) {
+        endReached = true;
+        break;
       }
       
-      // Also try clicking by text content
-      await page.evaluate(() => {
-        const buttons = Array.from(document.querySelectorAll('button, a'));
-        for (const btn of buttons) {
-          const text = btn.textContent?.toLowerCase() || '';
-          if (text.includes('alle akzeptieren') || text.includes('accept all') || text.includes('akzeptieren')) {
-            btn.click();
-            return true;
-          }
-        }
-        return false;
-      });
-      
-      await delay(2000);
-    } catch (e) {
-      log(`Cookie handling note: ${e.message}`, 'info');
-    }
-    
-    // Take debug screenshot
-    const debugDir = path.join(ROOT_DIR, 'debug');
-    await fs.mkdir(debugDir, { recursive: true });
-    const screenshotPath = path.join(debugDir, `dealer-${customerIdMatch?.[1] || 'unknown'}.png`);
-    await page.screenshot({ path: screenshotPath, fullPage: true });
-    log(`Debug screenshot saved: ${screenshotPath}`);
-    
-    // Log the page title and URL
-    const pageTitle = await page.title();
-    const currentUrl = page.url();
-    log(`Page title: ${pageTitle}`);
-    log(`Current URL: ${currentUrl}`);
-    
-    // Log some HTML to debug
-    const bodyHTML = await page.evaluate(() => document.body.innerHTML.substring(0, 1000));
-    log(`Page HTML preview: ${bodyHTML.substring(0, 500)}...`);
-    
-    // Extract listing URLs from search results
-    const listingUrls = await page.evaluate(() => {
-      const urls = [];
-      const seenIds = new Set();
-      
-      document.querySelectorAll('a[href*="/fahrzeuge/details.html?id="]').forEach(link => {
-        const href = link.href;
-        const idMatch = href.match(/[?&]id=(\d+)/);
-        if (idMatch && !seenIds.has(idMatch[1])) {
-          seenIds.add(idMatch[1]);
-          urls.push({
-            url: `https://suchen.mobile.de/fahrzeuge/details.html?id=${idMatch[1]}`,
-            id: idMatch[1]
-          });
-        }
-      });
-      
-      return urls;
-    });
-    
-    log(`Found ${listingUrls.length} listings on search page`);
-    
-    // Limit listings per dealer
-    const limitedUrls = listingUrls.slice(0, config.settings.maxListingsPerDealer);
-    
-    // Scrape each listing
-    for (let i = 0; i < limitedUrls.length; i++) {
-      const { url } = limitedUrls[i];
-      
+      let pageUrls;
       try {
-        log(`Scraping listing ${i + 1}/${limitedUrls.length}: ${url}`);
-        const listing = await scrapeListingDetails(page, url, config, existingFingerprints);
+        log(`Navigating to: ${searchUrl}`);
+        await navigate(page, searchUrl);
         
-        if (listing) {
-          if (listing.skipped) {
-            log(`Skipped (already exists): ${listing.title}`, 'info');
-            syncLog.listingsSkipped++;
-          } else {
-            listings.push(listing);
-            log(`Scraped: ${listing.make} ${listing.model}`, 'success');
-          }
+        if (pageNumber === firstPage) {
+          const customerIdMatch = dealer.url.match(/customerId=(\d+)/);
+          await saveDebugSnapshot(page, `dealer-${customerIdMatch?.[1] || dealerKey.slice(0, 12)}`);
         }
         
-        await delay(2000); // Be respectful
+        pageUrls = await adapter.searchResults(page);
+        run.breaker.success();
       } catch (err) {
-        log(`Error scraping listing: ${err.message}`, 'error');
-        syncLog.errors.push({ type: 'scrape', url, error: err.message });
+        if (pageNumber === 1) throw err;
+        // Keep what earlier pages gave us, but the result set is no longer complete
+        log(`Error loading search page ${pageNumber}: ${err.message}`, 'error');
+        const { kind } = recordError('page', err, { url: searchUrl });
+        run.breaker.failure(kind);
+        if (kind === 'blocked') run.dealerLog.blocked = true;
+        pages.push({ page: pageNumber, url: searchUrl, error: err.message });
+        break;
+      }
+      
+      const newUrls = pageUrls.filter(({ id }) => !seenKeys.has(adapter.sourceKey(id)));
+      newUrls.forEach(({ id }) => seenKeys.add(adapter.sourceKey(id)));
+      const pageInfo = { page: pageNumber, url: searchUrl, listings: pageUrls.length, new: newUrls.length };
+      pages.push(pageInfo);
+      checkpoint.recordSearchPage(dealerKey, pageInfo, newUrls);
+      await checkpoint.save();
+      log(`Found ${pageUrls.length} listings on search page ${pageNumber} (${newUrls.length} new)`);
+      
+      // mobile.de repeats the last page past the end, so a page of only known IDs
+      // means we're done. An empty page is a selector miss or an error page the
+      // block check didn't catch, and leaves the result set incomplete.
+      if (pageUrls.length === 0) {
+        log(`Search page ${pageNumber} has no listings, stopping without reaching the end`, 'warning');
+        break;
+      }
+      if (newUrls.length === 0) {
+        endReached = true;
+        break;
+      }
+      
+      listingUrls.push(...newUrls);
+      if (listingUrls.length >= maxListings) {
+        log(`Reached max listings for dealer (${maxListings})`);
+        break;
       }
     }
     
+    // Only a full result set can tell us which listings were removed
+    complete = endReached && listingUrls.length > 0;
+    if (!complete) {
+      log(`Search results incomplete for ${dealer.name}, removed listings will not be reconciled`);
+    }
+    checkpoint.finishSearch(dealerKey, complete);
+    await checkpoint.save();
   } catch (err) {
-    log(`Error scraping dealer: ${err.message}`, 'error');
-    syncLog.errors.push({ type: 'dealer', url: dealerUrl, error: err.message });
-  } finally {
-    await page.close();
+    const { kind } = recordError('dealer', err, { url: dealer.url });
+    log(`Error scraping dealer (${kind}): ${err.message}`, 'error');
+    run.breaker.failure(kind);
+    // A block or captcha page is reported as such, not as a dealer without listings
+    if (kind === 'blocked') run.dealerLog.blocked = true;
+    complete = false;
   }
   
-  return listings;
+  // Limit listings per dealer
+  return { listingUrls: listingUrls.slice(0, maxListings), pages, seenKeys, complete };
 }
 
-async function scrapeListingDetails(page, url, config, existingFingerprints) {
-  await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
-  await delay(2000);
+async function persistNewListing(listing) {
+  const result = await insertListing(listing);
+  await addPriceHistory(result.id, listing);
   
-  // Click "Mehr anzeigen" buttons to expand sections
-  await page.evaluate(() => {
-    document.querySelectorAll('a, button').forEach(el => {
-      if (el.textContent?.trim() === 'Mehr anzeigen') {
-        el.click();
-      }
-    });
-  });
-  await delay(500);
+  syncLog.listingsNew++;
+  tallyProblems(syncLog.problemsByField, listing.quality_problems);
+  recordTransition('new', listing.slug, { qualityScore: listing.quality_score });
+  if (listing.published) {
+    log(`Inserted: ${listing.make} ${listing.model} (${listing.slug})`, 'success');
+  } else {
+    syncLog.listingsHeld++;
+    const errors = listing.quality_problems.filter(({ severity }) => severity === 'error');
+    log(`Inserted unpublished: ${listing.slug} (${errors.map(({ message }) => message).join('; ')})`, 'warning');
+  }
+}
+
+// Throws like insertListing(), so scrapeListing() can queue the listing for the next run
+async function persistUpdate({ row, fields, changes }) {
+  if (!DRY_RUN) await saveListingUpdate(row.id, { ...fields, synced_at: new Date().toISOString() });
+  if (Object.keys(changes).length > 0) {
+    syncLog.listingsUpdated++;
+    recordTransition('updated', row.slug, { changes });
+    log(`Updated: ${row.slug} (${Object.keys(changes).join(', ')})`, 'success');
+  }
+}
+
+const FAILED_STAGES = { insert: 'inserting', update: 'updating' };
+
+// Queues a listing that failed for the next run, or drops it when that won't help
+async function queueRetry(run, { id, url }, failure) {
+  const outcome = retryQueue.fail(run.dealerKey, { id, url }, failure);
+  syncLog.retries[outcome]++;
+  if (outcome === 'queued') log(`Queued for the next run: ${url}`);
+  await retryQueue.save();
+}
+
+// Scrapes one listing and writes it straight away, so a crash loses at most the
+// listings in flight. `budget.remaining` counts the new listings still allowed.
+async function scrapeListing(page, job, config, existing, budget) {
+  const { run, url, id, index } = job;
   
-  // Extract all details
-  const rawData = await page.evaluate(() => {
-    const details = {};
+  try {
+    log(`Scraping listing ${index + 1}/${run.listingUrls.length} of ${run.dealer.name}${job.retried ? ' (retry)' : ''}: ${url}`);
+    const listing = await scrapeListingDetails(page, url, config, existing, run);
+    let inserted = false;
     
-    // Title
-    details.title = document.title.split('für')[0].trim() || '';
+    // A retried listing may have dropped out of the search results, it's still at the source
+    if (job.retried) run.seenKeys.add(run.adapter.sourceKey(id));
     
-    // Price
-    document.querySelectorAll('*').forEach(el => {
-      const text = el.textContent?.trim() || '';
-      if (text.match(/^\d{1,3}(\.\d{3})*\s*€$/) && !details.price) {
-        details.price = text.replace(/[^\d]/g, '');
+    if (listing.existing) {
+      const { row, fields, changes, prices } = listing;
+      if (Object.keys(fields).length > 0) {
+        const update = { row, fields, changes };
+        await persistUpdate(update);
+        run.updates.push(update);
       }
-    });
-    
-    // Helper to find values
-    const findValue = (labelText) => {
-      const dt = Array.from(document.querySelectorAll('dt')).find(e => e.textContent?.trim() === labelText);
-      if (dt) {
-        const dd = dt.nextElementSibling;
-        if (dd?.tagName === 'DD') {
-          const value = dd.textContent?.trim();
-          if (value && value.length < 150) return value;
-        }
+      await addPriceHistory(row.id, prices);
+      if (changes.price && changes.price.to < changes.price.from) {
+        run.dealerLog.priceDrops.push({ slug: row.slug, from: changes.price.from, to: changes.price.to });
       }
-      return '';
-    };
-    
-    // Extract all fields
-    details.mileage = findValue('Kilometerstand');
-    details.power = findValue('Leistung');
-    details.fuelType = findValue('Kraftstoffart');
-    details.transmission = findValue('Getriebe');
-    details.firstRegistration = findValue('Erstzulassung');
-    details.owners = findValue('Fahrzeughalter') || findValue('Anzahl der Fahrzeughalter');
-    details.condition = findValue('Fahrzeugzustand');
-    details.bodyType = findValue('Kategorie');
-    details.series = findValue('Baureihe');
-    details.variant = findValue('Ausstattungslinie');
-    details.hubraum = findValue('Hubraum');
-    details.driveType = findValue('Antriebsart');
-    details.seats = findValue('Anzahl Sitzplätze');
-    details.doors = findValue('Anzahl der Türen');
-    details.emissionClass = findValue('Schadstoffklasse');
-    details.emissionSticker = findValue('Umweltplakette');
-    details.hu = findValue('HU');
-    details.climate = findValue('Klimatisierung');
-    details.parkingAssist = findValue('Einparkhilfe');
-    details.airbags = findValue('Airbags');
-    details.colorManufacturer = findValue('Farbe (Hersteller)');
-    details.color = findValue('Farbe');
-    details.interior = findValue('Innenausstattung');
-    details.weight = findValue('Gewicht');
-    details.cylinders = findValue('Zylinder');
-    details.tankSize = findValue('Tankgröße');
-    
-    // Subtitle
-    const subheadlineEl = document.querySelector('aside h2 + p, [role="complementary"] h2 + p');
-    if (subheadlineEl) {
-      const subText = subheadlineEl.textContent?.trim();
-      if (subText && !subText.includes('€') && subText.length < 200) {
-        details.subtitle = subText;
+      if (Object.keys(changes).length === 0) {
+        syncLog.listingsSkipped++;
+        run.dealerLog.listingsSkipped++;
+      } else {
+        run.dealerLog.listingsUpdated++;
       }
+    } else if (listing.filtered) {
+      // Out of the dealer's filters: not seen, so a synced copy gets unpublished
+      log(`Skipped (filtered): ${listing.title}, ${listing.reason}`, 'info');
+      syncLog.listingsFiltered.push({ title: listing.title, url, reason: listing.reason });
+      run.dealerLog.listingsFiltered++;
+      run.seenKeys.delete(listing.sourceKey);
+    } else if (listing.duplicate) {
+      log(`Skipped (listed by another dealer): ${listing.title}`, 'info');
+      syncLog.duplicates.push({ title: listing.title, url, fingerprint: listing.fingerprint });
+      run.dealerLog.duplicates++;
+    } else {
+      if (budget.remaining <= 0) return;
+      budget.remaining--;
+      // Catch the same car showing up at another dealer in this run
+      addFingerprint(existing.byFingerprint, listing.fingerprint, run.dealerKey);
+      log(`Scraped: ${listing.make} ${listing.model}`, 'success');
+      await persistNewListing(listing).catch(err => {
+        budget.remaining++;
+        throw err;
+      });
+      run.listings.push(listing);
+      run.dealerLog.listingsNew++;
+      inserted = true;
     }
     
-    // Features
-    const features = [];
-    document.querySelectorAll('article').forEach(art => {
-      const heading = art.querySelector('h2, h3');
-      if (heading?.textContent?.includes('Ausstattung')) {
-        art.querySelectorAll('li').forEach(li => {
-          const text = li.textContent?.trim();
-          if (text && text.length > 1 && text.length < 80) {
-            features.push(text);
-          }
-        });
-      }
-    });
-    details.features = features;
-    
-    // Images
-    const images = [];
-    const seenImages = new Set();
-    document.querySelectorAll('img').forEach(img => {
-      const src = img.src || '';
-      if (!src.includes('img.classistatic.de/api/v1/mo-prod/images/')) return;
-      const baseUrl = src.split('?')[0];
-      if (!seenImages.has(baseUrl)) {
-        seenImages.add(baseUrl);
-        images.push(baseUrl + '?rule=mo-1600');
-      }
-    });
-    details.images = images;
-    
-    return details;
-  });
+    run.breaker.success();
+    if (retryQueue.succeed(run.dealerKey, id)) {
+      syncLog.retries.recovered++;
+      await retryQueue.save();
+    }
+    checkpoint.markProcessed(run.dealerKey, id, { inserted });
+    await checkpoint.save();
+  } catch (err) {
+    const failure = recordError(err.stage || 'scrape', err, { url });
+    log(`Error ${FAILED_STAGES[err.stage] || 'scraping'} listing (${failure.kind}): ${err.message}`, 'error');
+    if (run.breaker.failure(failure.kind)) {
+      run.dealerLog.circuitOpen = true;
+      log(`Stopping ${run.dealer.name}: blocked ${retrySettings.blockThreshold} times in a row`, 'error');
+    }
+    await queueRetry(run, job, failure);
+  }
+}
+
+async function scrapeListingDetails(page, url, config, existing, { dealerKey, adapter, dealerSettings }) {
+  await navigate(page, url);
+  
+  // Extract all details, in the same raw shape whatever the platform. Embedded
+  // JSON-LD / state comes first, the adapter's DOM extraction fills the gaps.
+  const structured = await page.evaluate(extractStructuredData);
+  const rawData = mergeListingDetails(structured, await adapter.listingDetails(page));
+  // No title means this isn't a listing page we can read (an error page, or changed markup)
+  if (!rawData.title) throw classifiedError('parse', `No listing details found on ${url}`);
+  tallyFieldSources(syncLog.fieldSources, rawData.fieldSources);
+  recordExtraction(extractionStats, rawData);
+  const normalized = normalizeListing(rawData);
+  const vehicle = applyPriceMarkup(normalized.listing, dealerSettings.priceMarkup);
+  const { make, model, mileage, first_registration: firstRegistration } = vehicle;
+  
+  // Titles the make/model catalog couldn't place, to grow the catalog from
+  if (!normalized.resolved) {
+    syncLog.unresolvedTitles.push({ title: rawData.title, make, model });
+  }
   
-  // Parse make/model from title
-  const { make, model } = parseMakeModel(rawData.title);
+  // Equipment strings the vocabulary doesn't know yet, counted across the run
+  for (const feature of normalized.unmapped) {
+    syncLog.unmappedFeatures[feature] = (syncLog.unmappedFeatures[feature] || 0) + 1;
+  }
+  
+  const adId = adapter.listingId(url);
+  const sourceKey = adapter.sourceKey(adId);
+  const existingRow = existing.bySourceKey.get(sourceKey);
   
-  // Parse registration and mileage for fingerprint
-  const firstRegistration = parseRegistration(rawData.firstRegistration);
-  const mileage = parseNumeric(rawData.mileage);
+  const reason = filterReason(vehicle, dealerSettings.filters);
+  if (reason) {
+    return { filtered: true, title: rawData.title, sourceKey, reason };
+  }
   
-  // Generate fingerprint and check if exists
+  // Fuzzy fingerprint, only used to spot the same car at another dealer
   const fingerprint = generateFingerprint(make, model, mileage, firstRegistration);
   
-  if (existingFingerprints.has(fingerprint)) {
-    return { skipped: true, title: rawData.title };
+  const sourceImages = rawData.images.slice(0, dealerSettings.maxImages);
+  
+  // Already synced from this ad: only report what changed
+  if (existingRow) {
+    const { changes, fields } = listingUpdate(existingRow, vehicle, { fingerprint, sourceKey, dealerKey });
+    
+    // Photos are only redone when the ad's photo URLs changed. Rows from
+    // before image hashing get theirs hashed once, without counting as a change.
+    let images = existingRow.images || [];
+    const stored = existingRow.image_hashes || [];
+    if (!sameSources(stored, sourceImages)) {
+      if (DRY_RUN) {
+        if (stored.length > 0) changes.images = { from: images.length, to: sourceImages.length };
+      } else {
+        const processed = await processListingImages(sourceImages, existingRow.slug, config, {
+          adId,
+          referer: adapter.imageReferer,
+          resumed: checkpoint.uploadedImages(adId),
+          previous: rowImageEntries(existingRow)
+        });
+        // Keep the stored photos when none of the new ones came through
+        if (processed.images.length > 0) {
+          Object.assign(fields, processed);
+          if (stored.length > 0 && processed.images.join() !== images.join()) {
+            changes.images = { from: images.length, to: processed.images.length };
+          }
+          images = processed.images;
+        }
+      }
+    }
+    
+    // Re-check quality with the images stored for the row
+    const quality = validateListing({ ...vehicle, images });
+    if (quality.score !== existingRow.quality_score) {
+      fields.quality_score = quality.score;
+      fields.quality_problems = quality.problems;
+    }
+    if (isHeldForQuality(existingRow) && quality.valid) {
+      // The dealer fixed what held the listing back
+      changes.published = { from: false, to: true };
+      fields.published = true;
+    }
+    return { existing: true, title: rawData.title, row: existingRow, fields, changes, prices: vehicle };
   }
   
-  // Parse all other fields
-  const { color, metallic } = parseColor(rawData.color);
-  const { material: interiorMaterial, color: interiorColor } = parseInterior(rawData.interior);
-  const { kw: powerKw, ps: powerPs } = parsePower(rawData.power);
+  // Rows without a dealer key predate lifecycle sync, treat them as foreign
+  const fingerprintDealers = existing.byFingerprint.get(fingerprint) || [];
+  if (fingerprintDealers.some(key => key !== dealerKey)) {
+    return { duplicate: true, title: rawData.title, fingerprint };
+  }
   
-  // Generate slug
+  // Generate slug, or reuse the one an interrupted run already uploaded images under
+  const resumed = checkpoint.uploadedImages(adId);
   const year = firstRegistration ? firstRegistration.substring(0, 4) : null;
-  const slug = generateSlug(make, model, year);
+  const slug = resumed?.slug || generateSlug(make, model, year);
   
-  // Process images (screenshot and upload)
-  const imageUrls = [];
-  const maxImages = Math.min(rawData.images.length, 10); // Limit to 10 images
+  // Process images (download, hash, render and upload what storage doesn't have).
+  // Dry runs preview the source photos in the report instead.
+  const processed = DRY_RUN
+    ? { images: sourceImages, image_renditions: [], image_hashes: [], image_analysis: [] }
+    : await processListingImages(sourceImages, slug, config, { adId, resumed, referer: adapter.imageReferer });
   
-  for (let i = 0; i < maxImages; i++) {
-    const imageUrl = rawData.images[i];
-    try {
-      const uploadedUrl = await processAndUploadImage(page, imageUrl, slug, i, config);
-      if (uploadedUrl) {
-        imageUrls.push(uploadedUrl);
-        syncLog.imagesUploaded++;
-      }
-    } catch (err) {
-      log(`Error processing image ${i}: ${err.message}`, 'error');
-    }
+  // Display labels per locale, noting values the bundles don't cover yet
+  const { labels, missing } = localizeListing(vehicle);
+  for (const { locale, group, key } of missing) {
+    const entry = `${locale}.${group}.${key}`;
+    if (!syncLog.missingTranslations.includes(entry)) syncLog.missingTranslations.push(entry);
   }
   
   // Build listing object
-  return {
+  const listing = {
     slug,
+    source_key: sourceKey,
+    source_dealer_key: dealerKey,
     fingerprint,
-    make,
-    model,
-    model_description: rawData.subtitle || null,
-    subtitle: rawData.subtitle || null,
-    series: rawData.series || null,
-    variant: rawData.variant || null,
-    price: parseNumeric(rawData.price),
-    currency: 'EUR',
-    price_type: 'FIXED',
-    mileage,
-    first_registration: firstRegistration,
-    fuel: normalizeValue(rawData.fuelType, fuelTypeMap),
-    gearbox: normalizeValue(rawData.transmission, gearboxMap),
-    power_kw: powerKw,
-    power_ps: powerPs,
-    cubic_capacity: parseNumeric(rawData.hubraum),
-    cylinders: parseNumeric(rawData.cylinders),
-    body_type: normalizeValue(rawData.bodyType, bodyTypeMap),
-    drive_type: normalizeValue(rawData.driveType, driveTypeMap),
-    num_doors: parseNumeric(rawData.doors),
-    num_seats: parseNumeric(rawData.seats),
-    exterior_color: color,
-    exterior_color_manufacturer: rawData.colorManufacturer || null,
-    metallic,
-    interior_color: interiorColor,
-    interior_material: interiorMaterial,
-    climate: normalizeValue(rawData.climate, climateMap),
-    airbags: rawData.airbags || null,
-    emission_class: rawData.emissionClass || null,
-    emission_sticker: rawData.emissionSticker || null,
-    hu_valid_until: rawData.hu || null,
-    num_previous_owners: parseNumeric(rawData.owners),
-    accident_damaged: rawData.condition?.toLowerCase().includes('unfallfrei') ? false : null,
-    condition: rawData.condition?.toLowerCase().includes('neuwagen') ? 'NEW' : 'USED',
-    tank_size: parseNumeric(rawData.tankSize),
-    weight: parseNumeric(rawData.weight),
-    features: rawData.features || [],
-    images: imageUrls,
+    ...vehicle,
+    ...processed,
+    labels,
+    field_sources: rawData.fieldSources,
     source_url: url, // Internal only - never expose!
+    source_platform: adapter.platform,
     source: 'github_actions',
     sync_source: 'github_actions',
     synced_at: new Date().toISOString(),
     published: true,
     featured: false
   };
+  
+  // Listings that fail validation go in unpublished, with their problems attached
+  const quality = validateListing(listing);
+  return {
+    ...listing,
+    quality_score: quality.score,
+    quality_problems: quality.problems,
+    published: quality.valid
+  };
 }
 
-async function processAndUploadImage(page, imageUrl, listingSlug, imageIndex, config) {
-  // Navigate to image URL and take screenshot
-  const imagePage = await page.browser().newPage();
-  
-  try {
-    await imagePage.setViewport({
-      width: config.settings.imageWidth,
-      height: config.settings.imageHeight
+const IMAGE_DOWNLOAD_TIMEOUT = 30000;
+
+const DEFAULT_IMAGE_QUALITY = {
+  webp: 85,
+  avif: 55
+};
+
+async function downloadImage(imageUrl, referer) {
+  return withRetry(async () => {
+    await rateLimiter.acquire(imageUrl);
+    const response = await fetch(imageUrl, {
+      headers: {
+        'User-Agent': browserSettings.userAgents[0],
+        'Referer': referer
+      },
+      signal: AbortSignal.timeout(IMAGE_DOWNLOAD_TIMEOUT)
     });
     
-    await imagePage.goto(imageUrl, { waitUntil: 'networkidle2', timeout: 30000 });
-    await delay(1000);
+    if (!response.ok) {
+      throw Object.assign(new Error(`HTTP ${response.status} for ${imageUrl}`), { status: response.status });
+    }
     
-    // Take screenshot
-    const screenshotBuffer = await imagePage.screenshot({
-      type: 'png',
-      clip: {
-        x: 0,
-        y: 0,
-        width: config.settings.imageWidth,
-        height: config.settings.imageHeight
+    return Buffer.from(await response.arrayBuffer());
+  }, retryOptions('Image download'));
+}
+
+// `crop` is an extract() region cut out first, e.g. the window around the car
+async function renderImage(source, size, format, crop = null) {
+  const input = crop ? source.clone().extract(crop) : source.clone();
+  const resized = input.resize(size.width, size.height, {
+    fit: size.fit || 'cover',
+    position: 'center',
+    withoutEnlargement: true
+  });
+  const quality = size.quality?.[format] ?? DEFAULT_IMAGE_QUALITY[format];
+  return format === 'avif'
+    ? resized.avif({ quality }).toBuffer()
+    : resized.webp({ quality }).toBuffer();
+}
+
+function getImageAnalysisSettings(config) {
+  return { ...DEFAULT_IMAGE_ANALYSIS, ...config.settings.imageAnalysis };
+}
+
+// Renditions are named after the photo's content hash, so the same photo is
+// stored once however many listings use it. With an analysis, cover crops are
+// placed on the car and overlays are blurred if configured.
+// Returns { primary, renditions } where renditions is { <size>: { <format>: url } }
+async function uploadRenditions(original, content, config, analysis = null) {
+  const { sizes, formats, primary } = config.settings.imageRenditions;
+  const blur = analysis?.blurred ? await blurRegions(original, analysis.overlays) : original;
+  const source = sharp(blur).rotate(); // Apply EXIF orientation
+  
+  const { width, height, orientation } = await source.metadata();
+  const [sourceWidth, sourceHeight] = orientation >= 5 ? [height, width] : [width, height];
+  
+  const renditions = {};
+  for (const [sizeName, size] of Object.entries(sizes)) {
+    renditions[sizeName] = {};
+    const crop = analysis && (size.fit || 'cover') === 'cover'
+      ? cropWindow(analysis.subject, sourceWidth, sourceHeight, size.width / size.height)
+      : null;
+    for (const format of formats) {
+      const buffer = await renderImage(source, size, format, crop);
+      const fileName = `${content.slice(0, 2)}/${content}-${sizeName}.${format}`;
+      const uploadedUrl = await uploadImage(buffer, fileName, `image/${format}`);
+      if (!uploadedUrl) return null;
+      renditions[sizeName][format] = uploadedUrl;
+    }
+  }
+  
+  return {
+    primary: renditions[primary]?.webp || renditions[primary]?.[formats[0]],
+    renditions
+  };
+}
+
+function reuseImage(entry, slug, hash, match) {
+  syncLog.imagesReused++;
+  if (entry.slug !== slug) {
+    syncLog.sharedImages.push({ slug, sharedWith: entry.slug, content: hash.content, match });
+  }
+  const analysis = entry.analysis ?? null;
+  imageIndex.add({ ...hash, primary: entry.primary, renditions: entry.renditions, analysis, slug });
+  return { primary: entry.primary, renditions: entry.renditions, hash, analysis };
+}
+
+// Where the car and any overlays are, recorded per photo in the sync log
+async function analyzePhoto(original, imageUrl, slug, config) {
+  const settings = getImageAnalysisSettings(config);
+  if (!settings.enabled) return null;
+  
+  const analysis = await analyzeImage(original);
+  analysis.blurred = settings.watermarks === 'blur' && analysis.overlays.length > 0;
+  syncLog.imageAnalysis.push({ slug, source: imageUrl, ...analysis });
+  if (analysis.overlays.length > 0) {
+    log(`${analysis.blurred ? 'Blurred' : 'Found'} ${analysis.overlays.length} overlay(s) on a photo of ${slug}`, 'warning');
+  }
+  return analysis;
+}
+
+// Returns { primary, renditions, hash, analysis } for one photo. Known source URLs aren't
+// downloaded again. Otherwise the photo is hashed and only uploaded when no stored
+// photo has the same bytes and none of `previous` (the listing's photos from its
+// last sync) looks the same, e.g. the dealer re-uploaded it.
+async function processImage(imageUrl, slug, config, { previous = [], referer } = {}) {
+  const known = imageIndex.bySource(imageUrl);
+  if (known) {
+    const { source, content, perceptual } = known;
+    return reuseImage(known, slug, { source, content, perceptual }, 'source');
+  }
+  
+  const original = await downloadImage(imageUrl, referer);
+  const hash = {
+    source: imageUrl,
+    content: contentHash(original),
+    perceptual: await perceptualHash(original)
+  };
+  
+  const sameContent = imageIndex.byContent(hash.content);
+  if (sameContent) return reuseImage(sameContent, slug, hash, 'content');
+  const samePhoto = imageIndex.findSimilar(hash.perceptual, previous);
+  if (samePhoto) return reuseImage(samePhoto.entry, slug, hash, 'perceptual');
+  
+  const analysis = await analyzePhoto(original, imageUrl, slug, config);
+  const uploaded = await uploadRenditions(original, hash.content, config, analysis);
+  if (!uploaded) return null;
+  syncLog.imagesUploaded++;
+  
+  // Looks like a photo of another listing (a dealer's stock or placeholder
+  // photo, say) but the bytes differ, so it's stored and only reported
+  const similar = imageIndex.findSimilar(hash.perceptual);
+  if (similar && similar.entry.slug !== slug) {
+    syncLog.sharedImages.push({ slug, sharedWith: similar.entry.slug, content: hash.content, match: 'similar', distance: similar.distance });
+  }
+  
+  imageIndex.add({ ...hash, ...uploaded, analysis, slug });
+  return { ...uploaded, hash, analysis };
+}
+
+// Compared as sets, since the hero photo may have been moved to the front
+function sameSources(hashes, sources) {
+  const stored = hashes.map(hash => hash?.source).sort();
+  return stored.join('\n') === [...sources].sort().join('\n');
+}
+
+// Processes a listing's photos in order, skipping ones an interrupted run
+// already handled, then moves the best hero photo to the front. Returns the
+// listing's images, image_renditions, image_hashes and image_analysis.
+async function processListingImages(sources, slug, config, { adId, resumed, previous, referer } = {}) {
+  const processed = { images: [], image_renditions: [], image_hashes: [], image_analysis: [] };
+  
+  for (const [i, imageUrl] of sources.entries()) {
+    try {
+      let uploaded = resumed?.uploaded[i];
+      if (!uploaded) {
+        uploaded = await processImage(imageUrl, slug, config, { previous, referer });
+        if (uploaded) {
+          checkpoint.recordImage(adId, slug, i, uploaded);
+          await checkpoint.save();
+        }
       }
-    });
-    
-    // Convert to WebP and resize to ensure 4:3 aspect ratio
-    const webpBuffer = await sharp(screenshotBuffer)
-      .resize(config.settings.imageWidth, config.settings.imageHeight, {
-        fit: 'cover',
-        position: 'center'
-      })
-      .webp({ quality: 85 })
-      .toBuffer();
-    
-    // Upload to Supabase
-    const uploadedUrl = await uploadImage(webpBuffer, listingSlug, imageIndex);
-    return uploadedUrl;
-    
-  } finally {
-    await imagePage.close();
+      if (uploaded) {
+        processed.images.push(uploaded.primary);
+        processed.image_renditions.push(uploaded.renditions);
+        processed.image_hashes.push(uploaded.hash || null);
+        processed.image_analysis.push(uploaded.analysis || null);
+      }
+    } catch (err) {
+      log(`Error processing image ${i}: ${err.message}`, 'error');
+    }
   }
+  
+  const hero = getImageAnalysisSettings(config).heroRanking ? pickHero(processed.image_analysis) : 0;
+  if (hero > 0) {
+    for (const photos of Object.values(processed)) photos.unshift(...photos.splice(hero, 1));
+    syncLog.heroChanges.push({ slug, from: hero, source: processed.image_hashes[0]?.source });
+    log(`Moved photo ${hero + 1} of ${slug} to the front, it shows the whole car`);
+  }
+  
+  return processed;
 }
 
 // ===========================================
-// Main Function
+// Reconciliation
 // ===========================================
 
-async function main() {
-  log('🚗 CarLink24 Vehicle Sync Started');
+async function reconcileRemovedListings(run, existing) {
+  const removed = findRemovedListings(existing.bySourceKey, run);
+  if (removed.length === 0) return removed;
+  log(`\n🗑️ Unpublishing ${removed.length} listings no longer at the source...`);
+  
+  const now = new Date().toISOString();
+  for (const row of removed) {
+    const ok = await updateListing(row.id, { published: false, removed_at: now, synced_at: now });
+    if (ok) {
+      syncLog.listingsRemoved++;
+      run.dealerLog.listingsRemoved++;
+      recordTransition('removed', row.slug);
+      log(`Unpublished: ${row.slug}`, 'success');
+    }
+  }
   
-  // Load config
-  const configPath = path.join(ROOT_DIR, 'config/dealers.json');
-  let config;
+  return removed;
+}
+
+// ===========================================
+// Extraction Drift
+// ===========================================
+
+function getDriftSettings(config) {
+  const settings = { ...DEFAULT_DRIFT, ...config.settings.drift };
+  const url = process.env.DRIFT_WEBHOOK_URL || settings.webhook?.url;
+  return { ...settings, webhook: url ? { type: 'generic', ...settings.webhook, url } : null };
+}
+
+// Compares this run's extraction with the history, records it and alerts on
+// drift. Dry runs neither record nor alert, partial runs (`record: false`) don't
+// record. Returns the drops.
+async function checkExtractionDrift(config, { record = true } = {}) {
+  const settings = getDriftSettings(config);
+  syncLog.extraction = summarizeExtraction(extractionStats);
+  if (!settings.enabled) return [];
   
+  const historyPath = path.join(ROOT_DIR, settings.historyPath);
+  let history;
   try {
-    const configFile = await fs.readFile(configPath, 'utf-8');
-    config = JSON.parse(configFile);
-    log(`Loaded config with ${config.dealers.length} dealers`);
+    history = await loadHistory(historyPath);
   } catch (err) {
-    log(`Error loading config: ${err.message}`, 'error');
-    process.exit(1);
+    log(`Could not read extraction history: ${err.message}`, 'warning');
+    return [];
   }
   
-  // Check if enabled
-  if (!config.settings.enabled) {
-    log('Sync is disabled in config. Exiting.');
-    process.exit(0);
+  const drops = detectDrift(syncLog.extraction, history, settings);
+  syncLog.drift = drops;
+  if (DRY_RUN) return drops;
+  
+  if (record) await saveHistory(historyPath, history, syncLog.extraction, settings.historyRuns);
+  if (drops.length > 0 && settings.webhook) {
+    try {
+      await sendDriftAlert(settings.webhook, drops, { startedAt: syncLog.startedAt, metrics: syncLog.extraction });
+      log(`Drift report sent to the ${settings.webhook.type} webhook`);
+    } catch (err) {
+      log(`Error sending drift report: ${err.message}`, 'error');
+      recordError('drift_webhook', err);
+    }
   }
+  return drops;
+}
+
+// ===========================================
+// Setup
+// ===========================================
+
+// Errors the CLI maps to their own exit codes (see src/cli.js)
+function commandError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+async function loadSyncConfig() {
+  const config = await loadConfig(ROOT_DIR);
+  log(`Loaded config${process.env.SYNC_ENV ? ` (${process.env.SYNC_ENV})` : ''} with ${config.dealers.length} dealers`);
   
   // Override max listings if provided via environment
   const maxOverride = parseInt(process.env.MAX_LISTINGS_OVERRIDE || '0', 10);
@@ -742,58 +961,267 @@ async function main() {
     log(`Max listings overridden to: ${maxOverride}`);
   }
   
-  // Load existing fingerprints
-  const existingFingerprints = await getExistingFingerprints();
+  retrySettings = { ...DEFAULT_RETRY, ...config.settings.retry };
+  browserSettings = getBrowserSettings(config);
+  return config;
+}
+
+async function setUpStorage(config) {
+  storage = await createStorage(config.settings.storage, { rootDir: ROOT_DIR, allowMissingCredentials: DRY_RUN });
+  log(`Storage: listings → ${storage.backends.listings}, images → ${storage.backends.images}`);
+}
+
+// The enabled dealers, or only the one asked for (even when disabled), each with
+// its source adapter, so a bad dealer entry fails before any scraping
+function prepareDealers(config, dealerId = null) {
+  let dealers;
+  if (dealerId) {
+    const dealer = findDealer(config, dealerId);
+    if (!dealer) throw commandError('NOT_FOUND', `No dealer '${dealerId}' in the config`);
+    dealers = [dealer];
+  } else {
+    // Disabled dealers are left alone entirely, their listings aren't reconciled either
+    dealers = config.dealers.filter(dealer => {
+      const { enabled } = resolveDealerSettings(config, dealer);
+      if (!enabled) log(`Skipping disabled dealer: ${dealer.name}`);
+      return enabled;
+    });
+  }
+  
+  try {
+    return dealers.map(dealer => ({ dealer, adapter: createSourceAdapter(dealer) }));
+  } catch (err) {
+    throw commandError('INVALID_CONFIG', err.message);
+  }
+}
+
+async function launchBrowser() {
+  const options = await browserLaunchOptions(browserSettings, ROOT_DIR);
+  log(`Launching browser${options.userDataDir ? ` (profile ${path.relative(ROOT_DIR, options.userDataDir)})` : ''}...`);
+  identities = createIdentityRotation(browserSettings);
+  return puppeteer.launch(options);
+}
+
+// The listing store can only load every row, which is fine for one-off commands
+async function findListing(slug, columns) {
+  if (!storage.listings) throw new Error('No listing store available');
+  const row = (await storage.listings.loadAll(columns)).find(candidate => candidate.slug === slug);
+  if (!row) throw commandError('NOT_FOUND', `No listing with slug '${slug}'`);
+  return row;
+}
+
+// ===========================================
+// Commands
+// ===========================================
+
+// Writes this run's sync_runs row. Dry runs aren't recorded, and a failed write
+// only costs the history entry, not the run.
+async function recordRun(status, fatalError = null) {
+  if (DRY_RUN || !storage?.listings) return;
+  
+  const record = buildRunRecord(syncLog, {
+    status,
+    environment: process.env.SYNC_ENV || null,
+    ciRunId: process.env.GITHUB_RUN_ID || null,
+    fatalError
+  });
+  try {
+    await storage.listings.recordRun(record);
+  } catch (err) {
+    log(`Could not record the sync run: ${err.message}`, 'warning');
+  }
+}
+
+// Syncs every enabled dealer, or only `dealer` (name, dealer key or mobile.de
+// customer ID). A single-dealer run neither resumes nor writes the checkpoint
+// and isn't recorded in the drift history. `runId` defaults to the one already
+// in the log context (set by the CLI), else a new one. Returns { syncLog, ok }
+// where ok is false when extraction drifted, or { disabled: true }.
+export async function sync({ dryRun = false, fresh = false, dealer: dealerId = null, runId = getLogContext().runId || crypto.randomUUID() } = {}) {
+  DRY_RUN = dryRun;
+  syncLog.dryRun = dryRun;
+  syncLog.runId = runId;
+  syncLog.dealerFilter = dealerId;
+  setRunContext({ runId });
+  
+  try {
+    return await syncDealers({ fresh, dealerId });
+  } catch (err) {
+    await recordRun('failed', err.message);
+    throw err;
+  }
+}
+
+async function syncDealers({ fresh, dealerId }) {
+  log('🚗 CarLink24 Vehicle Sync Started');
+  if (DRY_RUN) log('🧪 Dry run: nothing will be written to listing or image storage');
+  
+  const config = await loadSyncConfig();
+  
+  // Check if enabled
+  if (!config.settings.enabled) {
+    log('Sync is disabled in config. Exiting.');
+    return { disabled: true };
+  }
+  
+  await setUpStorage(config);
+  const dealers = prepareDealers(config, dealerId);
+  log(`Sources: ${[...new Set(dealers.map(({ adapter }) => adapter.platform))].join(', ')}`);
+  
+  // Load existing listings
+  imageIndex = createImageIndex({ maxDistance: config.settings.imageRenditions.maxHashDistance });
+  const existing = await getExistingListings();
   
-  // Launch browser
-  log('Launching browser...');
-  const browser = await puppeteer.launch({
-    headless: 'new',
-    args: ['--no-sandbox', '--disable-setuid-sandbox']
+  // Resume an interrupted run if there is one
+  const checkpointSettings = config.settings.checkpoint || {};
+  checkpoint = await openCheckpoint(path.join(ROOT_DIR, checkpointSettings.path || '.sync-state/checkpoint.json'), {
+    persist: !DRY_RUN && !dealerId,
+    fresh,
+    maxAgeHours: checkpointSettings.maxAgeHours
   });
+  if (checkpoint.resumed) {
+    log(`♻️ Resuming run started ${checkpoint.startedAt} (${checkpoint.newListings} listings already inserted)`);
+  }
+  syncLog.resumedFrom = checkpoint.resumed ? checkpoint.startedAt : null;
+  
+  retryQueue = await openRetryQueue(path.join(ROOT_DIR, retrySettings.queuePath), {
+    persist: !DRY_RUN,
+    maxAttempts: retrySettings.queueAttempts
+  });
+  syncLog.retries.pending = retryQueue.size;
+  if (retryQueue.size > 0) log(`🔁 ${retryQueue.size} listings failed in earlier runs and are tried first`);
+  await recordRun('running');
+  
+  const browser = await launchBrowser();
+  
+  const allListings = [];
+  const allUpdates = [];
+  const allRemoved = [];
+  
+  const concurrency = getConcurrency(config);
+  rateLimiter = createRateLimiter(concurrency.rateLimits);
   
   try {
-    let allListings = [];
+    const workerPages = [];
+    for (let i = 0; i < concurrency.pages; i++) {
+      workerPages.push(await openWorkerPage(browser));
+    }
+    log(`Using ${workerPages.length} browser pages`);
     
-    // Process each dealer
-    for (const dealer of config.dealers) {
-      log(`\n📍 Processing dealer: ${dealer.name}`);
-      syncLog.dealers.push({ name: dealer.name, url: dealer.url });
-      
-      const listings = await scrapeDealer(browser, dealer.url, config, existingFingerprints);
-      allListings = allListings.concat(listings);
-      
-      syncLog.listingsFound += listings.length;
-      
-      // Check total limit
-      if (allListings.length >= config.settings.maxTotalListings) {
-        log(`Reached max total listings (${config.settings.maxTotalListings})`);
-        allListings = allListings.slice(0, config.settings.maxTotalListings);
-        break;
-      }
-      
-      await delay(3000); // Pause between dealers
+    const dealerRuns = dealers.map(({ dealer, adapter }) => {
+      const dealerKey = generateDealerKey(dealer.url);
+      const dealerLog = {
+        name: dealer.name,
+        url: dealer.url,
+        dealerKey,
+        platform: adapter.platform,
+        listingsFound: 0,
+        listingsNew: 0,
+        listingsUpdated: 0,
+        listingsRemoved: 0,
+        listingsSkipped: 0,
+        listingsFiltered: 0,
+        duplicates: 0,
+        priceDrops: [],
+        blocked: false,
+        circuitOpen: false,
+        notTried: 0,
+        searchMs: 0,
+        scrapeMs: 0
+      };
+      syncLog.dealers.push(dealerLog);
+      return {
+        dealer,
+        dealerKey,
+        adapter,
+        dealerSettings: resolveDealerSettings(config, dealer),
+        dealerLog,
+        breaker: createCircuitBreaker({ threshold: retrySettings.blockThreshold }),
+        listings: [],
+        updates: []
+      };
+    });
+    
+    // Read every dealer's search results first
+    await runWorkers(workerPages, createFairQueue([dealerRuns]), (page, run) => withLogContext({ dealerId: run.dealerKey }, async () => {
+      log(`\n📍 Processing dealer: ${run.dealer.name}`);
+      const started = Date.now();
+      Object.assign(run, await collectDealerListings(page, run, config));
+      run.dealerLog.searchMs = Date.now() - started;
+      run.dealerLog.pages = run.pages;
+      run.dealerLog.complete = run.complete;
+      run.dealerLog.listingsFound = run.listingUrls.length;
+      syncLog.listingsFound += run.listingUrls.length;
+      // A blocked search says nothing about the extraction, it isn't compared for drift
+      if (!run.dealerLog.blocked) extractionStats.listingsFound[run.dealer.name] = run.listingUrls.length;
+    }));
+    
+    // Listings that failed in earlier runs go first, whether or not the search still lists them
+    for (const run of dealerRuns) {
+      const retries = retryQueue.entries(run.dealerKey).map(({ id, url }) => ({ id, url, retried: true }));
+      const queued = new Set(retries.map(({ id }) => id));
+      run.listingUrls = [...retries, ...run.listingUrls.filter(({ id }) => !queued.has(id))];
     }
     
-    // Insert new listings
-    log(`\n💾 Inserting ${allListings.length} new listings to database...`);
+    // Then scrape listings from all dealers in turn until maxTotalListings new ones are found,
+    // skipping what an interrupted run already handled
+    const maxTotal = config.settings.maxTotalListings;
+    const budget = { remaining: maxTotal - checkpoint.newListings };
+    const queue = createFairQueue(dealerRuns.map(run =>
+      run.listingUrls
+        .map((entry, index) => ({ run, index, ...entry }))
+        .filter(({ id }) => !checkpoint.isProcessed(run.dealerKey, id))
+    ));
+    log(`\n💾 Scraping ${queue.remaining} listings, writing each as soon as it's done...`);
     
-    for (const listing of allListings) {
-      const result = await insertListing(listing);
-      if (result) {
-        syncLog.listingsNew++;
-        log(`Inserted: ${listing.make} ${listing.model} (${listing.slug})`, 'success');
+    await runWorkers(workerPages, queue, (page, job) => withLogContext({ dealerId: job.run.dealerKey, listingId: job.run.adapter.sourceKey(job.id) }, async () => {
+      // The dealer's circuit breaker opened, its remaining listings wait for the next run
+      if (job.run.breaker.open) {
+        job.run.dealerLog.notTried++;
+        return;
+      }
+      const started = Date.now();
+      await scrapeListing(page, job, config, existing, budget);
+      job.run.dealerLog.scrapeMs += Date.now() - started;
+      if (budget.remaining <= 0 && queue.remaining > 0) {
+        log(`Reached max total listings (${maxTotal})`);
+        queue.stop();
       }
+    }));
+    
+    for (const run of dealerRuns) {
+      allListings.push(...run.listings);
+      allUpdates.push(...run.updates);
     }
     
+    // Unpublish listings that are no longer at their source
+    for (const run of dealerRuns) {
+      const removed = await withLogContext({ dealerId: run.dealerKey }, () => reconcileRemovedListings(run, existing));
+      allRemoved.push(...removed);
+    }
+    
+    await checkpoint.finish();
   } finally {
     await browser.close();
   }
   
+  const drift = await checkExtractionDrift(config, { record: !dealerId });
+  
   // Save sync log
   syncLog.completedAt = new Date().toISOString();
   const logPath = path.join(ROOT_DIR, 'sync-log.json');
   await fs.writeFile(logPath, JSON.stringify(syncLog, null, 2));
+  await recordRun(drift.length > 0 ? 'drift' : 'succeeded');
+  
+  if (DRY_RUN) {
+    const { htmlPath } = await writeDryRunReport(ROOT_DIR, {
+      syncLog,
+      inserted: allListings,
+      updated: allUpdates.filter(({ changes }) => Object.keys(changes).length > 0),
+      removed: allRemoved
+    });
+    log(`Dry-run report saved: ${htmlPath}`);
+  }
   
   // Summary
   log('\n========================================');
@@ -802,22 +1230,178 @@ async function main() {
   log(`Dealers processed: ${syncLog.dealers.length}`);
   log(`Listings found: ${syncLog.listingsFound}`);
   log(`Listings new (inserted): ${syncLog.listingsNew}`);
+  log(`Listings updated: ${syncLog.listingsUpdated}`);
+  log(`Listings removed (unpublished): ${syncLog.listingsRemoved}`);
   log(`Listings skipped (existing): ${syncLog.listingsSkipped}`);
+  for (const { name, priceDrops } of syncLog.dealers) {
+    if (priceDrops.length === 0) continue;
+    const total = priceDrops.reduce((sum, { from, to }) => sum + from - to, 0);
+    log(`Price drops at ${name}: ${priceDrops.length} (−${total} € in total)`);
+  }
+  log(`Listings held back (failed validation): ${syncLog.listingsHeld}`);
+  log(`Listings skipped (dealer filters): ${syncLog.listingsFiltered.length}`);
+  log(`Titles not in the make/model catalog: ${syncLog.unresolvedTitles.length}`);
+  log(`Unmapped equipment strings: ${Object.keys(syncLog.unmappedFeatures).length}`);
+  log(`Missing translations: ${syncLog.missingTranslations.length}`);
+  const structuredFields = Object.values(syncLog.fieldSources)
+    .reduce((sum, counts) => sum + (counts['json-ld'] || 0) + (counts.state || 0), 0);
+  log(`Fields read from structured data (JSON-LD / state): ${structuredFields}`);
+  for (const [field, codes] of Object.entries(syncLog.problemsByField)) {
+    log(`  ${field}: ${Object.entries(codes).map(([code, count]) => `${code} ×${count}`).join(', ')}`);
+  }
   log(`Images uploaded: ${syncLog.imagesUploaded}`);
-  log(`Errors: ${syncLog.errors.length}`);
+  log(`Images reused (already stored): ${syncLog.imagesReused}`);
+  log(`Images shared between listings: ${syncLog.sharedImages.length}`);
+  log(`Images with overlays (watermarks, text): ${syncLog.imageAnalysis.filter(({ overlays }) => overlays.length > 0).length}`);
+  log(`Hero photos re-ranked: ${syncLog.heroChanges.length}`);
+  log(`Extraction drift: ${drift.length > 0 ? `${drift.length} metrics dropped` : 'none'}`);
+  const { recovered, queued, dropped } = syncLog.retries;
+  log(`Failed listings: ${recovered} recovered from earlier runs, ${queued} queued for the next run, ${dropped} given up`);
+  for (const { name, blocked, circuitOpen, notTried } of syncLog.dealers) {
+    if (blocked) log(`Blocked (block or captcha page in search): ${name}`);
+    if (circuitOpen) log(`Stopped after repeated blocks: ${name} (${notTried} listings not tried)`);
+  }
+  const kinds = {};
+  for (const { kind } of syncLog.errors) kinds[kind] = (kinds[kind] || 0) + 1;
+  log(`Errors: ${syncLog.errors.length}${syncLog.errors.length > 0 ? ` (${Object.entries(kinds).map(([kind, count]) => `${kind} ×${count}`).join(', ')})` : ''}`);
   log('========================================\n');
   
   if (syncLog.errors.length > 0) {
     log('Errors encountered:', 'error');
-    syncLog.errors.forEach(err => log(`  - ${err.type}: ${err.error}`, 'error'));
+    syncLog.errors.forEach(err => log(`  - ${err.type} (${err.kind}): ${err.error}`, 'error'));
+  }
+  
+  if (drift.length > 0) {
+    log('Extraction dropped below its baseline, the source markup may have changed:', 'error');
+    drift.forEach(({ metric, baseline, current }) => log(`  - ${metric}: ${current} (baseline ${baseline})`, 'error'));
+    if (!DRY_RUN) return { syncLog, ok: false };
   }
   
   log('🏁 Sync completed!', 'success');
+  return { syncLog, ok: true };
+}
+
+// Scrapes one listing page without writing or uploading anything and returns
+// the row a sync would insert, or { filtered, reason } when the dealer's filters
+// skip it. The dealer is `dealer`, else a generic dealer on the URL's host,
+// else mobile.de.
+export async function scrapeUrl(url, { dealer: dealerId = null } = {}) {
+  DRY_RUN = true;
+  const config = await loadSyncConfig();
+  
+  const host = new URL(url).host;
+  const fallback = config.dealers.find(candidate => candidate.platform === 'generic' && new URL(candidate.url).host === host) ||
+    { name: host, url };
+  const [{ dealer, adapter }] = dealerId
+    ? prepareDealers(config, dealerId)
+    : [{ dealer: fallback, adapter: createSourceAdapter(fallback) }];
+  
+  rateLimiter = createRateLimiter(getConcurrency(config).rateLimits);
+  checkpoint = await openCheckpoint(null, { persist: false });
+  imageIndex = createImageIndex();
+  
+  const browser = await launchBrowser();
+  try {
+    const page = await openWorkerPage(browser);
+    const existing = { bySourceKey: new Map(), byFingerprint: new Map() };
+    const dealerKey = generateDealerKey(dealer.url);
+    const adId = adapter.listingId(url);
+    return await withLogContext({ dealerId: dealerKey, listingId: adId ? adapter.sourceKey(adId) : null }, () =>
+      scrapeListingDetails(page, url, config, existing, { dealerKey, adapter, dealerSettings: resolveDealerSettings(config, dealer) })
+    );
+  } finally {
+    await browser.close();
+  }
+}
+
+// Downloads a listing's photos again from their recorded source URLs, renders
+// them with the current rendition and analysis settings and updates the row.
+// Nothing is reused from storage. Returns { slug, images, heroChanged }.
+export async function reprocessImages(slug) {
+  DRY_RUN = false;
+  const config = await loadSyncConfig();
+  await setUpStorage(config);
+  
+  const row = await findListing(slug, ['id', 'slug', 'source_key', 'source_url', 'source_dealer_key', 'images', 'image_hashes']);
+  const sources = (row.image_hashes || []).map(hash => hash?.source).filter(Boolean);
+  if (sources.length === 0) {
+    throw commandError('NOT_FOUND', `${slug} has no recorded photo sources, its next sync records them`);
+  }
+  
+  // Photos are downloaded with the referer of the listing's dealer
+  const dealer = config.dealers.find(candidate => generateDealerKey(candidate.url) === row.source_dealer_key);
+  const referer = dealer ? createSourceAdapter(dealer).imageReferer : new URL(row.source_url).origin + '/';
+  
+  rateLimiter = createRateLimiter(getConcurrency(config).rateLimits);
+  checkpoint = await openCheckpoint(null, { persist: false });
+  imageIndex = createImageIndex();
+  
+  setRunContext({ dealerId: row.source_dealer_key, listingId: row.source_key });
+  log(`🖼️ Reprocessing ${sources.length} photos of ${slug}...`);
+  const processed = await processListingImages(sources, slug, config, { adId: row.source_key, referer });
+  if (processed.images.length === 0) {
+    throw new Error(`None of the ${sources.length} photos of ${slug} could be processed`);
+  }
+  
+  await saveListingUpdate(row.id, { ...processed, synced_at: new Date().toISOString() });
+  log(`Updated ${processed.images.length} photos of ${slug}`, 'success');
+  return { slug, images: processed.images.length, heroChanged: syncLog.heroChanges.length > 0 };
+}
+
+// Takes a listing offline by hand. Unlike a listing removed at the source it
+// gets no removed_at, and unpublished_reason 'manual' keeps it from counting
+// as held for quality, so a sync doesn't publish it again while the ad is live.
+// Returns { slug, changed }.
+export async function unpublishListing(slug) {
+  DRY_RUN = false;
+  const config = await loadSyncConfig();
+  await setUpStorage(config);
+  
+  const row = await findListing(slug, ['id', 'slug', 'source_key', 'source_dealer_key', 'published']);
+  setRunContext({ dealerId: row.source_dealer_key, listingId: row.source_key });
+  if (!row.published) {
+    log(`${slug} is already unpublished`);
+    return { slug, changed: false };
+  }
+  
+  await saveListingUpdate(row.id, { published: false, unpublished_reason: 'manual', synced_at: new Date().toISOString() });
+  log(`Unpublished: ${slug}`, 'success');
+  return { slug, changed: true };
 }
 
-// Run
-main().catch(err => {
-  log(`Fatal error: ${err.message}`, 'error');
-  console.error(err);
-  process.exit(1);
-});
+// Recomputes every row's fingerprint and lists the stale ones, plus fingerprints
+// found at more than one dealer (the same car synced twice). With `fix`, stale
+// fingerprints are rewritten. Returns { listings, stale, shared, fixed }.
+export async function checkFingerprints({ fix = false } = {}) {
+  DRY_RUN = false;
+  const config = await loadSyncConfig();
+  await setUpStorage(config);
+  if (!storage.listings) throw new Error('No listing store available');
+  
+  const rows = await storage.listings.loadAll(['id', 'slug', 'make', 'model', 'mileage', 'first_registration', 'fingerprint', 'source_dealer_key', 'published']);
+  const stale = [];
+  const byFingerprint = new Map();
+  for (const row of rows) {
+    const expected = generateFingerprint(row.make, row.model, row.mileage, row.first_registration);
+    if (row.fingerprint !== expected) stale.push({ id: row.id, slug: row.slug, stored: row.fingerprint, expected });
+    if (!row.published) continue;
+    if (!byFingerprint.has(expected)) byFingerprint.set(expected, []);
+    byFingerprint.get(expected).push(row);
+  }
+  
+  const shared = [...byFingerprint]
+    .filter(([, matches]) => new Set(matches.map(({ source_dealer_key: key }) => key)).size > 1)
+    .map(([fingerprint, matches]) => ({ fingerprint, slugs: matches.map(({ slug }) => slug) }));
+  
+  let fixed = 0;
+  if (fix) {
+    for (const { id, slug, expected } of stale) {
+      await saveListingUpdate(id, { fingerprint: expected });
+      log(`Fixed fingerprint of ${slug}`, 'success');
+      fixed++;
+    }
+  }
+  
+  log(`Checked ${rows.length} listings: ${stale.length} stale fingerprints, ${shared.length} shared between dealers`);
+  return { listings: rows.length, stale: stale.map(({ id, ...entry }) => entry), shared, fixed };
+}
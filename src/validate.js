@@ -0,0 +1,206 @@
+/**
+ * Listing validation and data-quality scoring
+ *
+ * LISTING_SCHEMA declares what a publishable listing row looks like: required
+ * fields, value ranges and the enum values the normalization maps produce.
+ * validateListing() checks a scraped listing against it and scores it 0–100.
+ * Listings with errors are inserted unpublished, with their problems attached.
+ */
+
+import {
+  fuelTypeMap,
+  gearboxMap,
+  bodyTypeMap,
+  driveTypeMap,
+  climateMap,
+  colorMap,
+  interiorMaterialMap,
+  airbagsMap,
+  priceRatingMap,
+  EMISSION_CLASSES,
+  EFFICIENCY_CLASSES
+} from './normalize.js';
+import { catalogMakes } from './catalog.js';
+
+// kW → PS, and how far a listing's two power figures may disagree
+const PS_PER_KW = 1.35962;
+const POWER_TOLERANCE = 0.03;
+
+const enumOf = map => [...new Set(Object.values(map))];
+
+// ===========================================
+// Schema
+// ===========================================
+
+// `required` fields hold a listing back when missing or invalid. Everything
+// else only lowers the score. `enum` problems on `make` are warnings because
+// makes missing from the catalog come from the first-word fallback.
+export const LISTING_SCHEMA = {
+  make: { type: 'string', required: true, enum: catalogMakes, enumSeverity: 'warning' },
+  model: { type: 'string', required: true },
+  price: { type: 'integer', required: true, min: 100, max: 5000000 },
+  price_net: { type: 'integer', min: 100, max: 5000000 },
+  price_type: { type: 'string', enum: ['FIXED', 'NEGOTIABLE'] },
+  price_rating: { type: 'string', enum: enumOf(priceRatingMap) },
+  mileage: { type: 'integer', required: true, min: 0, max: 2000000 },
+  first_registration: { type: 'string', required: true, pattern: /^\d{6}$/ },
+  images: { type: 'array', required: true, minItems: 1, recommendedItems: 3 },
+  fuel: { type: 'string', enum: enumOf(fuelTypeMap) },
+  gearbox: { type: 'string', enum: enumOf(gearboxMap) },
+  power_kw: { type: 'integer', min: 1, max: 1500 },
+  power_ps: { type: 'integer', min: 1, max: 2040 },
+  cubic_capacity: { type: 'integer', min: 50, max: 10000 },
+  body_type: { type: 'string', enum: enumOf(bodyTypeMap) },
+  drive_type: { type: 'string', enum: enumOf(driveTypeMap) },
+  num_doors: { type: 'integer', min: 1, max: 7 },
+  num_seats: { type: 'integer', min: 1, max: 9 },
+  exterior_color: { type: 'string', enum: enumOf(colorMap) },
+  interior_color: { type: 'string', enum: enumOf(colorMap) },
+  interior_material: { type: 'string', enum: enumOf(interiorMaterialMap) },
+  climate: { type: 'string', enum: enumOf(climateMap) },
+  num_previous_owners: { type: 'integer', min: 0, max: 50 },
+  condition: { type: 'string', enum: ['NEW', 'USED'] },
+  hu_valid_until: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+  emission_class: { type: 'string', enum: EMISSION_CLASSES },
+  emission_sticker: { type: 'integer', min: 1, max: 4 },
+  airbags: { type: 'string', enum: enumOf(airbagsMap) },
+  consumption_combined: { type: 'number', min: 0, max: 60 },
+  consumption_unit: { type: 'string', enum: ['l/100km', 'kWh/100km', 'kg/100km'] },
+  co2_emissions: { type: 'integer', min: 0, max: 800 },
+  efficiency_class: { type: 'string', enum: EFFICIENCY_CLASSES }
+};
+
+// Score penalties per problem, and per empty optional schema field
+const PENALTIES = { error: 30, warning: 10, missing: 2 };
+
+// ===========================================
+// Checks
+// ===========================================
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function hasType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'array') return Array.isArray(value);
+  return typeof value === type;
+}
+
+function checkField(field, rule, value) {
+  const severity = rule.required ? 'error' : 'warning';
+  
+  if (isEmpty(value)) {
+    return rule.required ? [{ field, code: 'missing', severity, message: `${field} is missing` }] : [];
+  }
+  if (!hasType(value, rule.type)) {
+    return [{ field, code: 'type', severity, message: `${field} should be ${rule.type}, got ${JSON.stringify(value)}` }];
+  }
+  
+  const problems = [];
+  if (rule.min !== undefined && value < rule.min) {
+    problems.push({ field, code: 'range', severity, message: `${field} ${value} is below ${rule.min}` });
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    problems.push({ field, code: 'range', severity, message: `${field} ${value} is above ${rule.max}` });
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    problems.push({ field, code: 'format', severity, message: `${field} "${value}" doesn't match ${rule.pattern}` });
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    problems.push({ field, code: 'enum', severity: rule.enumSeverity || severity, message: `${field} "${value}" is not a known value` });
+  }
+  if (rule.minItems !== undefined && value.length < rule.minItems) {
+    problems.push({ field, code: 'range', severity, message: `${field} has ${value.length} items, needs ${rule.minItems}` });
+  } else if (rule.recommendedItems !== undefined && value.length < rule.recommendedItems) {
+    problems.push({ field, code: 'few_items', severity: 'warning', message: `${field} has only ${value.length} items` });
+  }
+  return problems;
+}
+
+// Checks that involve more than one field
+function checkConsistency(listing, now) {
+  const problems = [];
+  
+  if (/^\d{6}$/.test(listing.first_registration || '')) {
+    const year = parseInt(listing.first_registration.substring(0, 4), 10);
+    const month = parseInt(listing.first_registration.substring(4), 10);
+    const currentYear = new Date(now).getFullYear();
+    if (month < 1 || month > 12 || year < 1900 || year > currentYear + 1) {
+      problems.push({
+        field: 'first_registration',
+        code: 'range',
+        severity: 'error',
+        message: `first_registration ${listing.first_registration} is not a plausible month`
+      });
+    }
+  }
+  
+  const { power_kw: kw, power_ps: ps } = listing;
+  if (Number.isInteger(kw) && Number.isInteger(ps) && kw > 0) {
+    const expected = kw * PS_PER_KW;
+    if (Math.abs(ps - expected) / expected > POWER_TOLERANCE) {
+      problems.push({
+        field: 'power_ps',
+        code: 'inconsistent',
+        severity: 'warning',
+        message: `${kw} kW should be about ${Math.round(expected)} PS, got ${ps}`
+      });
+    }
+  }
+  
+  if (Number.isInteger(listing.price_net) && Number.isInteger(listing.price) && listing.price_net > listing.price) {
+    problems.push({
+      field: 'price_net',
+      code: 'inconsistent',
+      severity: 'warning',
+      message: `Net price ${listing.price_net} is above the gross price ${listing.price}`
+    });
+  }
+  
+  if (listing.condition === 'NEW' && listing.mileage > 1000) {
+    problems.push({
+      field: 'mileage',
+      code: 'inconsistent',
+      severity: 'warning',
+      message: `New car with ${listing.mileage} km`
+    });
+  }
+  
+  return problems;
+}
+
+// ===========================================
+// Validation
+// ===========================================
+
+export function validateListing(listing, { schema = LISTING_SCHEMA, now = Date.now() } = {}) {
+  const problems = [];
+  let missingOptional = 0;
+  
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = listing[field];
+    if (!rule.required && isEmpty(value)) missingOptional++;
+    problems.push(...checkField(field, rule, value));
+  }
+  problems.push(...checkConsistency(listing, now));
+  
+  const penalty = problems.reduce((sum, { severity }) => sum + PENALTIES[severity], 0) +
+    missingOptional * PENALTIES.missing;
+  
+  return {
+    valid: !problems.some(({ severity }) => severity === 'error'),
+    score: Math.max(0, 100 - penalty),
+    problems
+  };
+}
+
+// Adds a listing's problems to per-field, per-code counts for the sync log
+export function tallyProblems(summary, problems) {
+  for (const { field, code } of problems) {
+    if (!summary[field]) summary[field] = {};
+    summary[field][code] = (summary[field][code] || 0) + 1;
+  }
+  return summary;
+}
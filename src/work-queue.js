@@ -0,0 +1,53 @@
+/**
+ * Fair work queue and worker pool
+ *
+ * Jobs are grouped by owner (a dealer) and handed out round-robin, so one
+ * dealer with hundreds of listings can't use up the run before the others
+ * get a turn. stop() ends the queue early, e.g. when maxTotalListings is hit.
+ */
+
+export function createFairQueue(groups) {
+  const queues = groups.map(jobs => [...jobs]);
+  let cursor = 0;
+  let stopped = false;
+  
+  return {
+    next() {
+      if (stopped) return null;
+      for (let tried = 0; tried < queues.length; tried++) {
+        const queue = queues[cursor];
+        cursor = (cursor + 1) % queues.length;
+        if (queue.length > 0) return queue.shift();
+      }
+      return null;
+    },
+    
+    stop() {
+      stopped = true;
+    },
+    
+    get remaining() {
+      return queues.reduce((sum, queue) => sum + queue.length, 0);
+    }
+  };
+}
+
+// Runs one worker per context (e.g. a browser page) until the queue is empty.
+// Job errors are meant to be handled inside `work`. One that escapes stops the
+// queue, and is rethrown once every worker has finished its current job, so
+// the caller doesn't close the contexts under running workers.
+export async function runWorkers(contexts, queue, work) {
+  const results = await Promise.allSettled(contexts.map(async context => {
+    let job;
+    while ((job = queue.next()) !== null) {
+      try {
+        await work(context, job);
+      } catch (err) {
+        queue.stop();
+        throw err;
+      }
+    }
+  }));
+  const failed = results.find(({ status }) => status === 'rejected');
+  if (failed) throw failed.reason;
+}
@@ -0,0 +1,13 @@
+-- Lifecycle sync: track which dealer a listing came from and when it disappeared
+-- from mobile.de, so the scraper can unpublish sold cars and refresh changed ones.
+
+alter table listings
+  add column if not exists source_dealer_key text,
+  add column if not exists removed_at timestamptz;
+
+comment on column listings.source_dealer_key is
+  'SHA-256 of the source dealer (never the raw mobile.de customer ID). Internal only.';
+comment on column listings.removed_at is
+  'Set by the sync when the listing is no longer offered at the source; cleared if it reappears.';
+
+create index if not exists listings_source_dealer_key_idx on listings (source_dealer_key);
@@ -0,0 +1,14 @@
+-- Stable source identity: listings are keyed on the hashed mobile.de ad ID
+-- instead of the make/model/mileage/registration fingerprint.
+-- Existing rows are backfilled by `npm run migrate:source-keys`.
+
+alter table listings
+  add column if not exists source_key text;
+
+comment on column listings.source_key is
+  'SHA-256 of the source ad ID (never the raw mobile.de ID). Internal only.';
+comment on column listings.fingerprint is
+  'Fuzzy make/model/mileage/registration hash, only used to detect the same car at another dealer.';
+
+create unique index if not exists listings_source_key_idx on listings (source_key);
+create index if not exists listings_fingerprint_idx on listings (fingerprint);
@@ -0,0 +1,6 @@
+-- Responsive images: every rendition URL per photo, e.g.
+-- [{ "thumb": { "webp": "...", "avif": "..." }, "card": {...}, "full": {...} }]
+-- `images` keeps one URL per photo (the primary rendition) for existing readers.
+
+alter table listings
+  add column if not exists image_renditions jsonb not null default '[]'::jsonb;
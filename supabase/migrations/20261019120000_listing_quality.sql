@@ -0,0 +1,9 @@
+-- Data quality: score 0-100 and the problems found by src/validate.js, e.g.
+-- [{ "field": "price", "code": "missing", "severity": "error", "message": "price is missing" }]
+-- Listings with error-level problems are inserted with published = false.
+
+alter table listings
+  add column if not exists quality_score smallint,
+  add column if not exists quality_problems jsonb not null default '[]'::jsonb;
+
+create index if not exists listings_quality_score_idx on listings (quality_score);
@@ -0,0 +1,5 @@
+-- Make/model catalog: `model` now holds the base model ("3er", "Golf") and the
+-- rest of the title goes into `trim` ("320d Touring M Sport").
+
+alter table listings
+  add column if not exists trim text;
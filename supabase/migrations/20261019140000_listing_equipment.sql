@@ -0,0 +1,7 @@
+-- Equipment taxonomy: canonical keys from src/equipment.js, e.g.
+-- {NAVIGATION,HEATED_SEATS_FRONT,PARKING_CAMERA}. `features` keeps the raw strings.
+
+alter table listings
+  add column if not exists equipment text[] not null default '{}';
+
+create index if not exists listings_equipment_idx on listings using gin (equipment);
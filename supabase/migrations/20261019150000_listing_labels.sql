@@ -0,0 +1,5 @@
+-- Display labels per locale from src/locales/, e.g.
+-- { "en": { "fuel": "Diesel", "gearbox": "Automatic", "equipment": ["Navigation system"] }, "de": {...} }
+
+alter table listings
+  add column if not exists labels jsonb not null default '{}'::jsonb;
@@ -0,0 +1,45 @@
+-- Typed HU, emission and consumption data (see parse helpers in src/normalize.js).
+-- Existing raw strings are converted in place: "06/2026" → 2026-06-30,
+-- "Euro6d-TEMP" → EURO_6D_TEMP, "4 (Grün)" → 4, airbag labels → enum keys.
+
+alter table listings
+  alter column hu_valid_until type date using (
+    case when hu_valid_until ~ '^\d{2}/\d{4}$'
+      then (to_date(hu_valid_until, 'MM/YYYY') + interval '1 month - 1 day')::date
+    end
+  );
+
+update listings set emission_class = case
+  when emission_class ~* 'euro\s*6d[-\s]*temp' then 'EURO_6D_TEMP'
+  when emission_class ~* 'euro\s*6([b-e])' then 'EURO_6' || upper(substring(emission_class from '(?i)euro\s*6([b-e])'))
+  when emission_class ~* 'euro\s*[1-7]' then 'EURO_' || substring(emission_class from '(?i)euro\s*([1-7])')
+end
+where emission_class is not null and emission_class !~ '^EURO_';
+
+alter table listings
+  alter column emission_sticker type smallint using (substring(emission_sticker from '\m([1-4])\M')::smallint);
+
+update listings set airbags = case
+  when airbags ilike '%weitere airbags%' then 'FRONT_SIDE_AND_MORE'
+  when airbags ilike '%seiten%' then 'FRONT_AND_SIDE'
+  when airbags ilike '%front%' then 'FRONT'
+  when airbags ilike '%fahrer%' then 'DRIVER'
+end
+where airbags is not null and airbags !~ '^[A-Z_]+$';
+
+alter table listings
+  add column if not exists consumption_combined numeric(5, 1),
+  add column if not exists consumption_urban numeric(5, 1),
+  add column if not exists consumption_extra_urban numeric(5, 1),
+  add column if not exists consumption_unit text,
+  add column if not exists electric_consumption_combined numeric(5, 1),
+  add column if not exists co2_emissions smallint,
+  add column if not exists efficiency_class text,
+  add column if not exists battery_capacity_kwh numeric(6, 1),
+  add column if not exists electric_range_km smallint;
+
+comment on column listings.consumption_unit is 'l/100km, kWh/100km (EVs) or kg/100km (CNG)';
+comment on column listings.electric_consumption_combined is 'kWh/100km of plug-in hybrids, whose fuel figures go into consumption_*';
+
+create index if not exists listings_emission_class_idx on listings (emission_class);
+create index if not exists listings_efficiency_class_idx on listings (efficiency_class);
@@ -0,0 +1,26 @@
+-- Price terms and history. Every sync that sees a listing adds one row to
+-- listing_price_history, so price changes can be charted per listing.
+
+alter table listings
+  add column if not exists price_net integer,
+  add column if not exists vat_deductible boolean not null default false,
+  add column if not exists price_rating text;
+
+comment on column listings.price_type is 'FIXED or NEGOTIABLE ("VB")';
+comment on column listings.price_rating is 'mobile.de price rating: VERY_GOOD, GOOD, FAIR, INCREASED or HIGH';
+
+-- listing_id follows listings.id (bigint identity)
+create table if not exists listing_price_history (
+  id bigint generated always as identity primary key,
+  listing_id bigint not null references listings (id) on delete cascade,
+  observed_at timestamptz not null default now(),
+  price integer not null,
+  price_net integer,
+  currency text not null default 'EUR',
+  price_type text,
+  vat_deductible boolean,
+  price_rating text
+);
+
+create index if not exists listing_price_history_listing_idx
+  on listing_price_history (listing_id, observed_at desc);
@@ -0,0 +1,7 @@
+-- Image hashes: one entry per photo, aligned with `images` and `image_renditions`, e.g.
+-- [{ "source": "https://img.classistatic.de/...", "content": "<sha256>", "perceptual": "<16 hex dHash>" }]
+-- Renditions are now stored under their content hash (`ab/<sha256>-<size>.<format>`),
+-- so rows that share a photo point at the same files.
+
+alter table listings
+  add column if not exists image_hashes jsonb not null default '[]'::jsonb;
@@ -0,0 +1,7 @@
+-- Photo analysis: one entry per photo, aligned with `images`, e.g.
+-- { "subject": { "left": 0.12, "top": 0.3, "width": 0.76, "height": 0.45 },
+--   "wholeSubject": true, "overlays": [{ "left": 0.6, "top": 0.88, "width": 0.35, "height": 0.08 }], "blurred": false }
+-- Boxes are fractions of the photo. The first photo is the hero, picked to show the whole car.
+
+alter table listings
+  add column if not exists image_analysis jsonb not null default '[]'::jsonb;
@@ -0,0 +1,7 @@
+-- Source platform a listing was scraped from: 'mobile.de', or 'generic' for
+-- dealers read from their own website through configured selectors.
+-- Source keys of non-mobile.de listings are namespaced by platform and host,
+-- so they can't collide with mobile.de ad IDs.
+
+alter table listings
+  add column if not exists source_platform text not null default 'mobile.de';
@@ -0,0 +1,6 @@
+-- Where each raw field of a listing was read from when it was inserted:
+-- 'json-ld' (schema.org data), 'state' (embedded hydration state) or 'dom', e.g.
+-- { "price": "json-ld", "hu": "state", "seats": "dom" }
+
+alter table listings
+  add column if not exists field_sources jsonb not null default '{}'::jsonb;
@@ -0,0 +1,43 @@
+-- One row per sync run, for the admin's sync history. The sync writes it when
+-- it starts (status 'running') and again when it ends ('succeeded', 'drift' or
+-- 'failed'). A row left 'running' is a run that crashed or was cancelled.
+-- Dry runs are not recorded.
+
+create table if not exists sync_runs (
+  id uuid primary key,
+  status text not null,
+  started_at timestamptz not null,
+  completed_at timestamptz,
+  duration_ms integer,
+  environment text,
+  ci_run_id text,
+  dealer_filter text,
+  resumed_from timestamptz,
+  listings_found integer not null default 0,
+  listings_new integer not null default 0,
+  listings_updated integer not null default 0,
+  listings_removed integer not null default 0,
+  listings_skipped integer not null default 0,
+  listings_held integer not null default 0,
+  listings_filtered integer not null default 0,
+  duplicates integer not null default 0,
+  images_uploaded integer not null default 0,
+  images_reused integer not null default 0,
+  error_count integer not null default 0,
+  fatal_error text,
+  dealers jsonb not null default '[]'::jsonb,
+  errors jsonb not null default '[]'::jsonb,
+  drift jsonb not null default '[]'::jsonb,
+  extraction jsonb
+);
+
+comment on column sync_runs.id is 'Run ID, also on every JSON log line of the run (runId)';
+comment on column sync_runs.ci_run_id is 'GitHub Actions run ID, when run in CI';
+comment on column sync_runs.dealer_filter is 'The dealer of a single-dealer run (sync --dealer), null for full runs';
+comment on column sync_runs.listings_found is 'Listings in the dealers'' search results';
+comment on column sync_runs.dealers is 'Per dealer: dealerId (source_dealer_key), name, platform, counts, searchMs, scrapeMs, complete';
+comment on column sync_runs.errors is 'The first errors of the run, each with type, error, dealerId and listingId';
+comment on column sync_runs.drift is 'Extraction metrics that dropped below their baseline';
+
+create index if not exists sync_runs_started_idx
+  on sync_runs (started_at desc);
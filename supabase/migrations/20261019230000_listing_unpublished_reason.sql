@@ -0,0 +1,7 @@
+-- Why a listing was taken offline, where the sync has to know: 'manual' for
+-- `cli.js unpublish`, which a sync never publishes again. Null otherwise
+-- (removed at the source has removed_at, held for quality its problems).
+
+alter table listings
+  add column if not exists unpublished_reason text
+    check (unpublished_reason in ('manual'));
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveMakeModel, findMake } from '../src/catalog.js';
+
+test('resolveMakeModel splits titles into make, base model and trim', () => {
+  assert.deepEqual(resolveMakeModel('VW Golf VIII 2.0 TDI Style'), {
+    make: 'Volkswagen', model: 'Golf', trim: 'VIII 2.0 TDI Style', resolved: true
+  });
+  assert.deepEqual(resolveMakeModel('Land Rover Defender 110'), {
+    make: 'Land Rover', model: 'Defender', trim: '110', resolved: true
+  });
+  assert.deepEqual(resolveMakeModel('Cupra Formentor VZ 2.0 TSI'), {
+    make: 'Cupra', model: 'Formentor', trim: 'VZ 2.0 TSI', resolved: true
+  });
+});
+
+test('resolveMakeModel keeps model codes in the trim', () => {
+  assert.deepEqual(resolveMakeModel('BMW 320d Touring M Sport'), {
+    make: 'BMW', model: '3er', trim: '320d Touring M Sport', resolved: true
+  });
+  assert.deepEqual(resolveMakeModel('Mercedes C 220 d T-Modell'), {
+    make: 'Mercedes-Benz', model: 'C-Klasse', trim: 'C 220 d T-Modell', resolved: true
+  });
+});
+
+test('resolveMakeModel treats Range Rover as a Land Rover model', () => {
+  assert.deepEqual(resolveMakeModel('Range Rover Sport HSE Dynamic'), {
+    make: 'Land Rover', model: 'Range Rover Sport', trim: 'HSE Dynamic', resolved: true
+  });
+});
+
+test('resolveMakeModel prefers the Marke/Modell detail fields', () => {
+  const result = resolveMakeModel('Golf 1.5 eTSI Life', { make: 'VW', model: 'Golf' });
+  assert.equal(result.make, 'Volkswagen');
+  assert.equal(result.model, 'Golf');
+  assert.equal(result.trim, '1.5 eTSI Life');
+  
+  // A model the catalog doesn't know is taken from the page as is
+  assert.equal(resolveMakeModel('Dacia Bigster Extreme', { model: 'Bigster' }).model, 'Bigster');
+});
+
+test('resolveMakeModel flags titles it had to guess', () => {
+  assert.deepEqual(resolveMakeModel('Trabant 601 S'), {
+    make: 'Trabant', model: '601 S', trim: null, resolved: false
+  });
+  assert.equal(resolveMakeModel('Opel Kapitän 2.5').resolved, false);
+  assert.equal(resolveMakeModel('').make, null);
+});
+
+test('findMake resolves aliases to the catalog name', () => {
+  assert.equal(findMake('VW'), 'Volkswagen');
+  assert.equal(findMake('Mercedes'), 'Mercedes-Benz');
+  assert.equal(findMake('citroen'), 'Citroën');
+  assert.equal(findMake('Trabant'), null);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { openCheckpoint } from '../src/checkpoint.js';
+
+async function tempFile() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'checkpoint-'));
+  return path.join(dir, 'state', 'checkpoint.json');
+}
+
+test('an unfinished checkpoint is resumed with pages, processed ads and images', async () => {
+  const filePath = await tempFile();
+  
+  const first = await openCheckpoint(filePath);
+  assert.equal(first.resumed, false);
+  first.recordSearchPage('dealer-a', { page: 1, listings: 2, new: 2 }, [{ id: '1', url: 'u1' }, { id: '2', url: 'u2' }]);
+  first.finishSearch('dealer-a', true);
+  first.markProcessed('dealer-a', '1', { inserted: true });
+  first.recordImage('2', 'bmw-320d-2020-abcd', 0, { primary: 'https://cdn/0.webp' });
+  await first.save();
+  
+  const second = await openCheckpoint(filePath);
+  assert.equal(second.resumed, true);
+  assert.equal(second.newListings, 1);
+  assert.equal(second.dealer('dealer-a').searchDone, true);
+  assert.equal(second.dealer('dealer-a').lastAdId, '1');
+  assert.equal(second.isProcessed('dealer-a', '1'), true);
+  assert.equal(second.isProcessed('dealer-a', '2'), false);
+  assert.deepEqual(second.uploadedImages('2'), { slug: 'bmw-320d-2020-abcd', uploaded: { 0: { primary: 'https://cdn/0.webp' } } });
+  
+  second.markProcessed('dealer-a', '2', { inserted: true });
+  assert.equal(second.uploadedImages('2'), null);
+});
+
+test('a finished, stale or explicitly skipped checkpoint starts fresh', async () => {
+  const filePath = await tempFile();
+  
+  const done = await openCheckpoint(filePath);
+  done.markProcessed('dealer-a', '1');
+  await done.finish();
+  assert.equal((await openCheckpoint(filePath)).resumed, false);
+  
+  const unfinished = await openCheckpoint(filePath);
+  unfinished.markProcessed('dealer-a', '1');
+  await unfinished.save();
+  const later = () => Date.now() + 25 * 3600 * 1000;
+  assert.equal((await openCheckpoint(filePath, { now: later })).resumed, false);
+  assert.equal((await openCheckpoint(filePath, { fresh: true })).resumed, false);
+  assert.equal((await openCheckpoint(filePath)).resumed, true);
+});
+
+test('a checkpoint without persistence never touches disk', async () => {
+  const filePath = await tempFile();
+  const checkpoint = await openCheckpoint(filePath, { persist: false });
+  checkpoint.markProcessed('dealer-a', '1');
+  await checkpoint.save();
+  await assert.rejects(fs.access(filePath));
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { EXIT_CODES } from '../src/cli.js';
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), '../src/cli.js');
+
+function runCli(args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { env: { ...process.env, SYNC_ENV: '' } }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('validate-config prints the dealers as JSON on stdout', async () => {
+  const { code, stdout, stderr } = await runCli(['validate-config', '--json']);
+  assert.equal(code, EXIT_CODES.ok);
+  const output = JSON.parse(stdout);
+  assert.equal(output.ok, true);
+  assert.equal(output.command, 'validate-config');
+  assert.ok(output.result.dealers.every(({ platform, enabled }) => platform === 'mobile.de' && enabled));
+  assert.match(stderr, /Config is valid/);
+});
+
+test('a missing config overlay is a config error', async () => {
+  const { code, stdout } = await runCli(['validate-config', '--env', 'nonexistent', '--json']);
+  assert.equal(code, EXIT_CODES.invalidConfig);
+  assert.equal(JSON.parse(stdout).error.code, 'INVALID_CONFIG');
+});
+
+test('unknown commands, options and missing arguments are usage errors', async () => {
+  assert.equal((await runCli([])).code, EXIT_CODES.usage);
+  assert.equal((await runCli(['publish-everything'])).code, EXIT_CODES.usage);
+  assert.equal((await runCli(['sync', '--dealers', 'x'])).code, EXIT_CODES.usage);
+  assert.equal((await runCli(['fingerprints'])).code, EXIT_CODES.usage);
+  assert.equal((await runCli(['scrape-url', 'not a url'])).code, EXIT_CODES.usage);
+  assert.equal((await runCli(['gc-images', '--min-age-hours=soon'])).code, EXIT_CODES.usage);
+  
+  const { code, stdout } = await runCli(['unpublish', '--json']);
+  assert.equal(code, EXIT_CODES.usage);
+  assert.deepEqual(JSON.parse(stdout).error, { code: 'USAGE', message: 'unpublish expects <slug>' });
+});
+
+test('an unknown dealer is reported as not found before anything is scraped', async () => {
+  const { code, stdout } = await runCli(['sync', '--dealer', 'Nobody', '--dry-run', '--json']);
+  assert.equal(code, EXIT_CODES.notFound);
+  assert.match(JSON.parse(stdout).error.message, /No dealer 'Nobody'/);
+});
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateDealerKey } from '../src/source-identity.js';
+import { validateConfig, mergeConfig, loadConfig, findDealer, resolveDealerSettings, filterReason, applyPriceMarkup } from '../src/config.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function baseConfig() {
+  return {
+    dealers: [{ name: 'Dealer A', url: 'https://home.mobile.de/home/index.html?customerId=1' }],
+    settings: {
+      maxListingsPerDealer: 100,
+      imageRenditions: {
+        formats: ['webp'],
+        primary: 'full',
+        sizes: { full: { width: 1600, height: 1200, fit: 'inside' } }
+      }
+    }
+  };
+}
+
+test('the shipped config and its staging overlay are valid', async () => {
+  const config = await loadConfig(ROOT_DIR, { env: null });
+  assert.ok(config.dealers.length > 0);
+  
+  const staging = await loadConfig(ROOT_DIR, { env: 'staging' });
+  assert.equal(staging.settings.storage.listings, 'local');
+  assert.deepEqual(staging.dealers, config.dealers);
+});
+
+test('typos, wrong types and bad values are reported with their path', () => {
+  const config = baseConfig();
+  config.settings.maxListingPerDealer = 50;
+  config.settings.maxTotalListings = '200';
+  config.settings.pagination = { sortOrder: 'down' };
+  config.dealers.push({ name: 'Dealer B', url: 'not a url', filters: { excludeBodyTypes: ['TANK'] } });
+  
+  const errors = validateConfig(config);
+  assert.equal(errors.length, 5);
+  assert.equal(errors[0], 'config.dealers[1].url "not a url" is not a valid url');
+  assert.match(errors[1], /^config\.dealers\[1\]\.filters\.excludeBodyTypes\[0\] is "TANK", expected one of SEDAN, /);
+  assert.deepEqual(errors.slice(2), [
+    'config.settings.maxTotalListings should be integer, got "200"',
+    'config.settings.pagination.sortOrder is "down", expected one of asc, desc',
+    'config.settings.maxListingPerDealer is not a known setting'
+  ]);
+});
+
+test('browser identities need at least one user agent and viewport', () => {
+  const config = baseConfig();
+  config.settings.browser = { userAgents: [], viewports: [] };
+  assert.deepEqual(validateConfig(config), [
+    'config.settings.browser.userAgents has 0 items, the minimum is 1',
+    'config.settings.browser.viewports has 0 items, the minimum is 1'
+  ]);
+  
+  config.settings.browser = { userAgents: ['Mozilla/5.0'], viewports: [{ width: 1280, height: 800 }] };
+  assert.deepEqual(validateConfig(config), []);
+});
+
+test('missing required settings and a primary size that does not exist are reported', () => {
+  const missing = baseConfig();
+  delete missing.dealers[0].name;
+  delete missing.settings.imageRenditions.sizes;
+  assert.deepEqual(validateConfig(missing), [
+    'config.dealers[0].name is missing',
+    'config.settings.imageRenditions.sizes is missing'
+  ]);
+  
+  const primary = baseConfig();
+  primary.settings.imageRenditions.primary = 'large';
+  primary.dealers.push({ ...primary.dealers[0], name: 'Dealer A again' });
+  assert.deepEqual(validateConfig(primary), [
+    'config.settings.imageRenditions.primary "large" is not one of the sizes (full)',
+    'config.dealers[1].url https://home.mobile.de/home/index.html?customerId=1 is listed twice'
+  ]);
+});
+
+test('overlays merge objects and replace lists', () => {
+  const merged = mergeConfig(baseConfig(), {
+    dealers: [{ name: 'Staging', url: 'https://example.com' }],
+    settings: { maxListingsPerDealer: 5, imageRenditions: { formats: ['avif'] } }
+  });
+  assert.deepEqual(merged.dealers.map(({ name }) => name), ['Staging']);
+  assert.equal(merged.settings.maxListingsPerDealer, 5);
+  assert.deepEqual(merged.settings.imageRenditions.formats, ['avif']);
+  assert.equal(merged.settings.imageRenditions.primary, 'full');
+});
+
+test('loading fails with every problem and the files involved', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-'));
+  await fs.mkdir(path.join(dir, 'config'));
+  await fs.writeFile(path.join(dir, 'config/dealers.json'), JSON.stringify(baseConfig()));
+  await fs.writeFile(path.join(dir, 'config/dealers.test.json'), JSON.stringify({ settings: { enabled: 'yes' } }));
+  
+  const config = await loadConfig(dir, { env: null });
+  assert.equal(config.settings.maxImagesPerListing, 10);
+  await assert.rejects(loadConfig(dir, { env: 'test' }), /config\/dealers\.json \+ config\/dealers\.test\.json[\s\S]*settings\.enabled should be boolean/);
+  await assert.rejects(loadConfig(dir, { env: 'missing' }), /Could not read .*dealers\.missing\.json/);
+  
+  await fs.rm(dir, { recursive: true });
+});
+
+test('dealers are found by name, URL, dealer key or customer ID', () => {
+  const config = baseConfig();
+  const [dealer] = config.dealers;
+  assert.equal(findDealer(config, 'Dealer A'), dealer);
+  assert.equal(findDealer(config, dealer.url), dealer);
+  assert.equal(findDealer(config, generateDealerKey(dealer.url)), dealer);
+  assert.equal(findDealer(config, '1'), dealer);
+  assert.equal(findDealer(config, 'Dealer B'), null);
+});
+
+test('dealer settings override the global ones', () => {
+  const config = baseConfig();
+  config.settings.filters = { minYear: 2015, maxMileage: 150000 };
+  config.settings.priceMarkup = { percent: 3 };
+  
+  assert.deepEqual(resolveDealerSettings(config, config.dealers[0]), {
+    enabled: true,
+    maxListings: 100,
+    maxImages: 10,
+    priceMarkup: { percent: 3 },
+    filters: { minYear: 2015, maxMileage: 150000 }
+  });
+  
+  const dealer = { enabled: false, maxListings: 20, maxImages: 5, priceMarkup: { amount: 500 }, filters: { maxMileage: 80000 } };
+  assert.deepEqual(resolveDealerSettings(config, dealer), {
+    enabled: false,
+    maxListings: 20,
+    maxImages: 5,
+    priceMarkup: { amount: 500 },
+    filters: { minYear: 2015, maxMileage: 80000 }
+  });
+});
+
+test('filters exclude by year, mileage and body type, never on unknown values', () => {
+  const filters = { minYear: 2015, maxMileage: 150000, excludeBodyTypes: ['VAN'] };
+  const car = { first_registration: '201903', mileage: 84500, body_type: 'SEDAN' };
+  
+  assert.equal(filterReason(car, filters), null);
+  assert.match(filterReason({ ...car, first_registration: '201206' }, filters), /2012, before 2015/);
+  assert.match(filterReason({ ...car, mileage: 210000 }, filters), /above 150000 km/);
+  assert.match(filterReason({ ...car, body_type: 'VAN' }, filters), /VAN is excluded/);
+  assert.equal(filterReason({ first_registration: null, mileage: null, body_type: null }, filters), null);
+});
+
+test('price markup applies a percentage, then a fixed amount', () => {
+  const car = { price: 20000, price_net: 16807, make: 'BMW' };
+  assert.equal(applyPriceMarkup(car, null), car);
+  assert.deepEqual(applyPriceMarkup(car, { percent: 5, amount: 490 }), { price: 21490, price_net: 18137, make: 'BMW' });
+  assert.equal(applyPriceMarkup({ price: null }, { amount: 500 }).price, null);
+});
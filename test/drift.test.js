@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createExtractionStats, recordExtraction, summarizeExtraction, detectDrift, loadHistory, saveHistory, sendDriftAlert } from '../src/drift.js';
+
+function run({ listings = 20, mileage = 1, images = 12, dealer = 40 } = {}) {
+  return {
+    at: '2026-10-12T03:00:00.000Z',
+    listingsScraped: listings,
+    fieldFill: { title: 1, mileage, hu: 0.2 },
+    imagesPerListing: images,
+    listingsPerDealer: { 'Dealer A': dealer }
+  };
+}
+
+test('statistics count filled fields, photos and listings per dealer', () => {
+  const stats = createExtractionStats();
+  recordExtraction(stats, { title: 'BMW 320d', mileage: '84.500 km', images: ['a', 'b'], features: [], priceNegotiable: false, fieldSources: {} });
+  recordExtraction(stats, { title: 'Audi A4', mileage: '', images: [], features: ['ABS'], priceNegotiable: true, fieldSources: {} });
+  stats.listingsFound['Dealer A'] = 12;
+  
+  const summary = summarizeExtraction(stats, new Date('2026-10-19T03:00:00Z'));
+  assert.equal(summary.listingsScraped, 2);
+  assert.deepEqual(summary.fieldFill, { title: 1, mileage: 0.5, images: 0.5, features: 0.5 });
+  assert.equal(summary.imagesPerListing, 1);
+  assert.deepEqual(summary.listingsPerDealer, { 'Dealer A': 12 });
+});
+
+test('nothing is compared until enough runs are recorded', () => {
+  assert.deepEqual(detectDrift(run({ mileage: 0, dealer: 0 }), [run(), run()]), []);
+});
+
+test('sharp drops below the median baseline are reported', () => {
+  const history = [run(), run({ mileage: 0.9 }), run({ dealer: 38 })];
+  assert.deepEqual(detectDrift(run({ mileage: 0.95, dealer: 36 }), history), []);
+  
+  const drops = detectDrift(run({ mileage: 0.1, images: 0, dealer: 3 }), history);
+  assert.deepEqual(drops, [
+    { metric: 'listings found: Dealer A', baseline: 40, current: 3 },
+    { metric: 'images per listing', baseline: 12, current: 0 },
+    { metric: 'field fill: mileage', baseline: 1, current: 0.1 }
+  ]);
+});
+
+test('sparse fields, small runs and new dealers are not compared', () => {
+  const history = [run(), run(), run()];
+  
+  // hu is filled on 20% of listings, too rare to watch
+  const withoutHu = run();
+  delete withoutHu.fieldFill.hu;
+  assert.deepEqual(detectDrift(withoutHu, history), []);
+  
+  // Two listings say nothing about fill rates, the dealer count still counts
+  const small = detectDrift(run({ listings: 2, mileage: 0, dealer: 2 }), history);
+  assert.deepEqual(small.map(({ metric }) => metric), ['listings found: Dealer A']);
+  
+  const newDealer = run();
+  newDealer.listingsPerDealer['Dealer B'] = 0;
+  assert.deepEqual(detectDrift(newDealer, history), []);
+});
+
+test('history keeps the last runs', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'drift-'));
+  const filePath = path.join(dir, 'state', 'history.json');
+  
+  assert.deepEqual(await loadHistory(filePath), []);
+  let history = [];
+  for (let i = 0; i < 4; i++) {
+    history = await saveHistory(filePath, history, run({ dealer: i }), 3);
+  }
+  const saved = await loadHistory(filePath);
+  assert.deepEqual(saved.map(({ listingsPerDealer }) => listingsPerDealer['Dealer A']), [1, 2, 3]);
+  
+  await fs.rm(dir, { recursive: true });
+});
+
+test('alerts are posted in the webhook type\'s format', async () => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.statusCode = req.url === '/broken' ? 500 : 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const drops = [{ metric: 'field fill: mileage', baseline: 1, current: 0.1 }];
+  
+  try {
+    await sendDriftAlert({ type: 'slack', url: `${base}/slack` }, drops, { startedAt: '2026-10-19T03:00:00Z' });
+    await sendDriftAlert({ type: 'generic', url: `${base}/hook` }, drops, { startedAt: '2026-10-19T03:00:00Z', metrics: run() });
+    await assert.rejects(sendDriftAlert({ type: 'teams', url: `${base}/broken` }, drops), /HTTP 500/);
+  } finally {
+    server.close();
+  }
+  
+  assert.deepEqual(Object.keys(received[0]), ['text']);
+  assert.match(received[0].text, /field fill: mileage: 0\.1 \(baseline 1\)/);
+  assert.equal(received[1].event, 'extraction_drift');
+  assert.deepEqual(received[1].drops, drops);
+  assert.equal(received[1].metrics.listingsScraped, 20);
+});
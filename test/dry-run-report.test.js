@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { writeDryRunReport } from '../src/dry-run-report.js';
+
+const listing = {
+  slug: 'bmw-320d-touring-2020-abcd1234',
+  make: 'BMW',
+  model: '320d Touring <M Sport>',
+  price: 28990,
+  mileage: 84500,
+  first_registration: '202003',
+  fuel: 'DIESEL',
+  features: ['Navigationssystem'],
+  images: ['https://img.classistatic.de/api/v1/mo-prod/images/aa/aa11bb22-0001?rule=mo-1600'],
+  image_renditions: []
+};
+
+test('writeDryRunReport writes JSON and HTML with all three transition types', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dry-run-'));
+  
+  const { jsonPath, htmlPath } = await writeDryRunReport(dir, {
+    syncLog: { errors: [{ type: 'scrape', url: 'https://example.test', error: 'Timeout' }] },
+    inserted: [listing],
+    updated: [{ row: { id: 1, slug: 'audi-a4-2019-11112222' }, fields: { price: 19990 }, changes: { price: { from: 21990, to: 19990 } } }],
+    removed: [{ id: 2, slug: 'vw-golf-2018-33334444', price: 12990, mileage: 99000 }]
+  });
+  
+  const report = JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+  assert.deepEqual(report.summary, { inserted: 1, updated: 1, removed: 1, errors: 1 });
+  assert.deepEqual(report.updated[0].changes, { price: { from: 21990, to: 19990 } });
+  
+  const html = await fs.readFile(htmlPath, 'utf-8');
+  assert.match(html, /Would insert \(1\)/);
+  assert.match(html, /Would unpublish \(1\)/);
+  assert.match(html, /rule=mo-1600/);
+  assert.match(html, /320d Touring &lt;M Sport&gt;/);
+  
+  await fs.rm(dir, { recursive: true });
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchEquipment, normalizeEquipment } from '../src/equipment.js';
+
+test('matchEquipment maps German variants onto one key', () => {
+  assert.deepEqual(matchEquipment('Navigationssystem'), ['NAVIGATION']);
+  assert.deepEqual(matchEquipment('Navi Professional'), ['NAVIGATION']);
+  assert.deepEqual(matchEquipment('Sitzheizung vorn'), ['HEATED_SEATS_FRONT']);
+  assert.deepEqual(matchEquipment('Sitzheizung hinten'), ['HEATED_SEATS_REAR']);
+  assert.deepEqual(matchEquipment('Sitzheizung vorn und hinten'), ['HEATED_SEATS_FRONT', 'HEATED_SEATS_REAR']);
+  assert.deepEqual(matchEquipment('Abstandstempomat'), ['CRUISE_CONTROL', 'ADAPTIVE_CRUISE_CONTROL']);
+});
+
+test('normalizeEquipment parses climate, parking assist and airbags into keys', () => {
+  const { equipment, unmapped } = normalizeEquipment({
+    features: [],
+    climate: '2-Zonen-Klimaautomatik',
+    parkingAssist: 'Vorne, Hinten, Kamera',
+    airbags: 'Front-, Seiten- und weitere Airbags'
+  });
+  
+  assert.deepEqual(equipment, [
+    'AIRBAGS_FRONT',
+    'AIRBAGS_MORE',
+    'AIRBAGS_SIDE',
+    'AIR_CONDITIONING',
+    'CLIMATE_CONTROL_AUTOMATIC',
+    'CLIMATE_CONTROL_MULTI_ZONE',
+    'PARKING_CAMERA',
+    'PARKING_SENSORS_FRONT',
+    'PARKING_SENSORS_REAR'
+  ]);
+  assert.deepEqual(unmapped, []);
+});
+
+test('normalizeEquipment reports strings the vocabulary does not know', () => {
+  const { equipment, unmapped } = normalizeEquipment({ features: ['Bluetooth', 'Einhorn-Paket', 'Bluetooth'] });
+  
+  assert.deepEqual(equipment, ['BLUETOOTH']);
+  assert.deepEqual(unmapped, ['Einhorn-Paket']);
+});
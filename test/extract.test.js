@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractListingDetails, extractSearchResults } from '../src/extract.js';
+import { loadFixture } from './helpers.js';
+
+const SEARCH_URL = 'https://suchen.mobile.de/fahrzeuge/search.html?s=Car&vc=Car&sid=12345678';
+
+test('extractSearchResults returns each ad once with a canonical details URL', () => {
+  const results = extractSearchResults(loadFixture('search-results.html', SEARCH_URL));
+  
+  assert.deepEqual(results, [
+    { id: '391234567', url: 'https://suchen.mobile.de/fahrzeuge/details.html?id=391234567' },
+    { id: '392345678', url: 'https://suchen.mobile.de/fahrzeuge/details.html?id=392345678' },
+    { id: '393456789', url: 'https://suchen.mobile.de/fahrzeuge/details.html?id=393456789' }
+  ]);
+});
+
+test('extractSearchResults returns nothing for an empty result page', () => {
+  assert.deepEqual(extractSearchResults(loadFixture('search-results-empty.html', SEARCH_URL)), []);
+});
+
+test('extractListingDetails reads title, price and subtitle', () => {
+  const details = extractListingDetails(loadFixture('listing-detail.html'));
+  
+  assert.equal(details.title, 'BMW 320d Touring M Sport');
+  assert.equal(details.price, '28990');
+  assert.equal(details.subtitle, 'Navi Prof. | LED | AHK | HiFi | Sportsitze');
+});
+
+test('extractListingDetails reads the price terms next to the price', () => {
+  const details = extractListingDetails(loadFixture('listing-detail.html'));
+  
+  assert.equal(details.priceNegotiable, true);
+  assert.equal(details.vatDeductible, true);
+  assert.equal(details.netPrice, '24.361');
+  assert.equal(details.priceRating, 'Guter Preis');
+  
+  const sparse = extractListingDetails(loadFixture('listing-detail-sparse.html'));
+  assert.equal(sparse.priceNegotiable, false);
+  assert.equal(sparse.vatDeductible, false);
+  assert.equal(sparse.netPrice, '');
+});
+
+test('extractListingDetails reads the dt/dd technical data', () => {
+  const details = extractListingDetails(loadFixture('listing-detail.html'));
+  
+  assert.equal(details.make, 'BMW');
+  assert.equal(details.model, '320');
+  assert.equal(details.mileage, '84.500 km');
+  assert.equal(details.power, '140 kW (190 PS)');
+  assert.equal(details.fuelType, 'Diesel');
+  assert.equal(details.transmission, 'Automatik');
+  assert.equal(details.firstRegistration, '03/2020');
+  assert.equal(details.owners, '1');
+  assert.equal(details.condition, 'Gebrauchtfahrzeug, Unfallfrei');
+  assert.equal(details.bodyType, 'Kombi');
+  assert.equal(details.hubraum, '1.995 cm³');
+  assert.equal(details.hu, '06/2026');
+  assert.equal(details.emissionClass, 'Euro6d-TEMP');
+  assert.equal(details.climate, '2-Zonen-Klimaautomatik');
+  assert.equal(details.colorManufacturer, 'Mineralgrau Metallic');
+  assert.equal(details.color, 'Grau Metallic');
+  assert.equal(details.interior, 'Teilleder, Schwarz');
+});
+
+test('extractListingDetails collects features from the Ausstattung section only', () => {
+  const details = extractListingDetails(loadFixture('listing-detail.html'));
+  
+  assert.deepEqual(details.features, [
+    'Anhängerkupplung',
+    'Bluetooth',
+    'LED-Scheinwerfer',
+    'Navigationssystem',
+    'Sitzheizung',
+    'Sportsitze',
+    'Tempomat'
+  ]);
+});
+
+test('extractListingDetails keeps unique classistatic images at full resolution', () => {
+  const details = extractListingDetails(loadFixture('listing-detail.html'));
+  
+  assert.deepEqual(details.images, [
+    'https://img.classistatic.de/api/v1/mo-prod/images/aa/aa11bb22-0001?rule=mo-1600',
+    'https://img.classistatic.de/api/v1/mo-prod/images/aa/aa11bb22-0002?rule=mo-1600',
+    'https://img.classistatic.de/api/v1/mo-prod/images/aa/aa11bb22-0003?rule=mo-1600'
+  ]);
+});
+
+test('extractListingDetails returns empty values for fields missing from the page', () => {
+  const details = extractListingDetails(loadFixture('listing-detail-sparse.html'));
+  
+  assert.equal(details.price, '17450');
+  assert.equal(details.hu, '');
+  assert.equal(details.make, '');
+  assert.equal(details.subtitle, undefined);
+  assert.deepEqual(details.features, []);
+  assert.deepEqual(details.images, []);
+});
+
+test('extractListingDetails survives serialization for page.evaluate', () => {
+  // Puppeteer rebuilds the function from its source, so it must not close over module scope
+  const rebuilt = new Function(`return (${extractListingDetails.toString()})`)();
+  const details = rebuilt(loadFixture('listing-detail.html'));
+  
+  assert.equal(details.title, 'BMW 320d Touring M Sport');
+});
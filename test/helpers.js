@@ -0,0 +1,15 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JSDOM } from 'jsdom';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+export function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf-8');
+}
+
+// Parses a saved page the way the browser would have seen it at `url`
+export function loadFixture(name, url = 'https://suchen.mobile.de/fahrzeuge/details.html?id=391234567') {
+  return new JSDOM(readFixture(name), { url }).window.document;
+}
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { analyzeImage, cropWindow, pickHero, blurRegions } from '../src/image-analysis.js';
+
+// Smooth backdrop with a busy checkered "car" between carLeft and carRight,
+// optionally with a striped text-like banner in the bottom right corner
+function photo({ carLeft = 150, carRight = 650, banner = false, width = 800, height = 600 } = {}) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let value = 200 + Math.round((20 * y) / height);
+      if (x >= carLeft && x < carRight && y >= 250 && y < 480) value = ((x >> 4) + (y >> 4)) % 2 ? 40 : 90;
+      if (banner && y >= 530 && y < 570 && x >= 420 && x < 780) value = x % 6 < 3 ? 255 : 0;
+      pixels.fill(value, (y * width + x) * 3, (y * width + x) * 3 + 3);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).jpeg().toBuffer();
+}
+
+test('finds the car and tells whether it is cut off', async () => {
+  const centred = await analyzeImage(await photo());
+  assert.equal(centred.wholeSubject, true);
+  assert.ok(Math.abs(centred.subject.left - 150 / 800) < 0.03);
+  assert.ok(Math.abs(centred.subject.left + centred.subject.width - 650 / 800) < 0.03);
+  assert.deepEqual(centred.overlays, []);
+  
+  const cut = await analyzeImage(await photo({ carLeft: 400, carRight: 800 }));
+  assert.equal(cut.wholeSubject, false);
+});
+
+test('flags text-like overlays along the border and blurs them away', async () => {
+  const withBanner = await photo({ banner: true });
+  const { overlays, subject } = await analyzeImage(withBanner);
+  
+  assert.equal(overlays.length, 1);
+  assert.ok(overlays[0].left > 0.5 && overlays[0].top > 0.85);
+  assert.ok(subject.top + subject.height < 0.85, 'overlay is not part of the car');
+  
+  const blurred = await blurRegions(withBanner, overlays);
+  assert.deepEqual((await analyzeImage(blurred)).overlays, []);
+});
+
+test('crop windows keep the size aspect ratio and follow the car', () => {
+  const subject = { left: 0.6, top: 0.4, width: 0.35, height: 0.4 };
+  assert.deepEqual(cropWindow(subject, 800, 600, 1), { left: 200, top: 0, width: 600, height: 600 });
+  assert.deepEqual(cropWindow({ left: 0, top: 0, width: 0.2, height: 0.2 }, 800, 600, 16 / 9), { left: 0, top: 0, width: 800, height: 450 });
+});
+
+test('the hero is the first photo showing the whole car without overlays', () => {
+  const whole = { wholeSubject: true, overlays: [] };
+  const cut = { wholeSubject: false, overlays: [] };
+  const branded = { wholeSubject: true, overlays: [{ left: 0, top: 0.9, width: 0.5, height: 0.1 }] };
+  
+  assert.equal(pickHero([whole, cut]), 0);
+  assert.equal(pickHero([cut, branded, whole]), 2);
+  assert.equal(pickHero([cut, branded]), 1);
+  assert.equal(pickHero([branded, cut]), 0);
+  assert.equal(pickHero([cut, cut]), 0);
+  assert.equal(pickHero([null, whole]), 0);
+});
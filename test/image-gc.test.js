@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { referencedImageUrls, findOrphanedImages, collectImageGarbage } from '../src/image-gc.js';
+
+const publicUrl = name => `https://cdn/${name}`;
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+test('referenced URLs cover primary images and every rendition', () => {
+  const urls = referencedImageUrls([
+    { images: ['https://cdn/ab/a-full.webp'], image_renditions: [{ card: { webp: 'https://cdn/ab/a-card.webp', avif: 'https://cdn/ab/a-card.avif' } }] },
+    { images: null, image_renditions: null }
+  ]);
+  assert.deepEqual([...urls].sort(), ['https://cdn/ab/a-card.avif', 'https://cdn/ab/a-card.webp', 'https://cdn/ab/a-full.webp']);
+});
+
+test('orphans are unreferenced objects older than the grace period', () => {
+  const referenced = new Set(['https://cdn/ab/a-card.webp']);
+  const orphans = findOrphanedImages([
+    { name: 'ab/a-card.webp', updatedAt: '2026-10-01T00:00:00Z' },
+    { name: 'slug/0-card.webp', updatedAt: '2026-10-01T00:00:00Z' },
+    { name: 'cd/fresh-card.webp', updatedAt: '2026-10-19T11:00:00Z' },
+    { name: 'ef/unknown-card.webp', updatedAt: null }
+  ], referenced, publicUrl, { minAgeHours: 24, now: NOW });
+  
+  assert.deepEqual(orphans.map(({ name }) => name), ['slug/0-card.webp']);
+});
+
+test('garbage collection only deletes when asked to', async () => {
+  const removed = [];
+  const storage = {
+    listings: { loadAll: async () => [{ images: ['https://cdn/ab/a-full.webp'], image_renditions: [] }] },
+    images: {
+      publicUrl,
+      list: async () => [
+        { name: 'ab/a-full.webp', updatedAt: '2026-10-01T00:00:00Z' },
+        { name: 'slug/0-full.webp', updatedAt: '2026-10-01T00:00:00Z' }
+      ],
+      remove: async names => removed.push(...names)
+    }
+  };
+  
+  const preview = await collectImageGarbage(storage, { now: NOW });
+  assert.equal(preview.orphans.length, 1);
+  assert.deepEqual(removed, []);
+  
+  const result = await collectImageGarbage(storage, { remove: true, now: NOW });
+  assert.deepEqual(result, { listings: 1, objects: 2, orphans: [{ name: 'slug/0-full.webp', updatedAt: '2026-10-01T00:00:00Z' }] });
+  assert.deepEqual(removed, ['slug/0-full.webp']);
+});
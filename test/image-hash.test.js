@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { contentHash, perceptualHash, hammingDistance, createImageIndex } from '../src/image-hash.js';
+
+// Left-to-right gradient, or its mirror image with `reverse`
+function gradient({ width = 64, height = 48, reverse = false } = {}) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = Math.round(((reverse ? width - 1 - x : x) / (width - 1)) * 255);
+      pixels.fill(value, (y * width + x) * 3, (y * width + x) * 3 + 3);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } });
+}
+
+test('content hash changes with the bytes, perceptual hash survives re-encoding', async () => {
+  const png = await gradient().png().toBuffer();
+  const jpeg = await gradient().resize(32, 24).jpeg({ quality: 60 }).toBuffer();
+  const mirrored = await gradient({ reverse: true }).png().toBuffer();
+  
+  assert.equal(contentHash(png), contentHash(Buffer.from(png)));
+  assert.notEqual(contentHash(png), contentHash(jpeg));
+  
+  const [a, b, c] = await Promise.all([png, jpeg, mirrored].map(perceptualHash));
+  assert.match(a, /^[0-9a-f]{16}$/);
+  assert.ok(hammingDistance(a, b) <= 4);
+  assert.ok(hammingDistance(a, c) > 32);
+});
+
+test('hamming distance counts differing bits', () => {
+  assert.equal(hammingDistance('0000000000000000', '0000000000000000'), 0);
+  assert.equal(hammingDistance('0000000000000000', '000000000000000f'), 4);
+  assert.equal(hammingDistance('ffffffffffffffff', '0000000000000000'), 64);
+});
+
+test('image index finds photos by source, content and perceptual hash', () => {
+  const index = createImageIndex({ maxDistance: 4 });
+  const photo = { source: 'https://img/1.jpg', content: 'c1', perceptual: '00000000000000ff', primary: 'https://cdn/c1.webp', slug: 'bmw-320d' };
+  index.add(photo);
+  index.add({ source: 'https://img/legacy.jpg', content: 'c0', perceptual: '0000000000000000' }); // no upload, ignored
+  
+  assert.equal(index.size, 1);
+  assert.equal(index.bySource('https://img/1.jpg'), photo);
+  assert.equal(index.byContent('c1'), photo);
+  assert.equal(index.byContent('c2'), null);
+  
+  assert.deepEqual(index.findSimilar('00000000000000f0'), { entry: photo, distance: 4 });
+  assert.equal(index.findSimilar('0000000000000000'), null);
+  assert.equal(index.findSimilar('00000000000000ff', []), null);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffListing, listingUpdate, isHeldForQuality, findRemovedListings } from '../src/lifecycle.js';
+
+const identity = { fingerprint: 'fp1', sourceKey: 'k1', dealerKey: 'd1' };
+
+function storedRow(fields = {}) {
+  return {
+    id: 1,
+    slug: 'bmw-320d-2020-a1b2c3d4',
+    source_key: 'k1',
+    source_dealer_key: 'd1',
+    fingerprint: 'fp1',
+    price: 28990,
+    price_type: 'FIXED',
+    vat_deductible: false,
+    mileage: 84500,
+    hu_valid_until: '2026-06-30',
+    price_net: null,
+    price_rating: 'GOOD',
+    published: true,
+    removed_at: null,
+    ...fields
+  };
+}
+
+test('tracked fields the source changed are reported and written', () => {
+  const row = storedRow();
+  const { changes, fields } = listingUpdate(row, { ...row, price: 27990, mileage: 85100 }, identity);
+  
+  assert.deepEqual(changes, {
+    price: { from: 28990, to: 27990 },
+    mileage: { from: 84500, to: 85100 }
+  });
+  assert.deepEqual(fields, { price: 27990, mileage: 85100 });
+});
+
+test('a field that failed to parse keeps its stored value', () => {
+  const row = storedRow();
+  assert.deepEqual(diffListing(row, { ...row, price: null, mileage: undefined }), {});
+});
+
+test('refreshed fields and identity are written without counting as a change', () => {
+  const row = storedRow();
+  const { changes, fields } = listingUpdate(row, { ...row, price_rating: 'VERY_GOOD' }, { fingerprint: 'fp2', sourceKey: 'k1', dealerKey: 'd2' });
+  
+  assert.deepEqual(changes, {});
+  assert.deepEqual(fields, { price_rating: 'VERY_GOOD', fingerprint: 'fp2', source_dealer_key: 'd2' });
+});
+
+test('a listing back at the source after removal is published again', () => {
+  const row = storedRow({ published: false, removed_at: '2026-10-12T03:00:00Z' });
+  const { changes, fields } = listingUpdate(row, row, identity);
+  
+  assert.deepEqual(changes, { published: { from: false, to: true } });
+  assert.deepEqual(fields, { published: true, removed_at: null });
+});
+
+test('only listings unpublished for validation errors are held for quality', () => {
+  const problems = [{ field: 'price', severity: 'error', message: 'Price missing' }];
+  assert.equal(isHeldForQuality(storedRow({ published: false, quality_problems: problems })), true);
+  assert.equal(isHeldForQuality(storedRow({ published: true, quality_problems: problems })), false);
+  assert.equal(isHeldForQuality(storedRow({ published: false, removed_at: '2026-10-12T03:00:00Z', quality_problems: problems })), false);
+  assert.equal(isHeldForQuality(storedRow({ published: false, quality_problems: [{ field: 'hu', severity: 'warning' }] })), false);
+  // Unpublished by hand while it still had problems: a valid scrape mustn't publish it
+  assert.equal(isHeldForQuality(storedRow({ published: false, unpublished_reason: 'manual', quality_problems: problems })), false);
+});
+
+test('published listings of the dealer missing from a complete search are removed', () => {
+  const rows = new Map([
+    ['k1', storedRow({ id: 1, source_key: 'k1' })],
+    ['k2', storedRow({ id: 2, source_key: 'k2' })],
+    ['k3', storedRow({ id: 3, source_key: 'k3', source_dealer_key: 'd2' })], // Another dealer's
+    ['k4', storedRow({ id: 4, source_key: 'k4', published: false, removed_at: '2026-10-12T03:00:00Z' })], // Already removed
+    ['k5', storedRow({ id: 5, source_key: 'k5', published: false })] // Held for quality
+  ]);
+  
+  const removed = findRemovedListings(rows, { dealerKey: 'd1', seenKeys: new Set(['k1']), complete: true });
+  assert.deepEqual(removed.map(({ id }) => id), [2]);
+});
+
+test('an incomplete search removes nothing, however few listings it saw', () => {
+  const rows = new Map([
+    ['k1', storedRow({ id: 1, source_key: 'k1' })],
+    ['k2', storedRow({ id: 2, source_key: 'k2' })]
+  ]);
+  
+  assert.deepEqual(findRemovedListings(rows, { dealerKey: 'd1', seenKeys: new Set(), complete: false }), []);
+});
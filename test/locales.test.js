@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractListingDetails } from '../src/extract.js';
+import { normalizeListing } from '../src/normalize.js';
+import { findMissingTranslations, localizeListing, translate } from '../src/locales/index.js';
+import { loadFixture } from './helpers.js';
+
+test('every normalized key has a DE and EN label', () => {
+  assert.deepEqual(findMissingTranslations(), []);
+});
+
+test('localizeListing labels enums and equipment per locale', () => {
+  const { listing } = normalizeListing(extractListingDetails(loadFixture('listing-detail.html')));
+  const { labels, missing } = localizeListing(listing);
+  
+  assert.deepEqual(missing, []);
+  assert.equal(labels.en.fuel, 'Diesel');
+  assert.equal(labels.en.gearbox, 'Automatic');
+  assert.equal(labels.en.body_type, 'Estate');
+  assert.equal(labels.de.body_type, 'Kombi');
+  assert.equal(labels.en.exterior_color, 'Grey');
+  assert.ok(labels.en.equipment.includes('Tow bar'));
+  assert.ok(labels.de.equipment.includes('Anhängerkupplung'));
+});
+
+test('localizeListing reports values without a label', () => {
+  const { labels, missing } = localizeListing({ fuel: 'STEAM', equipment: ['NAVIGATION'] }, ['en']);
+  
+  assert.equal(labels.en.fuel, null);
+  assert.deepEqual(labels.en.equipment, ['Navigation system']);
+  assert.deepEqual(missing, [{ locale: 'en', group: 'fuel', key: 'STEAM' }]);
+  assert.equal(translate('fr', 'fuel', 'DIESEL'), null);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { log, logToStderr, setRunContext, withLogContext, getLogContext } from '../src/logger.js';
+
+// Captures what log() writes (to stderr after logToStderr)
+async function capture(fn) {
+  const lines = [];
+  const original = console.error;
+  console.error = line => lines.push(line);
+  try {
+    await fn();
+  } finally {
+    console.error = original;
+  }
+  return lines;
+}
+
+logToStderr();
+
+test('JSON lines carry the level and the run, dealer and listing IDs', async () => {
+  process.env.LOG_FORMAT = 'json';
+  setRunContext({ runId: 'run-1' });
+  
+  const lines = await capture(async () => {
+    log('\n📍 Processing dealer: A');
+    await withLogContext({ dealerId: 'dealer-a' }, async () => {
+      await withLogContext({ listingId: 'listing-1' }, async () => log('Inserted', 'success', { slug: 'bmw-320d' }));
+      log('Page failed', 'warning');
+    });
+  });
+  delete process.env.LOG_FORMAT;
+  const [first, second, third] = lines.map(line => JSON.parse(line));
+  
+  assert.deepEqual({ ...first, time: null }, { time: null, level: 'info', message: '📍 Processing dealer: A', runId: 'run-1', dealerId: null, listingId: null });
+  assert.deepEqual([second.level, second.dealerId, second.listingId, second.slug], ['info', 'dealer-a', 'listing-1', 'bmw-320d']);
+  assert.deepEqual([third.level, third.dealerId, third.listingId], ['warn', 'dealer-a', null]);
+});
+
+test('concurrent tasks keep their own context', async () => {
+  const seen = [];
+  await Promise.all(['a', 'b'].map(dealerId => withLogContext({ dealerId }, async () => {
+    await new Promise(resolve => setTimeout(resolve, dealerId === 'a' ? 10 : 0));
+    seen.push([dealerId, getLogContext().dealerId]);
+  })));
+  assert.deepEqual(seen, [['b', 'b'], ['a', 'a']]);
+  assert.equal(getLogContext().dealerId, null);
+});
+
+test('LOG_LEVEL drops lines below it, text lines keep their prefix', async () => {
+  process.env.LOG_LEVEL = 'warn';
+  const lines = await capture(() => {
+    log('Navigating');
+    log('Not found', 'error');
+  });
+  delete process.env.LOG_LEVEL;
+  
+  assert.equal(lines.length, 1);
+  assert.match(lines[0], /^\S+Z ❌ Not found$/);
+});
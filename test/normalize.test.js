@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractListingDetails } from '../src/extract.js';
+import {
+  normalizeListing,
+  normalizeValue,
+  fuelTypeMap,
+  parseColor,
+  parseInterior,
+  parseNumeric,
+  parsePower,
+  parseRegistration,
+  parseDecimal,
+  parseHuDate,
+  parseEmissionClass,
+  parseEmissionSticker,
+  parseAirbags,
+  parseConsumption,
+  parseCo2,
+  parseEfficiencyClass
+} from '../src/normalize.js';
+import { loadFixture } from './helpers.js';
+
+test('normalizeValue matches exact, case-insensitive and partial labels', () => {
+  assert.equal(normalizeValue('Diesel', fuelTypeMap), 'DIESEL');
+  assert.equal(normalizeValue('plug-in-hybrid', fuelTypeMap), 'PLUGIN_HYBRID');
+  assert.equal(normalizeValue('Super Benzin', fuelTypeMap), 'PETROL');
+  assert.equal(normalizeValue('Holzvergaser', fuelTypeMap), null);
+  assert.equal(normalizeValue('', fuelTypeMap), null);
+});
+
+test('parse helpers handle German number and date formats', () => {
+  assert.equal(parseNumeric('84.500 km'), 84500);
+  assert.equal(parseNumeric(''), null);
+  assert.deepEqual(parsePower('140 kW (190 PS)'), { kw: 140, ps: 190 });
+  assert.equal(parseRegistration('03/2020'), '202003');
+  assert.deepEqual(parseColor('Grau Metallic'), { color: 'GRAY', metallic: true });
+  assert.deepEqual(parseInterior('Teilleder, Schwarz'), { material: 'PARTIAL_LEATHER', color: 'BLACK' });
+});
+
+test('parse helpers type HU, emission and airbag fields', () => {
+  assert.equal(parseHuDate('06/2026'), '2026-06-30');
+  assert.equal(parseHuDate('02/2028'), '2028-02-29');
+  assert.equal(parseHuDate('Neu'), null);
+  assert.equal(parseEmissionClass('Euro6d-TEMP'), 'EURO_6D_TEMP');
+  assert.equal(parseEmissionClass('Euro 6d-ISC-FCM'), 'EURO_6D');
+  assert.equal(parseEmissionClass('Euro5'), 'EURO_5');
+  assert.equal(parseEmissionClass('Keine'), null);
+  assert.equal(parseEmissionSticker('4 (Grün)'), 4);
+  assert.equal(parseAirbags('Front-, Seiten- und weitere Airbags'), 'FRONT_SIDE_AND_MORE');
+  assert.equal(parseAirbags('Front-Airbags'), 'FRONT');
+  assert.equal(parseDecimal('77,4 kWh'), 77.4);
+});
+
+test('parse helpers read consumption, CO2 and efficiency class', () => {
+  assert.deepEqual(parseConsumption('16,9 kWh/100km (komb.)'), {
+    combined: 16.9, urban: null, extraUrban: null, unit: 'kWh/100km', electricCombined: null
+  });
+  // Plug-in hybrid: fuel figures first, electric consumption kept separately
+  assert.deepEqual(parseConsumption('15,2 kWh/100km (komb.) 1,1 l/100km (komb.)'), {
+    combined: 1.1, urban: null, extraUrban: null, unit: 'l/100km', electricCombined: 15.2
+  });
+  assert.equal(parseConsumption('').unit, null);
+  assert.deepEqual(parseConsumption('10.5 l/100km (komb.) 12.1 l/100km (innerorts)'), {
+    combined: 10.5, urban: 12.1, extraUrban: null, unit: 'l/100km', electricCombined: null
+  });
+  assert.equal(parseCo2('139 g/km (komb.)'), 139);
+  assert.equal(parseEfficiencyClass('A+'), 'A+');
+  assert.equal(parseEfficiencyClass('k.A.'), null);
+  assert.equal(parseEfficiencyClass('A+++ (Skala A+++ bis G)'), 'A+++');
+  assert.equal(parseEfficiencyClass('Anfrage'), null);
+  assert.equal(parseEfficiencyClass('Basierend auf WLTP'), null);
+});
+
+test('normalizeListing turns a detail page into listing fields', () => {
+  const { listing, resolved } = normalizeListing(extractListingDetails(loadFixture('listing-detail.html')));
+  
+  assert.equal(resolved, true);
+  assert.equal(listing.make, 'BMW');
+  assert.equal(listing.model, '3er');
+  assert.equal(listing.trim, '320d Touring M Sport');
+  assert.equal(listing.price, 28990);
+  assert.equal(listing.price_net, 24361);
+  assert.equal(listing.price_type, 'NEGOTIABLE');
+  assert.equal(listing.vat_deductible, true);
+  assert.equal(listing.price_rating, 'GOOD');
+  assert.equal(listing.mileage, 84500);
+  assert.equal(listing.first_registration, '202003');
+  assert.equal(listing.fuel, 'DIESEL');
+  assert.equal(listing.gearbox, 'AUTOMATIC');
+  assert.equal(listing.power_kw, 140);
+  assert.equal(listing.power_ps, 190);
+  assert.equal(listing.cubic_capacity, 1995);
+  assert.equal(listing.body_type, 'WAGON');
+  assert.equal(listing.drive_type, 'ICE');
+  assert.equal(listing.exterior_color, 'GRAY');
+  assert.equal(listing.metallic, true);
+  assert.equal(listing.interior_material, 'PARTIAL_LEATHER');
+  assert.equal(listing.climate, 'TWO_ZONE');
+  assert.equal(listing.num_previous_owners, 1);
+  assert.equal(listing.accident_damaged, false);
+  assert.equal(listing.condition, 'USED');
+  assert.equal(listing.features.length, 7);
+  assert.equal(listing.hu_valid_until, '2026-06-30');
+  assert.equal(listing.emission_class, 'EURO_6D_TEMP');
+  assert.equal(listing.emission_sticker, 4);
+  assert.equal(listing.airbags, 'FRONT_SIDE_AND_MORE');
+  assert.equal(listing.consumption_combined, 5.3);
+  assert.equal(listing.consumption_urban, 6.5);
+  assert.equal(listing.consumption_extra_urban, 4.6);
+  assert.equal(listing.consumption_unit, 'l/100km');
+  assert.equal(listing.co2_emissions, 139);
+  assert.equal(listing.efficiency_class, 'D');
+  assert.equal(listing.battery_capacity_kwh, null);
+  assert.ok(listing.equipment.includes('NAVIGATION'));
+  assert.ok(listing.equipment.includes('TOW_BAR'));
+  assert.ok(listing.equipment.includes('PARKING_CAMERA'));
+});
+
+test('normalizeListing leaves missing fields empty', () => {
+  const { listing } = normalizeListing(extractListingDetails(loadFixture('listing-detail-sparse.html')));
+  
+  assert.equal(listing.make, 'Dacia');
+  assert.equal(listing.model, 'Sandero');
+  assert.equal(listing.trim, 'Stepway Expression TCe 90');
+  assert.equal(listing.condition, 'NEW');
+  assert.equal(listing.accident_damaged, null);
+  assert.equal(listing.hu_valid_until, null);
+  assert.equal(listing.exterior_color, 'ORANGE');
+  assert.equal(listing.subtitle, null);
+});
+
+test('normalizeListing reports titles and equipment it could not place', () => {
+  const { listing, resolved, unmapped } = normalizeListing({ title: 'Zzyzx Roadster 2000', features: ['Navigationssystem', 'Fluxkompensator'] });
+  
+  assert.equal(resolved, false);
+  assert.equal(listing.make, 'Zzyzx');
+  assert.deepEqual(listing.equipment, ['NAVIGATION']);
+  assert.deepEqual(unmapped, ['Fluxkompensator']);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JSDOM } from 'jsdom';
+import { loadFixture } from './helpers.js';
+import { DEFAULT_BROWSER, findBlockMarker, clickConsent, createIdentityRotation, browserLaunchOptions, settlePage } from '../src/page-prep.js';
+
+const { blockTexts, consentSelectors, consentLabels } = DEFAULT_BROWSER;
+
+test('block and captcha pages are recognized', () => {
+  assert.equal(findBlockMarker(blockTexts, loadFixture('blocked-access-denied.html')), 'zugriff verweigert');
+  assert.equal(findBlockMarker(blockTexts, loadFixture('blocked-captcha.html')), 'captcha');
+});
+
+test('results, empty results and listings are not block pages', () => {
+  for (const name of ['search-results.html', 'search-results-empty.html', 'listing-detail.html', 'generic-listing.html']) {
+    assert.equal(findBlockMarker(blockTexts, loadFixture(name)), null, name);
+  }
+  
+  // A contact form captcha and a quoted block text on a long page
+  const long = `<p>${'Scheckheftgepflegt, Nichtraucherfahrzeug. '.repeat(100)} Access denied?</p><form><div class="g-recaptcha" data-sitekey="x"></div></form>`;
+  assert.equal(findBlockMarker(blockTexts, new JSDOM(long).window.document), null);
+});
+
+test('consent is accepted by selector, or by a button labelled exactly', () => {
+  const clicks = [];
+  const page = html => {
+    const doc = new JSDOM(html).window.document;
+    doc.querySelectorAll('button').forEach(button => button.addEventListener('click', () => clicks.push(button.id)));
+    return doc;
+  };
+  
+  assert.equal(clickConsent(consentSelectors, consentLabels, page('<button id="a" data-testid="uc-accept-all-button">OK</button>')), 'button[data-testid="uc-accept-all-button"]');
+  assert.equal(clickConsent(consentSelectors, consentLabels, page('<button id="b">Einstellungen</button><button id="c"> Alle  akzeptieren </button>')), 'alle akzeptieren');
+  assert.equal(clickConsent(consentSelectors, consentLabels, page('<button id="d">Bedingungen lesen und akzeptieren</button>')), null);
+  assert.deepEqual(clicks, ['a', 'c']);
+});
+
+test('worker pages get user agents and viewports in turn', () => {
+  const settings = { userAgents: ['ua-1', 'ua-2'], viewports: [{ width: 1920, height: 1080 }, { width: 1366, height: 768 }, { width: 1440, height: 900 }] };
+  const rotation = createIdentityRotation(settings, () => 0);
+  const identities = [1, 2, 3].map(() => rotation.next());
+  
+  assert.deepEqual(identities.map(({ userAgent }) => userAgent), ['ua-1', 'ua-2', 'ua-1']);
+  assert.deepEqual(identities.map(({ viewport }) => viewport.width), [1920, 1366, 1440]);
+});
+
+test('the rotation pairs every user agent with every viewport', () => {
+  const settings = { userAgents: ['ua-1', 'ua-2', 'ua-3', 'ua-4'], viewports: [{ width: 1920 }, { width: 1536 }, { width: 1440 }, { width: 1366 }] };
+  const rotation = createIdentityRotation(settings, () => 0.5);
+  const pairs = Array.from({ length: 16 }, () => rotation.next()).map(({ userAgent, viewport }) => `${userAgent}@${viewport.width}`);
+  
+  assert.equal(new Set(pairs).size, 16);
+  // The next round starts over with the same combinations
+  assert.equal(`${rotation.next().userAgent}`, pairs[0].split('@')[0]);
+});
+
+test('the persistent profile is unlocked before launch', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'browser-'));
+  const profileDir = path.join(dir, 'profile');
+  await fs.mkdir(profileDir);
+  await fs.writeFile(path.join(profileDir, 'SingletonLock'), '');
+  
+  const options = await browserLaunchOptions({ ...DEFAULT_BROWSER, profileDir: 'profile' }, dir);
+  assert.equal(options.userDataDir, profileDir);
+  await assert.rejects(fs.access(path.join(profileDir, 'SingletonLock')));
+  
+  const fresh = await browserLaunchOptions({ ...DEFAULT_BROWSER, persistProfile: false }, dir);
+  assert.equal(fresh.userDataDir, undefined);
+  
+  await fs.rm(dir, { recursive: true });
+});
+
+test('settling waits for network idle up to settleMs, and only a timeout is expected', async () => {
+  const waits = [];
+  const quiet = { waitForNetworkIdle: async options => { waits.push(options); } };
+  await settlePage(quiet, { settleMs: 1500 });
+  assert.deepEqual(waits, [{ idleTime: 500, timeout: 1500 }]);
+  
+  const busy = { waitForNetworkIdle: async () => { throw Object.assign(new Error('Timed out'), { name: 'TimeoutError' }); } };
+  await settlePage(busy, DEFAULT_BROWSER);
+  
+  const closed = { waitForNetworkIdle: async () => { throw new Error('Target closed'); } };
+  await assert.rejects(settlePage(closed, DEFAULT_BROWSER), /Target closed/);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { openRetryQueue } from '../src/retry-queue.js';
+
+const item = { id: '412345678', url: 'https://suchen.mobile.de/fahrzeuge/details.html?id=412345678' };
+
+test('failed listings are kept for the next run until they succeed', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'retry-queue-'));
+  const filePath = path.join(dir, 'state', 'retry-queue.json');
+  
+  const first = await openRetryQueue(filePath);
+  assert.equal(first.fail('dealer-a', item, { kind: 'transient', error: 'Navigation timeout' }), 'queued');
+  assert.equal(first.fail('dealer-a', { id: '2', url: 'https://example.com/2' }, { kind: 'permanent', error: 'HTTP 404' }), 'dropped');
+  await first.save();
+  
+  const second = await openRetryQueue(filePath);
+  assert.equal(second.size, 1);
+  const [entry] = second.entries('dealer-a');
+  assert.deepEqual([entry.id, entry.kind, entry.attempts], [item.id, 'transient', 1]);
+  assert.deepEqual(second.entries('dealer-b'), []);
+  
+  assert.equal(second.succeed('dealer-a', item.id), true);
+  assert.equal(second.succeed('dealer-a', item.id), false);
+  await second.save();
+  assert.equal((await openRetryQueue(filePath)).size, 0);
+  
+  await fs.rm(dir, { recursive: true });
+});
+
+test('listings are dropped after failing in maxAttempts runs', async () => {
+  const queue = await openRetryQueue(null, { maxAttempts: 3 });
+  const failure = { kind: 'blocked', error: 'HTTP 429' };
+  
+  assert.deepEqual([1, 2, 3].map(() => queue.fail('dealer-a', item, failure)), ['queued', 'queued', 'dropped']);
+  assert.equal(queue.size, 0);
+});
+
+test('dry runs read the queue but never write it', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'retry-queue-'));
+  const filePath = path.join(dir, 'retry-queue.json');
+  
+  const queue = await openRetryQueue(filePath, { persist: false });
+  queue.fail('dealer-a', item, { kind: 'transient', error: 'timeout' });
+  await queue.save();
+  await assert.rejects(fs.access(filePath));
+  
+  await fs.rm(dir, { recursive: true });
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyError, classifiedError, backoffDelay, withRetry, createCircuitBreaker } from '../src/retry.js';
+
+const httpError = status => Object.assign(new Error(`HTTP ${status}`), { status });
+
+test('errors are classified by kind, status, code and message', () => {
+  assert.equal(classifyError(classifiedError('parse', 'No listing details')), 'parse');
+  assert.equal(classifyError(httpError(429)), 'blocked');
+  assert.equal(classifyError(httpError(403)), 'blocked');
+  assert.equal(classifyError(httpError(503)), 'transient');
+  assert.equal(classifyError(httpError(404)), 'permanent');
+  assert.equal(classifyError(new Error('HTTP 502 for https://img.classistatic.de/a.jpg')), 'transient');
+  assert.equal(classifyError(Object.assign(new Error('SlowDown'), { $metadata: { httpStatusCode: 503 } })), 'transient');
+  
+  assert.equal(classifyError(Object.assign(new Error('Navigation timeout of 60000 ms exceeded'), { name: 'TimeoutError' })), 'transient');
+  assert.equal(classifyError(new Error('net::ERR_CONNECTION_RESET at https://suchen.mobile.de')), 'transient');
+  assert.equal(classifyError(Object.assign(new Error('fetch failed'), { cause: { code: 'ECONNRESET' } })), 'transient');
+  assert.equal(classifyError(Object.assign(new Error('duplicate key value violates unique constraint'), { code: '23505' })), 'permanent');
+  assert.equal(classifyError(new Error('Evaluation failed: TypeError: Cannot read properties of null')), 'parse');
+  assert.equal(classifyError(new Error('Something else')), 'permanent');
+});
+
+test('backoff doubles up to the maximum, with jitter', () => {
+  const delays = [1, 2, 3, 10].map(attempt => backoffDelay(attempt, { baseDelayMs: 1000, maxDelayMs: 5000, random: () => 1 }));
+  assert.deepEqual(delays, [1000, 2000, 4000, 5000]);
+  assert.equal(backoffDelay(2, { baseDelayMs: 1000, random: () => 0 }), 1000);
+});
+
+test('transient failures are retried, others thrown straight away', async () => {
+  const waits = [];
+  const options = { attempts: 3, sleep: async ms => waits.push(ms), onRetry: () => {} };
+  
+  let calls = 0;
+  const result = await withRetry(async attempt => {
+    calls++;
+    if (attempt < 3) throw httpError(502);
+    return 'ok';
+  }, options);
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+  assert.equal(waits.length, 2);
+  
+  await assert.rejects(withRetry(async () => { throw httpError(503); }, options), { kind: 'transient', attempts: 3 });
+  
+  calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw httpError(429);
+  }, options), { kind: 'blocked', attempts: 1 });
+  assert.equal(calls, 1);
+});
+
+test('the circuit breaker opens after blocks in a row', () => {
+  const breaker = createCircuitBreaker({ threshold: 3 });
+  assert.equal(breaker.failure('blocked'), false);
+  assert.equal(breaker.failure('blocked'), false);
+  breaker.success();
+  assert.equal(breaker.failure('blocked'), false);
+  assert.equal(breaker.failure('transient'), false);
+  
+  assert.deepEqual(['blocked', 'blocked', 'blocked', 'blocked'].map(kind => breaker.failure(kind)), [false, false, true, false]);
+  assert.equal(breaker.open, true);
+  breaker.success();
+  assert.equal(breaker.open, true);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRunRecord } from '../src/run-history.js';
+
+function dealerLog(dealerKey, counts = {}) {
+  return {
+    name: `Dealer ${dealerKey}`,
+    dealerKey,
+    platform: 'mobile.de',
+    complete: true,
+    listingsFound: 0,
+    listingsNew: 0,
+    listingsUpdated: 0,
+    listingsRemoved: 0,
+    listingsSkipped: 0,
+    listingsFiltered: 0,
+    duplicates: 0,
+    priceDrops: [],
+    blocked: false,
+    circuitOpen: false,
+    notTried: 0,
+    searchMs: 1200,
+    scrapeMs: 30000,
+    ...counts
+  };
+}
+
+function syncLog() {
+  return {
+    runId: 'run-1',
+    startedAt: '2026-10-19T03:00:00.000Z',
+    completedAt: '2026-10-19T03:12:30.000Z',
+    dealerFilter: null,
+    resumedFrom: null,
+    dealers: [dealerLog('a', { listingsFound: 40, listingsNew: 3 }), dealerLog('b', { listingsFound: 12 })],
+    listingsFound: 52,
+    listingsNew: 3,
+    listingsUpdated: 0,
+    listingsRemoved: 0,
+    listingsSkipped: 49,
+    listingsHeld: 1,
+    listingsFiltered: [],
+    duplicates: [],
+    imagesUploaded: 30,
+    imagesReused: 0,
+    errors: [
+      { type: 'scrape', error: 'timeout', dealerId: 'b', listingId: 'x' },
+      { type: 'drift_webhook', error: 'HTTP 500', dealerId: null, listingId: null }
+    ],
+    drift: [],
+    extraction: { listingsScraped: 52 }
+  };
+}
+
+test('a finished run has its duration, totals and per-dealer counts', () => {
+  const record = buildRunRecord(syncLog(), { status: 'succeeded', environment: 'staging', ciRunId: '123' });
+  
+  assert.equal(record.id, 'run-1');
+  assert.equal(record.duration_ms, 750000);
+  assert.equal(record.listings_found, 52);
+  assert.equal(record.error_count, 2);
+  assert.deepEqual([record.environment, record.ci_run_id, record.dealer_filter], ['staging', '123', null]);
+  assert.deepEqual(record.dealers.map(({ dealerId, listingsNew, errors }) => [dealerId, listingsNew, errors]), [['a', 3, 0], ['b', 0, 1]]);
+});
+
+test('a running run has no end yet, a failed one keeps its error', () => {
+  const running = buildRunRecord({ ...syncLog(), completedAt: null }, { status: 'running' });
+  assert.equal(running.completed_at, null);
+  assert.equal(running.duration_ms, null);
+  
+  const failed = buildRunRecord({ ...syncLog(), completedAt: null }, { status: 'failed', fatalError: 'browser crashed' });
+  assert.ok(failed.duration_ms >= 0);
+  assert.equal(failed.fatal_error, 'browser crashed');
+});
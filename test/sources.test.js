@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSourceAdapter } from '../src/sources/index.js';
+import { buildSearchUrl } from '../src/sources/mobile-de.js';
+import { extractGenericSearchResults, extractGenericListing } from '../src/sources/generic.js';
+import { normalizeListing } from '../src/normalize.js';
+import { generateSourceKey } from '../src/source-identity.js';
+import { loadFixture } from './helpers.js';
+
+const GENERIC_DEALER = {
+  name: 'Autohaus Beispiel',
+  url: 'https://www.autohaus-beispiel.de/fahrzeuge',
+  platform: 'generic',
+  pageParam: 'seite',
+  selectors: {
+    listingLink: 'a.vehicle-link',
+    idPattern: '-(\\d+)$',
+    title: 'h1.vehicle-title',
+    priceTerms: '.price-terms',
+    fields: {
+      price: '.price',
+      mileage: '.specs .km',
+      firstRegistration: '.specs .ez',
+      power: '.specs .power',
+      fuelType: '.specs .fuel',
+      transmission: '.specs .gearbox'
+    },
+    features: '.equipment li',
+    images: 'img.gallery-image',
+    imageAttribute: 'data-src'
+  }
+};
+
+test('mobile.de search URLs page through the dealer customer ID', () => {
+  const url = buildSearchUrl('https://home.mobile.de/home/index.html?customerId=123', { pageSize: 50, sortBy: 'newest', sortOrder: 'desc' }, 2);
+  assert.equal(url, 'https://suchen.mobile.de/fahrzeuge/search.html?s=Car&vc=Car&sid=123&pageNumber=2&psz=50&sb=doc&od=down');
+  
+  assert.equal(buildSearchUrl('https://example.com/cars', {}, 1), 'https://example.com/cars');
+  assert.equal(buildSearchUrl('https://example.com/cars', {}, 2), null);
+});
+
+test('dealers get the adapter of their platform, mobile.de by default', () => {
+  const mobile = createSourceAdapter({ name: 'A', url: 'https://home.mobile.de/home/index.html?customerId=1' });
+  assert.equal(mobile.platform, 'mobile.de');
+  assert.equal(mobile.listingId('https://suchen.mobile.de/fahrzeuge/details.html?id=391234567'), '391234567');
+  assert.equal(mobile.sourceKey('391234567'), generateSourceKey('391234567'));
+  
+  assert.equal(createSourceAdapter(GENERIC_DEALER).platform, 'generic');
+  assert.throws(() => createSourceAdapter({ name: 'B', url: 'https://x.de', platform: 'autoscout24' }), /unknown platform 'autoscout24'/);
+  assert.throws(() => createSourceAdapter({ name: 'C', url: 'https://x.de', platform: 'generic' }), /selectors\.listingLink/);
+  assert.throws(
+    () => createSourceAdapter({ ...GENERIC_DEALER, selectors: { listingLink: 'a', fields: { kilometers: '.km' } } }),
+    /unknown selectors\.fields kilometers/
+  );
+});
+
+test('generic adapter pages with its page parameter and keys listings per website', () => {
+  const adapter = createSourceAdapter(GENERIC_DEALER);
+  
+  assert.equal(adapter.searchUrl(GENERIC_DEALER, {}, 1), 'https://www.autohaus-beispiel.de/fahrzeuge');
+  assert.equal(adapter.searchUrl(GENERIC_DEALER, {}, 3), 'https://www.autohaus-beispiel.de/fahrzeuge?seite=3');
+  assert.equal(createSourceAdapter({ ...GENERIC_DEALER, pageParam: undefined }).searchUrl(GENERIC_DEALER, {}, 2), null);
+  
+  assert.equal(adapter.listingId('https://www.autohaus-beispiel.de/fahrzeuge/opel-corsa-4712'), '4712');
+  assert.equal(adapter.listingId('https://www.autohaus-beispiel.de/impressum'), null);
+  assert.notEqual(adapter.sourceKey('4712'), generateSourceKey('4712'));
+});
+
+test('generic search extraction returns each listing link once', () => {
+  const doc = loadFixture('generic-search.html', 'https://www.autohaus-beispiel.de/fahrzeuge');
+  assert.deepEqual(extractGenericSearchResults(GENERIC_DEALER.selectors, doc), [
+    'https://www.autohaus-beispiel.de/fahrzeuge/skoda-octavia-combi-4711',
+    'https://www.autohaus-beispiel.de/fahrzeuge/opel-corsa-4712'
+  ]);
+});
+
+test('generic listing extraction emits the raw shape normalization expects', () => {
+  const doc = loadFixture('generic-listing.html', 'https://www.autohaus-beispiel.de/fahrzeuge/skoda-octavia-combi-4711');
+  const raw = extractGenericListing(GENERIC_DEALER.selectors, doc);
+  
+  assert.equal(raw.title, 'Skoda Octavia Combi 2.0 TDI Style');
+  assert.equal(raw.price, '21490');
+  assert.equal(raw.priceNegotiable, true);
+  assert.equal(raw.vatDeductible, true);
+  assert.equal(raw.netPrice, '18.059');
+  assert.deepEqual(raw.features, ['Navigationssystem', 'Sitzheizung', 'Anhängerkupplung']);
+  assert.deepEqual(raw.images, [
+    'https://www.autohaus-beispiel.de/media/4711/1.jpg',
+    'https://www.autohaus-beispiel.de/media/4711/2.jpg'
+  ]);
+  
+  const { listing } = normalizeListing(raw);
+  assert.equal(listing.make, 'Skoda');
+  assert.equal(listing.model, 'Octavia');
+  assert.equal(listing.price, 21490);
+  assert.equal(listing.price_net, 18059);
+  assert.equal(listing.price_type, 'NEGOTIABLE');
+  assert.equal(listing.mileage, 61200);
+  assert.equal(listing.power_kw, 110);
+  assert.equal(listing.fuel, 'DIESEL');
+  assert.ok(listing.equipment.includes('TOW_BAR'));
+});
@@ -0,0 +1,196 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createStorage, resolveBackends } from '../src/storage/index.js';
+import { createLocalListingStore, createLocalImageStore } from '../src/storage/local.js';
+import { createS3ImageStore, s3ClientConfig } from '../src/storage/s3.js';
+
+async function tempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+}
+
+test('local listing store inserts, updates and reloads rows from disk', async () => {
+  const dir = await tempDir();
+  const store = createLocalListingStore(dir);
+  
+  const first = await store.insert({ slug: 'a', source_key: 'k1', price: 1000, published: true });
+  const second = await store.insert({ slug: 'b', source_key: 'k2', price: 2000, published: true });
+  assert.deepEqual([first.id, second.id], [1, 2]);
+  
+  await store.update(first.id, { price: 900 });
+  await assert.rejects(store.insert({ slug: 'c', source_key: 'k1' }), /duplicate source_key/);
+  
+  const reloaded = createLocalListingStore(dir);
+  assert.deepEqual(await reloaded.loadAll(['id', 'slug', 'price', 'removed_at']), [
+    { id: 1, slug: 'a', price: 900, removed_at: null },
+    { id: 2, slug: 'b', price: 2000, removed_at: null }
+  ]);
+  
+  await fs.rm(dir, { recursive: true });
+});
+
+test('local listing store keeps concurrent writes intact', async () => {
+  const dir = await tempDir();
+  const store = createLocalListingStore(dir);
+  
+  // Worker pages insert, update and record price history at the same time
+  const inserted = await Promise.all(
+    Array.from({ length: 5 }, (_, i) => store.insert({ slug: `car-${i}`, source_key: `k${i}`, title: 'x'.repeat(200 - i * 40) }))
+  );
+  await Promise.all([
+    ...inserted.map(({ id }) => store.update(id, { title: 'short' })),
+    ...inserted.map(({ id }) => store.addPriceHistory([{ listing_id: id, price: 1000 }]))
+  ]);
+  
+  const rows = JSON.parse(await fs.readFile(path.join(dir, 'listings.json'), 'utf-8'));
+  assert.deepEqual(rows.map(row => [row.id, row.title]), [[1, 'short'], [2, 'short'], [3, 'short'], [4, 'short'], [5, 'short']]);
+  const history = JSON.parse(await fs.readFile(path.join(dir, 'price-history.json'), 'utf-8'));
+  assert.equal(history.length, 5);
+  assert.deepEqual((await fs.readdir(dir)).sort(), ['listings.json', 'price-history.json']);
+  
+  await fs.rm(dir, { recursive: true });
+});
+
+test('local listing store appends price history', async () => {
+  const dir = await tempDir();
+  const store = createLocalListingStore(dir);
+  
+  await store.addPriceHistory([{ listing_id: 1, price: 28990, observed_at: '2026-10-12T03:00:00Z' }]);
+  await store.addPriceHistory([{ listing_id: 1, price: 27990, observed_at: '2026-10-19T03:00:00Z' }]);
+  
+  const history = JSON.parse(await fs.readFile(path.join(dir, 'price-history.json'), 'utf-8'));
+  assert.deepEqual(history.map(record => record.price), [28990, 27990]);
+  
+  await fs.rm(dir, { recursive: true });
+});
+
+test('local listing store replaces a recorded run by its id', async () => {
+  const dir = await tempDir();
+  const store = createLocalListingStore(dir);
+  
+  await store.recordRun({ id: 'run-1', status: 'running' });
+  await store.recordRun({ id: 'run-2', status: 'running' });
+  await store.recordRun({ id: 'run-1', status: 'succeeded' });
+  
+  const runs = JSON.parse(await fs.readFile(path.join(dir, 'sync-runs.json'), 'utf-8'));
+  assert.deepEqual(runs, [{ id: 'run-1', status: 'succeeded' }, { id: 'run-2', status: 'running' }]);
+  
+  await fs.rm(dir, { recursive: true });
+});
+
+test('local image store writes files and builds URLs', async () => {
+  const dir = await tempDir();
+  
+  const fileStore = createLocalImageStore(dir);
+  const fileUrl = await fileStore.upload('slug/0-card.webp', Buffer.from('img'), 'image/webp');
+  assert.match(fileUrl, /^file:\/\/.*\/images\/slug\/0-card\.webp$/);
+  assert.equal(await fs.readFile(path.join(dir, 'images/slug/0-card.webp'), 'utf-8'), 'img');
+  
+  const httpStore = createLocalImageStore(dir, 'http://localhost:8080/');
+  assert.equal(await httpStore.upload('slug/1-card.webp', Buffer.from('img')), 'http://localhost:8080/slug/1-card.webp');
+  
+  await fs.rm(dir, { recursive: true });
+});
+
+test('local image store lists and removes objects for garbage collection', async () => {
+  const dir = await tempDir();
+  const store = createLocalImageStore(dir, 'http://localhost:8080');
+  
+  await store.upload('ab/abcd-card.webp', Buffer.from('img'));
+  await store.upload('slug/0-card.webp', Buffer.from('img'));
+  
+  const objects = await store.list();
+  assert.deepEqual(objects.map(({ name }) => name).sort(), ['ab/abcd-card.webp', 'slug/0-card.webp']);
+  assert.ok(objects.every(({ updatedAt }) => !Number.isNaN(Date.parse(updatedAt))));
+  assert.equal(store.publicUrl('ab/abcd-card.webp'), 'http://localhost:8080/ab/abcd-card.webp');
+  
+  await store.remove(['slug/0-card.webp']);
+  assert.deepEqual((await store.list()).map(({ name }) => name), ['ab/abcd-card.webp']);
+  
+  assert.deepEqual(await createLocalImageStore(await tempDir()).list(), []);
+  await fs.rm(dir, { recursive: true });
+});
+
+test('S3 image store puts objects and returns path-style URLs', async () => {
+  const sent = [];
+  const client = { send: async command => sent.push(command.input) };
+  const store = createS3ImageStore({ endpoint: 'http://localhost:9000', bucket: 'vehicle-images' }, client);
+  
+  const url = await store.upload('slug/0-full.avif', Buffer.from('img'), 'image/avif');
+  
+  assert.equal(url, 'http://localhost:9000/vehicle-images/slug/0-full.avif');
+  assert.equal(sent[0].Bucket, 'vehicle-images');
+  assert.equal(sent[0].Key, 'slug/0-full.avif');
+  assert.equal(sent[0].ContentType, 'image/avif');
+});
+
+test('S3 image store lists every page and deletes in batches', async () => {
+  const sent = [];
+  const pages = [
+    { Contents: [{ Key: 'ab/1-card.webp', LastModified: new Date('2026-10-01T00:00:00Z') }], IsTruncated: true, NextContinuationToken: 't1' },
+    { Contents: [{ Key: 'cd/2-card.webp', LastModified: new Date('2026-10-02T00:00:00Z') }], IsTruncated: false }
+  ];
+  const client = { send: async command => { sent.push(command.input); return pages.shift() || {}; } };
+  const store = createS3ImageStore({ endpoint: 'http://localhost:9000', bucket: 'vehicle-images' }, client);
+  
+  assert.deepEqual(await store.list(), [
+    { name: 'ab/1-card.webp', updatedAt: '2026-10-01T00:00:00.000Z' },
+    { name: 'cd/2-card.webp', updatedAt: '2026-10-02T00:00:00.000Z' }
+  ]);
+  assert.equal(sent[1].ContinuationToken, 't1');
+  
+  await store.remove(['ab/1-card.webp']);
+  assert.deepEqual(sent[2].Delete.Objects, [{ Key: 'ab/1-card.webp' }]);
+});
+
+test('S3 image store throws when objects could not be deleted', async () => {
+  const client = {
+    send: async () => ({ Errors: [{ Key: 'ab/1-card.webp', Code: 'AccessDenied', Message: 'Access Denied' }] })
+  };
+  const store = createS3ImageStore({ endpoint: 'http://localhost:9000', bucket: 'vehicle-images' }, client);
+  
+  await assert.rejects(store.remove(['ab/1-card.webp', 'cd/2-card.webp']), err => {
+    assert.match(err.message, /1 of 2 objects \(ab\/1-card\.webp: AccessDenied/);
+    assert.deepEqual(err.failed, ['ab/1-card.webp']);
+    return true;
+  });
+});
+
+test('S3 credentials come from the environment, else from the SDK default chain', () => {
+  const options = { endpoint: 'http://localhost:9000', bucket: 'vehicle-images' };
+  assert.deepEqual(s3ClientConfig(options, { S3_ACCESS_KEY_ID: 'key', S3_SECRET_ACCESS_KEY: 'secret' }).credentials, {
+    accessKeyId: 'key',
+    secretAccessKey: 'secret'
+  });
+  assert.equal('credentials' in s3ClientConfig(options, {}), false);
+  assert.equal('credentials' in s3ClientConfig(options, { S3_ACCESS_KEY_ID: 'key' }), false);
+});
+
+test('backends come from settings and can be overridden by environment', () => {
+  assert.deepEqual(resolveBackends(), { listings: 'supabase', images: 'supabase' });
+  assert.deepEqual(resolveBackends({ listings: 'local', images: 's3' }), { listings: 'local', images: 's3' });
+  
+  process.env.IMAGE_STORE = 'local';
+  try {
+    assert.deepEqual(resolveBackends({ listings: 'local', images: 's3' }), { listings: 'local', images: 'local' });
+  } finally {
+    delete process.env.IMAGE_STORE;
+  }
+});
+
+test('createStorage requires Supabase credentials unless they may be missing', async () => {
+  const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = process.env;
+  delete process.env.SUPABASE_URL;
+  delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+  try {
+    await assert.rejects(createStorage({}, { rootDir: os.tmpdir() }), /Missing SUPABASE_URL/);
+    const storage = await createStorage({}, { rootDir: os.tmpdir(), allowMissingCredentials: true });
+    assert.equal(storage.listings, null);
+    await assert.rejects(createStorage({ listings: 'sqlite' }, { rootDir: os.tmpdir() }), /Unknown listings backend/);
+  } finally {
+    if (SUPABASE_URL) process.env.SUPABASE_URL = SUPABASE_URL;
+    if (SUPABASE_SERVICE_ROLE_KEY) process.env.SUPABASE_SERVICE_ROLE_KEY = SUPABASE_SERVICE_ROLE_KEY;
+  }
+});
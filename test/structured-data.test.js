@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractStructuredData, mergeListingDetails, tallyFieldSources } from '../src/structured-data.js';
+import { extractListingDetails } from '../src/extract.js';
+import { normalizeListing } from '../src/normalize.js';
+import { loadFixture } from './helpers.js';
+
+test('reads schema.org JSON-LD into raw listing fields', () => {
+  const { details, sources } = extractStructuredData(loadFixture('listing-detail-structured.html'));
+  
+  assert.equal(details.title, 'Volkswagen Golf VIII 1.5 eTSI Life');
+  assert.equal(details.make, 'Volkswagen');
+  assert.equal(details.model, 'Golf');
+  assert.equal(details.price, '24700');
+  assert.equal(details.mileage, '32150 km');
+  assert.equal(details.power, '110 kW 150 PS');
+  assert.equal(details.hubraum, '1498 cm³');
+  assert.equal(details.transmission, 'Automatik');
+  assert.equal(details.firstRegistration, '05/2022');
+  assert.equal(details.co2, '128 g/km');
+  assert.equal(details.condition, undefined);
+  assert.equal(details.images.length, 2);
+  assert.equal(sources.price, 'json-ld');
+});
+
+test('reads attribute lists from the hydration state where JSON-LD has nothing', () => {
+  const { details, sources } = extractStructuredData(loadFixture('listing-detail-structured.html'));
+  
+  assert.equal(details.hu, '05/2025');
+  assert.equal(details.emissionClass, 'Euro6e');
+  assert.equal(details.climate, 'Klimaautomatik');
+  assert.equal(sources.hu, 'state');
+  assert.equal(sources.firstRegistration, 'json-ld', 'JSON-LD comes first');
+});
+
+test('pages without embedded data yield nothing', () => {
+  assert.deepEqual(extractStructuredData(loadFixture('listing-detail.html')), { details: {}, sources: {} });
+});
+
+test('the DOM only fills what the embedded data lacks, and every field records its source', () => {
+  const doc = loadFixture('listing-detail-structured.html');
+  const raw = mergeListingDetails(extractStructuredData(doc), extractListingDetails(doc));
+  
+  assert.equal(raw.mileage, '32150 km');
+  assert.equal(raw.seats, '5');
+  assert.equal(raw.condition, 'Gebrauchtfahrzeug, Unfallfrei');
+  assert.equal(raw.priceNegotiable, true);
+  assert.equal(raw.images.length, 3, 'the gallery has more photos than the JSON-LD');
+  assert.deepEqual(
+    { mileage: raw.fieldSources.mileage, hu: raw.fieldSources.hu, seats: raw.fieldSources.seats, images: raw.fieldSources.images },
+    { mileage: 'json-ld', hu: 'state', seats: 'dom', images: 'dom' }
+  );
+  assert.equal(raw.fieldSources.tankSize, undefined);
+  
+  const { listing } = normalizeListing(raw);
+  assert.equal(listing.make, 'Volkswagen');
+  assert.equal(listing.mileage, 32150);
+  assert.equal(listing.power_kw, 110);
+  assert.equal(listing.power_ps, 150);
+  assert.equal(listing.gearbox, 'AUTOMATIC');
+  assert.equal(listing.first_registration, '202205');
+  assert.equal(listing.hu_valid_until, '2025-05-31');
+  assert.equal(listing.accident_damaged, false);
+  
+  assert.deepEqual(tallyFieldSources({}, { price: 'json-ld', hu: 'state' }), { price: { 'json-ld': 1 }, hu: { state: 1 } });
+});
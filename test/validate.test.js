@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractListingDetails } from '../src/extract.js';
+import { normalizeListing } from '../src/normalize.js';
+import { validateListing, tallyProblems } from '../src/validate.js';
+import { loadFixture } from './helpers.js';
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+function scrape(fixture) {
+  const rawData = extractListingDetails(loadFixture(fixture));
+  return { ...normalizeListing(rawData).listing, images: rawData.images };
+}
+
+test('validateListing passes a complete listing with a high score', () => {
+  const quality = validateListing(scrape('listing-detail.html'), { now: NOW });
+  
+  assert.equal(quality.valid, true);
+  assert.deepEqual(quality.problems.filter(p => p.severity === 'error'), []);
+  assert.ok(quality.score >= 80, `score ${quality.score}`);
+});
+
+test('validateListing holds back listings with missing or implausible required fields', () => {
+  const listing = { ...scrape('listing-detail.html'), price: null, first_registration: '203013' };
+  const quality = validateListing(listing, { now: NOW });
+  
+  assert.equal(quality.valid, false);
+  assert.deepEqual(
+    quality.problems.filter(p => p.severity === 'error').map(({ field, code }) => `${field}:${code}`),
+    ['price:missing', 'first_registration:range']
+  );
+  assert.ok(quality.score < 50);
+});
+
+test('validateListing warns about guessed makes, unknown enums and kW/PS mismatches', () => {
+  const listing = {
+    ...scrape('listing-detail.html'),
+    make: 'Trabant',
+    fuel: 'STEAM',
+    power_kw: 140,
+    power_ps: 140
+  };
+  const { valid, problems } = validateListing(listing, { now: NOW });
+  const warnings = problems.filter(p => p.severity === 'warning').map(({ field, code }) => `${field}:${code}`);
+  
+  assert.equal(valid, true);
+  assert.ok(warnings.includes('make:enum'));
+  assert.ok(warnings.includes('fuel:enum'));
+  assert.ok(warnings.includes('power_ps:inconsistent'));
+});
+
+test('tallyProblems counts problems by field and code', () => {
+  const summary = {};
+  tallyProblems(summary, [{ field: 'price', code: 'missing' }, { field: 'images', code: 'few_items' }]);
+  tallyProblems(summary, [{ field: 'price', code: 'missing' }]);
+  
+  assert.deepEqual(summary, { price: { missing: 2 }, images: { few_items: 1 } });
+});
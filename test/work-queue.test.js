@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFairQueue, runWorkers } from '../src/work-queue.js';
+import { createRateLimiter } from '../src/rate-limiter.js';
+
+test('fair queue alternates between groups until each is drained', () => {
+  const queue = createFairQueue([['a1', 'a2', 'a3', 'a4'], ['b1'], ['c1', 'c2']]);
+  const order = [];
+  let job;
+  while ((job = queue.next()) !== null) order.push(job);
+  
+  assert.deepEqual(order, ['a1', 'b1', 'c1', 'a2', 'c2', 'a3', 'a4']);
+});
+
+test('fair queue hands out nothing after stop()', () => {
+  const queue = createFairQueue([['a1', 'a2']]);
+  queue.next();
+  queue.stop();
+  assert.equal(queue.next(), null);
+  assert.equal(queue.remaining, 1);
+});
+
+test('runWorkers processes every job once across all contexts', async () => {
+  const queue = createFairQueue([[1, 2, 3], [4, 5], [6]]);
+  const seen = [];
+  const byContext = { p1: 0, p2: 0 };
+  
+  await runWorkers(['p1', 'p2'], queue, async (context, job) => {
+    byContext[context]++;
+    await new Promise(resolve => setImmediate(resolve));
+    seen.push(job);
+  });
+  
+  assert.deepEqual(seen.sort(), [1, 2, 3, 4, 5, 6]);
+  assert.ok(byContext.p1 > 0 && byContext.p2 > 0);
+});
+
+test('runWorkers stops the queue on an escaped error and rethrows it after every worker finished', async () => {
+  const queue = createFairQueue([[1, 2, 3, 4, 5, 6]]);
+  const finished = [];
+  
+  const running = runWorkers(['p1', 'p2'], queue, async (context, job) => {
+    if (job === 1) throw new Error('job 1 failed');
+    // The other worker is mid-job when the error escapes
+    await new Promise(resolve => setTimeout(resolve, 20));
+    finished.push(job);
+  });
+  
+  await assert.rejects(running, /job 1 failed/);
+  assert.deepEqual(finished, [2]);
+  assert.equal(queue.remaining, 4);
+});
+
+function fakeClock() {
+  let time = 0;
+  return {
+    now: () => time,
+    sleep: async ms => { time += ms; },
+    get time() { return time; }
+  };
+}
+
+test('rate limiter allows a burst, then spaces requests per host', async () => {
+  const clock = fakeClock();
+  const limiter = createRateLimiter(
+    { 'suchen.mobile.de': { requestsPerSecond: 1, burst: 2 } },
+    clock
+  );
+  
+  const times = [];
+  for (let i = 0; i < 4; i++) {
+    await limiter.acquire('https://suchen.mobile.de/fahrzeuge/details.html?id=1');
+    times.push(clock.time);
+  }
+  
+  assert.deepEqual(times, [0, 0, 1000, 2000]);
+});
+
+test('rate limiter keeps separate buckets per host', async () => {
+  const clock = fakeClock();
+  const limiter = createRateLimiter({ default: { requestsPerSecond: 0.5, burst: 1 } }, clock);
+  
+  await limiter.acquire('https://suchen.mobile.de/a');
+  await limiter.acquire('https://img.classistatic.de/b');
+  assert.equal(clock.time, 0);
+  
+  await limiter.acquire('https://suchen.mobile.de/c');
+  assert.equal(clock.time, 2000);
+});